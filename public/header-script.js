@@ -44,6 +44,15 @@ function updateHeaderForLoggedIn(userData) {
     if (userEmail) userEmail.textContent = userData.email || '';
     if (loggedInMenu) loggedInMenu.style.display = 'block';
     if (loggedOutMenu) loggedOutMenu.style.display = 'none';
+
+    toggleStaffLinks(userData.role === 'staff' || userData.role === 'admin');
+}
+
+// Admin links are marked with .staff-only and hidden unless the user has a staff role
+function toggleStaffLinks(show) {
+    document.querySelectorAll('.staff-only').forEach(el => {
+        el.style.display = show ? '' : 'none';
+    });
 }
 
 function updateHeaderForLoggedOut() {
@@ -56,6 +65,8 @@ function updateHeaderForLoggedOut() {
     accountName.textContent = 'Sign In';
     if (loggedInMenu) loggedInMenu.style.display = 'none';
     if (loggedOutMenu) loggedOutMenu.style.display = 'block';
+
+    toggleStaffLinks(false);
 }
 
 async function updateCartCount() {
@@ -108,14 +119,13 @@ function setupSearchListeners() {
 async function fetchSearchSuggestions(query) {
     try {
         const response = await fetch(
-            `${API_URL}/products?search=${encodeURIComponent(query)}&limit=5`,
+            `${API_URL}/search?q=${encodeURIComponent(query)}&limit=5`,
             { credentials: 'include' }
         );
 
         if (response.ok) {
-            const data = await response.json();
-            const products = window.extractProductsArray(data);
-            displaySearchSuggestions(products, query);
+            const result = await response.json();
+            displaySearchSuggestions(result.data, query);
         }
     } catch (error) {
         console.error('Suggestions error:', error);
@@ -123,22 +133,34 @@ async function fetchSearchSuggestions(query) {
     }
 }
 
-function displaySearchSuggestions(products, query) {
+// Grouped suggestions: matching products, categories and popular searches
+function displaySearchSuggestions(results, query) {
     const suggestionsDiv = document.getElementById('searchSuggestions');
     if (!suggestionsDiv) return;
 
-    if (!Array.isArray(products) || products.length === 0) {
+    const products = (results && results.products) || [];
+    const categories = (results && results.categories) || [];
+    const popularQueries = (results && results.popular_queries) || [];
+
+    if (products.length === 0 && categories.length === 0 && popularQueries.length === 0) {
         suggestionsDiv.innerHTML = '<div class="suggestion-item no-results">No products found</div>';
-    } else {
-        suggestionsDiv.innerHTML = products.slice(0, 5).map(product => {
-            const price = parseFloat(product.price) || 0;
+        suggestionsDiv.style.display = 'block';
+        return;
+    }
+
+    let html = '';
+
+    if (products.length > 0) {
+        html += '<div class="suggestion-group-title">Products</div>';
+        html += products.map(product => {
+            const price = parseFloat(product.discounted_price ?? product.price) || 0;
             return `
-                <a href="products.html?search=${encodeURIComponent(query)}" class="suggestion-item">
+                <a href="product-details.html?id=${product.product_id}" class="suggestion-item">
                     <img src="${product.image_url || 'img/default-product.png'}"
-                         alt="${product.product_name}"
+                         alt="${escapeHtml(product.product_name)}"
                          onerror="this.src='img/default-product.png'">
                     <div class="suggestion-info">
-                        <div class="suggestion-name">${product.product_name}</div>
+                        <div class="suggestion-name">${escapeHtml(product.product_name)}</div>
                         <div class="suggestion-price">$${price.toFixed(2)}</div>
                     </div>
                 </a>
@@ -146,6 +168,34 @@ function displaySearchSuggestions(products, query) {
         }).join('');
     }
 
+    if (categories.length > 0) {
+        html += '<div class="suggestion-group-title">Categories</div>';
+        html += categories.map(category => `
+            <a href="products.html?category=${category.category_id}" class="suggestion-item suggestion-text">
+                ${escapeHtml(category.category_name)}
+                <span class="suggestion-count">(${category.product_count})</span>
+            </a>
+        `).join('');
+    }
+
+    if (popularQueries.length > 0) {
+        html += '<div class="suggestion-group-title">Popular Searches</div>';
+        html += popularQueries.map(popular => `
+            <a href="products.html?search=${encodeURIComponent(popular)}" class="suggestion-item suggestion-text">
+                ${escapeHtml(popular)}
+            </a>
+        `).join('');
+    }
+
+    if (results.total_products > products.length) {
+        html += `
+            <a href="products.html?search=${encodeURIComponent(query)}" class="suggestion-item suggestion-all">
+                See all ${results.total_products} results for "${escapeHtml(query)}"
+            </a>
+        `;
+    }
+
+    suggestionsDiv.innerHTML = html;
     suggestionsDiv.style.display = 'block';
 }
 
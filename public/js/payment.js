@@ -0,0 +1,56 @@
+// Payment helpers shared by checkout and the order page
+// Test methods understood by the mock payment provider
+const PAYMENT_METHODS = [
+    { value: 'pm_card_success', label: 'Test card - approved' },
+    { value: 'pm_card_3ds', label: 'Test card - 3-D Secure' },
+    { value: 'pm_card_decline', label: 'Test card - declined' }
+];
+
+function renderPaymentMethodOptions(select) {
+    select.innerHTML = PAYMENT_METHODS
+        .map(method => `<option value="${method.value}">${method.label}</option>`)
+        .join('');
+}
+
+// Confirm a payment and walk through the 3-D Secure step if the provider asks for it
+async function submitPayment(paymentId, paymentMethod, token) {
+    const response = await fetch(`${API_URL}/payments/${paymentId}/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ payment_method: paymentMethod, token })
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+        return { status: 'failed', failure_reason: result.message || 'Payment failed' };
+    }
+
+    const payment = result.data;
+    if (payment.status === 'requires_action' && payment.next_action) {
+        return completePaymentAction(payment.next_action.url, token);
+    }
+    return payment;
+}
+
+// The mock provider's challenge is a simple approve/reject prompt
+async function completePaymentAction(actionUrl, token) {
+    const approved = confirm('Simulated 3-D Secure check: approve this payment?');
+    const serverBase = API_URL.replace(/\/api$/, '');
+
+    const response = await fetch(`${serverBase}${actionUrl}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ approved, token })
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+        return { status: 'failed', failure_reason: result.message || 'Authentication failed' };
+    }
+    return result.data;
+}
+
+window.renderPaymentMethodOptions = renderPaymentMethodOptions;
+window.submitPayment = submitPayment;
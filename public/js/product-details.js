@@ -1,5 +1,10 @@
 let currentProduct = null;
 let currentQuantity = 1;
+let selectedVariant = null;
+let reviewsPage = 1;
+let myReview = null;
+let questionsPage = 1;
+let canAnswerQuestions = false;
 
 document.addEventListener('DOMContentLoaded', function() {
     const productId = getProductIdFromURL();
@@ -30,7 +35,9 @@ async function loadProductDetails(productId) {
         currentProduct = data.data;
 
         displayProduct(currentProduct);
-        loadRelatedProducts(currentProduct.category_id, currentProduct.product_id);
+        loadReviews(1);
+        loadQuestions(1);
+        loadRelatedProducts(currentProduct.product_id);
     } catch (error) {
         console.error('Error loading product:', error);
         showError();
@@ -50,16 +57,74 @@ function displayProduct(product) {
         document.getElementById('categoryTag').style.display = 'none';
     }
 
-    // Update stock status
+    updateStockStatus(parseInt(product.available_quantity) || 0);
+    updatePricing(parseFloat(product.price) || 0, parseFloat(product.discount_percentage) || 0);
+
+    document.getElementById('productDescription').textContent =
+        product.description || 'No description available for this product.';
+
+    setupImageGallery(product);
+    renderVariantOptions(product);
+    renderSpecifications(product.specifications || []);
+    updateCompareButton();
+
+    document.getElementById('wishlistButton').innerHTML = renderWishlistButton(product.product_id);
+    loadWishlistIds().then(refreshWishlistButtons);
+
+    document.getElementById('productRating').innerHTML = renderStars(product.rating_average, product.rating_count);
+}
+
+function renderSpecifications(specifications) {
+    const section = document.getElementById('productSpecsSection');
+    if (specifications.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+
+    document.getElementById('specTable').innerHTML = specifications.map(spec => `
+        <tr>
+            <th>${escapeHtml(spec.name)}</th>
+            <td>${escapeHtml(spec.display_value)}</td>
+        </tr>
+    `).join('');
+    section.style.display = 'block';
+}
+
+function updateCompareButton() {
+    const compareList = getCompareList();
+    const link = document.getElementById('compareLink');
+
+    document.getElementById('compareBtn').textContent =
+        compareList.includes(currentProduct.product_id) ? 'Remove from Compare' : 'Add to Compare';
+
+    link.textContent = `View comparison (${compareList.length})`;
+    link.style.display = compareList.length > 0 ? 'inline' : 'none';
+}
+
+function toggleCompare() {
+    if (!currentProduct) return;
+
+    if (!toggleCompareProduct(currentProduct.product_id)) {
+        showNotification('You can compare up to 4 products - remove one first', 'error');
+        return;
+    }
+
+    updateCompareButton();
+}
+
+function updateStockStatus(stock) {
     const stockStatus = document.getElementById('stockStatus');
-    const stock = parseInt(product.stock_quantity) || 0;
+    const button = document.getElementById('addToCartBtn');
 
     if (stock === 0) {
         stockStatus.textContent = 'Out of Stock';
         stockStatus.className = 'stock-status out-of-stock';
-        document.getElementById('addToCartBtn').disabled = true;
-        document.getElementById('addToCartBtn').textContent = 'Out of Stock';
-    } else if (stock < 10) {
+        button.disabled = true;
+        button.textContent = 'Out of Stock';
+        return;
+    }
+
+    if (stock < 10) {
         stockStatus.textContent = `Only ${stock} left`;
         stockStatus.className = 'stock-status low-stock';
     } else {
@@ -67,9 +132,20 @@ function displayProduct(product) {
         stockStatus.className = 'stock-status in-stock';
     }
 
-    // Pricing
-    const price = parseFloat(product.price) || 0;
-    const discount = parseFloat(product.discount_percentage) || 0;
+    if (button.disabled) {
+        button.disabled = false;
+        button.innerHTML = `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <circle cx="9" cy="21" r="1"></circle>
+                <circle cx="20" cy="21" r="1"></circle>
+                <path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"></path>
+            </svg>
+            Add to Cart
+        `;
+    }
+}
+
+function updatePricing(price, discount) {
     document.getElementById('currentPrice').textContent = `$${price.toFixed(2)}`;
 
     if (discount > 0) {
@@ -79,11 +155,72 @@ function displayProduct(product) {
         document.getElementById('discountBadge').textContent = `${discount}% OFF`;
         document.getElementById('discountBadge').style.display = 'inline-block';
     }
+}
 
-    document.getElementById('productDescription').textContent =
-        product.description || 'No description available for this product.';
+// One select per option (Colour, Storage...); hidden for products sold without options
+function renderVariantOptions(product) {
+    const container = document.getElementById('variantOptions');
+    selectedVariant = null;
 
-    setupImageGallery(product);
+    if (!product.variants || product.variants.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.innerHTML = product.options.map(option => `
+        <div class="variant-option">
+            <label for="option-${option.option_id}">${escapeHtml(option.option_name)}:</label>
+            <select id="option-${option.option_id}" class="variant-select" onchange="selectVariantOption()">
+                <option value="">Choose ${escapeHtml(option.option_name)}</option>
+                ${option.values.map(value => `
+                    <option value="${value.value_id}">${escapeHtml(value.value_label)}</option>
+                `).join('')}
+            </select>
+        </div>
+    `).join('');
+    container.style.display = 'flex';
+}
+
+// Match the chosen values to a variant and show its price, stock and image
+function selectVariantOption() {
+    const chosen = Array.from(document.querySelectorAll('.variant-select'))
+        .map(select => parseInt(select.value))
+        .filter(Boolean);
+
+    currentQuantity = 1;
+    document.getElementById('quantity').value = 1;
+
+    if (chosen.length < currentProduct.options.length) {
+        selectedVariant = null;
+        updateStockStatus(parseInt(currentProduct.available_quantity) || 0);
+        updatePricing(parseFloat(currentProduct.price) || 0, parseFloat(currentProduct.discount_percentage) || 0);
+        return;
+    }
+
+    selectedVariant = currentProduct.variants.find(variant =>
+        variant.value_ids.length === chosen.length && chosen.every(id => variant.value_ids.includes(id))
+    ) || null;
+
+    // A combination that isn't sold is shown as out of stock
+    updateStockStatus(selectedVariant ? selectedVariant.available_quantity : 0);
+
+    if (selectedVariant) {
+        const price = selectedVariant.price !== null ? selectedVariant.price : parseFloat(currentProduct.price) || 0;
+        updatePricing(price, parseFloat(currentProduct.discount_percentage) || 0);
+
+        if (selectedVariant.image_url) {
+            document.getElementById('mainImage').src = selectedVariant.image_url;
+        }
+    }
+}
+
+function hasVariants() {
+    return !!(currentProduct && currentProduct.variants && currentProduct.variants.length > 0);
+}
+
+function getAvailableStock() {
+    if (!currentProduct) return 0;
+    return parseInt(selectedVariant ? selectedVariant.available_quantity : currentProduct.available_quantity) || 0;
 }
 
 function setupImageGallery(product) {
@@ -141,7 +278,7 @@ function changeMainImage(imageUrl, thumbnailElement) {
 
 function increaseQuantity() {
     const input = document.getElementById('quantity');
-    const max = currentProduct ? parseInt(currentProduct.stock_quantity) : 99;
+    const max = currentProduct ? getAvailableStock() : 99;
 
     if (currentQuantity < max) {
         currentQuantity++;
@@ -163,7 +300,12 @@ async function addToCart() {
         return;
     }
 
-    const stock = parseInt(currentProduct.stock_quantity) || 0;
+    if (hasVariants() && !selectedVariant) {
+        showNotification('Please choose product options', 'error');
+        return;
+    }
+
+    const stock = getAvailableStock();
     if (stock === 0) {
         showNotification('Product is out of stock', 'error');
         return;
@@ -185,6 +327,7 @@ async function addToCart() {
             credentials: 'include',
             body: JSON.stringify({
                 product_id: currentProduct.product_id,
+                variant_id: selectedVariant ? selectedVariant.variant_id : null,
                 quantity: currentQuantity
             })
         });
@@ -219,24 +362,371 @@ async function addToCart() {
     }
 }
 
-async function loadRelatedProducts(categoryId, excludeProductId) {
-    if (!categoryId) return;
+async function loadReviews(page) {
+    try {
+        const sort = document.getElementById('reviewSort').value;
+        const response = await fetch(
+            `${API_URL}/products/${currentProduct.product_id}/reviews?sort=${sort}&page=${page}`,
+            { credentials: 'include' }
+        );
+        if (!response.ok) return;
+
+        const result = await response.json();
+        const data = result.data;
+        reviewsPage = data.pagination.page;
+        myReview = data.my_review;
+
+        renderReviewSummary(data.summary);
+        renderMyReview(data.my_review, data.can_review);
+        renderReviewList(data.reviews);
+
+        const pagination = document.getElementById('reviewsPagination');
+        pagination.style.display = data.pagination.total_pages > 1 ? 'flex' : 'none';
+        document.getElementById('reviewsPageInfo').textContent = `Page ${data.pagination.page} of ${data.pagination.total_pages}`;
+        document.getElementById('reviewsPrev').disabled = data.pagination.page <= 1;
+        document.getElementById('reviewsNext').disabled = data.pagination.page >= data.pagination.total_pages;
+
+        document.getElementById('productReviewsSection').style.display = 'block';
+    } catch (error) {
+        console.error('Error loading reviews:', error);
+    }
+}
+
+function renderReviewSummary(summary) {
+    const container = document.getElementById('reviewsSummary');
+
+    if (summary.count === 0) {
+        container.innerHTML = '<p class="reviews-empty">No reviews yet.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="reviews-average">${summary.average.toFixed(1)}</div>
+        ${renderStars(summary.average, summary.count)}
+        <div class="rating-bars">
+            ${Object.keys(summary.distribution).sort((a, b) => b - a).map(stars => {
+                const count = summary.distribution[stars];
+                const percent = Math.round(count / summary.count * 100);
+                return `
+                    <div class="rating-bar-row">
+                        <span>${stars} star</span>
+                        <div class="rating-bar"><div class="rating-bar-fill" style="width: ${percent}%"></div></div>
+                        <span>${count}</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+// The signed-in customer's own review with its moderation status, or the form to write one
+function renderMyReview(review, canReview) {
+    const container = document.getElementById('myReview');
+
+    if (review) {
+        const statusText = {
+            pending: 'Waiting for approval',
+            approved: 'Published',
+            rejected: 'Not published'
+        }[review.status];
+
+        container.innerHTML = `
+            <div class="my-review">
+                <div class="my-review-header">
+                    <strong>Your review</strong>
+                    <span class="review-status ${review.status}">${statusText}</span>
+                </div>
+                ${renderStars(review.rating, 1)}
+                ${review.title ? `<h4>${escapeHtml(review.title)}</h4>` : ''}
+                <p>${escapeHtml(review.body)}</p>
+                ${review.status === 'rejected' && review.moderation_note ? `<p class="review-note">${escapeHtml(review.moderation_note)}</p>` : ''}
+                <div class="my-review-actions">
+                    <button type="button" class="btn-outline" onclick="showReviewForm()">Edit</button>
+                    <button type="button" class="btn-outline" onclick="deleteMyReview()">Delete</button>
+                </div>
+            </div>
+        `;
+    } else if (canReview) {
+        showReviewForm();
+    } else {
+        container.innerHTML = '';
+    }
+}
+
+function showReviewForm() {
+    const rating = myReview ? myReview.rating : 0;
+
+    document.getElementById('myReview').innerHTML = `
+        <form class="review-form" onsubmit="submitReview(event)">
+            <h3>${myReview ? 'Edit your review' : 'Write a review'}</h3>
+            <div class="rating-input">
+                ${[5, 4, 3, 2, 1].map(stars => `
+                    <input type="radio" id="rating-${stars}" name="rating" value="${stars}" ${stars === rating ? 'checked' : ''}>
+                    <label for="rating-${stars}" title="${stars} star${stars > 1 ? 's' : ''}">★</label>
+                `).join('')}
+            </div>
+            <div class="form-group">
+                <label for="reviewTitle">Title (optional)</label>
+                <input type="text" id="reviewTitle" maxlength="150" value="${myReview ? escapeHtml(myReview.title || '') : ''}">
+            </div>
+            <div class="form-group">
+                <label for="reviewBody">Your review</label>
+                <textarea id="reviewBody" rows="4" minlength="10" maxlength="5000" required>${myReview ? escapeHtml(myReview.body) : ''}</textarea>
+            </div>
+            <button type="submit" class="btn-primary">${myReview ? 'Save Review' : 'Submit Review'}</button>
+        </form>
+    `;
+}
+
+async function submitReview(event) {
+    event.preventDefault();
+
+    const checked = document.querySelector('input[name="rating"]:checked');
+    const body = {
+        rating: checked ? parseInt(checked.value) : 0,
+        title: document.getElementById('reviewTitle').value,
+        body: document.getElementById('reviewBody').value
+    };
+
+    try {
+        const response = await fetch(
+            myReview ? `${API_URL}/reviews/${myReview.review_id}` : `${API_URL}/products/${currentProduct.product_id}/reviews`,
+            {
+                method: myReview ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(body)
+            }
+        );
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Could not save review');
+        }
+
+        showNotification(result.message, 'success');
+        loadReviews(reviewsPage);
+    } catch (error) {
+        console.error('Review submit error:', error);
+        showNotification(error.message || 'Could not save review', 'error');
+    }
+}
+
+async function deleteMyReview() {
+    if (!myReview || !confirm('Delete your review?')) return;
 
+    try {
+        const response = await fetch(`${API_URL}/reviews/${myReview.review_id}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Could not delete review');
+        }
+
+        showNotification('Review deleted', 'success');
+        loadReviews(1);
+    } catch (error) {
+        console.error('Review delete error:', error);
+        showNotification(error.message || 'Could not delete review', 'error');
+    }
+}
+
+function renderReviewList(reviews) {
+    const list = document.getElementById('reviewsList');
+
+    if (reviews.length === 0) {
+        list.innerHTML = '';
+        return;
+    }
+
+    list.innerHTML = reviews.map(review => `
+        <div class="review-item">
+            <div class="review-header">
+                ${renderStars(review.rating, 1)}
+                <span class="review-author">${escapeHtml(review.reviewer_name)}</span>
+                <span class="review-date">${new Date(review.created_at).toLocaleDateString()}</span>
+            </div>
+            ${review.title ? `<h4 class="review-title">${escapeHtml(review.title)}</h4>` : ''}
+            <p class="review-body">${escapeHtml(review.body)}</p>
+            <button type="button" class="review-helpful ${review.voted_helpful ? 'voted' : ''}"
+                    onclick="toggleHelpful(${review.review_id}, ${!!review.voted_helpful})">
+                Helpful (${review.helpful_count})
+            </button>
+        </div>
+    `).join('');
+}
+
+async function toggleHelpful(reviewId, voted) {
+    try {
+        const response = await fetch(`${API_URL}/reviews/${reviewId}/helpful`, {
+            method: voted ? 'DELETE' : 'POST',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (response.status === 401) {
+            showNotification('Sign in to vote on reviews', 'error');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(result.message || 'Could not record vote');
+        }
+
+        loadReviews(reviewsPage);
+    } catch (error) {
+        console.error('Helpful vote error:', error);
+        showNotification(error.message || 'Could not record vote', 'error');
+    }
+}
+
+async function loadQuestions(page) {
     try {
         const response = await fetch(
-            `${API_URL}/products?category_id=${categoryId}&limit=4`,
+            `${API_URL}/products/${currentProduct.product_id}/questions?page=${page}`,
             { credentials: 'include' }
         );
+        if (!response.ok) return;
+
+        const result = await response.json();
+        questionsPage = result.pagination.page;
+        canAnswerQuestions = result.viewer.can_answer;
+
+        renderAskQuestion(result.viewer.signed_in);
+        renderQuestions(result.data);
+
+        const pagination = document.getElementById('questionsPagination');
+        pagination.style.display = result.pagination.total_pages > 1 ? 'flex' : 'none';
+        document.getElementById('questionsPageInfo').textContent = `Page ${result.pagination.page} of ${result.pagination.total_pages}`;
+        document.getElementById('questionsPrev').disabled = result.pagination.page <= 1;
+        document.getElementById('questionsNext').disabled = result.pagination.page >= result.pagination.total_pages;
+
+        document.getElementById('productQuestionsSection').style.display = 'block';
+    } catch (error) {
+        console.error('Error loading questions:', error);
+    }
+}
+
+function renderAskQuestion(signedIn) {
+    const container = document.getElementById('askQuestion');
+
+    if (!signedIn) {
+        const returnTo = encodeURIComponent(`product-details.html?id=${currentProduct.product_id}`);
+        container.innerHTML = `<p class="questions-signin"><a href="login.html?redirect=${returnTo}">Sign in</a> to ask a question about this product.</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <form class="question-form" onsubmit="submitQuestion(event)">
+            <textarea id="questionText" rows="2" minlength="5" maxlength="2000" placeholder="Ask about size, compatibility, what's in the box..." required></textarea>
+            <button type="submit" class="btn-primary">Ask Question</button>
+        </form>
+    `;
+}
+
+function renderQuestions(questions) {
+    const list = document.getElementById('questionsList');
+
+    if (questions.length === 0) {
+        list.innerHTML = '<p class="reviews-empty">No questions yet - be the first to ask.</p>';
+        return;
+    }
+
+    list.innerHTML = questions.map(question => `
+        <div class="question-item">
+            <div class="question-text"><strong>Q:</strong> ${escapeHtml(question.question_text)}</div>
+            <div class="question-meta">
+                Asked by ${escapeHtml(question.asked_by)} on ${new Date(question.created_at).toLocaleDateString()}
+                ${question.is_mine ? `<button type="button" class="link-btn" onclick="deleteQuestion(${question.question_id})">Delete</button>` : ''}
+            </div>
+            ${question.answers.map(answer => `
+                <div class="answer-item">
+                    <div><strong>A:</strong> ${escapeHtml(answer.answer_text)}</div>
+                    <div class="question-meta">
+                        ${escapeHtml(answer.answered_by)}
+                        <span class="answer-badge ${answer.answered_as}">${answer.answered_as === 'staff' ? 'Store' : 'Verified buyer'}</span>
+                        ${answer.status !== 'approved' ? `<span class="review-status ${answer.status}">${answer.status === 'pending' ? 'Waiting for approval' : 'Not published'}</span>` : ''}
+                    </div>
+                </div>
+            `).join('')}
+            ${question.answers.length === 0 ? '<div class="answer-item question-meta">No answers yet.</div>' : ''}
+            ${canAnswerQuestions ? `
+                <form class="answer-form" onsubmit="submitAnswer(event, ${question.question_id})">
+                    <input type="text" minlength="5" maxlength="2000" placeholder="Write an answer..." required>
+                    <button type="submit" class="btn-outline">Answer</button>
+                </form>
+            ` : ''}
+        </div>
+    `).join('');
+}
+
+// Send a Q&A change, show the server's message and reload the thread
+async function sendQuestionRequest(url, options) {
+    const response = await fetch(url, {
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        ...options
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.message || 'Request failed');
+    }
+
+    showNotification(result.message, 'success');
+    loadQuestions(questionsPage);
+}
+
+async function submitQuestion(event) {
+    event.preventDefault();
 
+    try {
+        await sendQuestionRequest(`${API_URL}/products/${currentProduct.product_id}/questions`, {
+            method: 'POST',
+            body: JSON.stringify({ question_text: document.getElementById('questionText').value })
+        });
+    } catch (error) {
+        console.error('Ask question error:', error);
+        showNotification(error.message || 'Could not post question', 'error');
+    }
+}
+
+async function submitAnswer(event, questionId) {
+    event.preventDefault();
+    const input = event.target.querySelector('input');
+
+    try {
+        await sendQuestionRequest(`${API_URL}/products/${currentProduct.product_id}/questions/${questionId}/answers`, {
+            method: 'POST',
+            body: JSON.stringify({ answer_text: input.value })
+        });
+    } catch (error) {
+        console.error('Answer question error:', error);
+        showNotification(error.message || 'Could not post answer', 'error');
+    }
+}
+
+async function deleteQuestion(questionId) {
+    if (!confirm('Delete your question?')) return;
+
+    try {
+        await sendQuestionRequest(`${API_URL}/questions/${questionId}`, { method: 'DELETE' });
+    } catch (error) {
+        console.error('Delete question error:', error);
+        showNotification(error.message || 'Could not delete question', 'error');
+    }
+}
+
+// "Frequently bought together", or products from the same category while there's no order history
+async function loadRelatedProducts(productId) {
+    try {
+        const response = await fetch(`${API_URL}/products/${productId}/recommendations?limit=4`, { credentials: 'include' });
         if (!response.ok) return;
 
         const data = await response.json();
-        const products = window.extractProductsArray(data);
-        const relatedProducts = products.filter(p => p.product_id !== excludeProductId);
-
-        if (relatedProducts.length > 0) {
-            displayRelatedProducts(relatedProducts.slice(0, 4));
-        }
+        displayRelatedProducts(data.data || []);
     } catch (error) {
         console.error('Error loading related products:', error);
     }
@@ -248,27 +738,28 @@ function displayRelatedProducts(products) {
 
     if (!products || products.length === 0) return;
 
+    document.getElementById('relatedProductsTitle').textContent =
+        products.some(product => product.reason === 'bought_together') ? 'Frequently Bought Together' : 'Related Products';
+
     grid.innerHTML = products.map(product => {
-        const price = parseFloat(product.price) || 0;
         const discount = parseFloat(product.discount_percentage) || 0;
-        const discountedPrice = discount > 0 ? price : 0;
-        const originalPrice = discount > 0 ? price / (1 - discount / 100) : price;
 
         return `
             <div class="product-card">
                 <a href="product-details.html?id=${product.product_id}" class="product-image">
                     <img src="${product.image_url || 'img/default-product.png'}"
-                         alt="${product.product_name}"
+                         alt="${escapeHtml(product.product_name)}"
                          onerror="this.src='img/default-product.png'">
                     ${discount > 0 ? `<span class="product-badge hot-deal">${discount}% OFF</span>` : ''}
                 </a>
                 <div class="product-details">
                     <h3 class="product-name">
-                        <a href="product-details.html?id=${product.product_id}">${product.product_name}</a>
+                        <a href="product-details.html?id=${product.product_id}">${escapeHtml(product.product_name)}</a>
                     </h3>
+                    ${renderStars(product.rating_average, product.rating_count)}
                     <div class="product-price">
-                        ${discount > 0 ? `<span class="price-original">$${originalPrice.toFixed(2)}</span>` : ''}
-                        <span class="price-current">$${price.toFixed(2)}</span>
+                        ${discount > 0 ? `<span class="price-original">${formatPrice(product.price)}</span>` : ''}
+                        <span class="price-current">${formatPrice(product.discounted_price)}</span>
                     </div>
                 </div>
             </div>
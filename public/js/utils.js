@@ -15,11 +15,35 @@ function truncateText(text, maxLength) {
     return text.substring(0, maxLength) + '...';
 }
 
+// Escape user-entered text before putting it into innerHTML
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function formatPrice(price) {
     const num = parseFloat(price) || 0;
     return '$' + num.toFixed(2).replace(/\d(?=(\d{3})+\.)/g, '$&,');
 }
 
+// Star rating with review count - nothing until a product has approved reviews
+function renderStars(average, count) {
+    const reviews = parseInt(count) || 0;
+    if (reviews === 0) return '';
+
+    const rating = parseFloat(average) || 0;
+    return `
+        <div class="product-rating" title="${rating.toFixed(1)} out of 5">
+            <span class="stars" style="--rating: ${rating}" aria-label="${rating.toFixed(1)} out of 5 stars">★★★★★</span>
+            <span class="rating-count">(${reviews})</span>
+        </div>
+    `;
+}
+
 function calculateDiscountedPrice(price, discountPercentage) {
     const originalPrice = parseFloat(price) || 0;
     const discount = parseFloat(discountPercentage) || 0;
@@ -139,11 +163,116 @@ async function addToCartWithQty(productId) {
     if (input) input.value = 1;
 }
 
+// Products picked for side-by-side comparison, kept across pages
+const COMPARE_STORAGE_KEY = 'compareProducts';
+const MAX_COMPARE_PRODUCTS = 4;
+
+function getCompareList() {
+    try {
+        const ids = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY) || '[]');
+        return Array.isArray(ids) ? ids.map(id => parseInt(id)).filter(Boolean) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Add or remove a product - returns false when the list is already full
+function toggleCompareProduct(productId) {
+    const id = parseInt(productId);
+    const ids = getCompareList();
+
+    if (ids.includes(id)) {
+        localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(ids.filter(existing => existing !== id)));
+        return true;
+    }
+
+    if (ids.length >= MAX_COMPARE_PRODUCTS) return false;
+
+    localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify([...ids, id]));
+    return true;
+}
+
+// Wishlisted product ids for the heart buttons - loaded once per page, empty for guests
+let wishlistIds = null;
+
+async function loadWishlistIds() {
+    if (wishlistIds) return wishlistIds;
+    try {
+        const response = await fetch(`${API_URL}/wishlist`, { credentials: 'include' });
+        const data = response.ok ? await response.json() : { data: [] };
+        wishlistIds = new Set((data.data || []).map(item => item.product_id));
+    } catch (error) {
+        wishlistIds = new Set();
+    }
+    return wishlistIds;
+}
+
+function renderWishlistButton(productId) {
+    const saved = !!wishlistIds && wishlistIds.has(parseInt(productId));
+    return `
+        <button type="button" class="wishlist-btn${saved ? ' active' : ''}" data-wishlist-id="${productId}"
+                onclick="toggleWishlist(${productId})" aria-pressed="${saved}"
+                title="${saved ? 'Remove from wishlist' : 'Save to wishlist'}">
+            <svg width="20" height="20" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78L12 21.23l8.84-8.84a5.5 5.5 0 0 0 0-7.78z"></path>
+            </svg>
+        </button>
+    `;
+}
+
+// Sync every heart on the page with the loaded wishlist
+function refreshWishlistButtons() {
+    if (!wishlistIds) return;
+    document.querySelectorAll('[data-wishlist-id]').forEach(button => {
+        const saved = wishlistIds.has(parseInt(button.dataset.wishlistId));
+        button.classList.toggle('active', saved);
+        button.setAttribute('aria-pressed', saved);
+        button.title = saved ? 'Remove from wishlist' : 'Save to wishlist';
+    });
+}
+
+// Save or unsave a product - guests are sent to sign in first
+async function toggleWishlist(productId) {
+    const id = parseInt(productId);
+    const ids = await loadWishlistIds();
+    const saved = ids.has(id);
+
+    try {
+        const response = await fetch(saved ? `${API_URL}/wishlist/${id}` : `${API_URL}/wishlist`, {
+            method: saved ? 'DELETE' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: saved ? undefined : JSON.stringify({ product_id: id })
+        });
+
+        if (response.status === 401) {
+            const returnTo = encodeURIComponent(window.location.pathname.split('/').pop() + window.location.search);
+            window.location.href = `login.html?redirect=${returnTo}`;
+            return;
+        }
+
+        const data = await response.json();
+        if (!response.ok) {
+            showNotification(data.message || 'Error updating wishlist', 'error');
+            return;
+        }
+
+        if (saved) ids.delete(id); else ids.add(id);
+        refreshWishlistButtons();
+        showNotification(saved ? 'Removed from wishlist' : 'Saved to wishlist', 'success');
+    } catch (error) {
+        console.error('Wishlist error:', error);
+        showNotification('Error updating wishlist', 'error');
+    }
+}
+
 window.API_URL = API_URL;
 window.extractProductsArray = extractProductsArray;
 window.truncateText = truncateText;
+window.escapeHtml = escapeHtml;
 window.formatPrice = formatPrice;
 window.calculateDiscountedPrice = calculateDiscountedPrice;
+window.renderStars = renderStars;
 window.showNotification = showNotification;
 window.addToCart = addToCart;
 window.handleSearch = handleSearch;
@@ -154,3 +283,9 @@ window.getURLParameter = getURLParameter;
 window.debounce = debounce;
 window.changeQuantity = changeQuantity;
 window.addToCartWithQty = addToCartWithQty;
+window.getCompareList = getCompareList;
+window.toggleCompareProduct = toggleCompareProduct;
+window.loadWishlistIds = loadWishlistIds;
+window.renderWishlistButton = renderWishlistButton;
+window.refreshWishlistButtons = refreshWishlistButtons;
+window.toggleWishlist = toggleWishlist;
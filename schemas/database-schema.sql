@@ -31,23 +31,37 @@ CREATE TABLE IF NOT EXISTS products (
     product_id INT AUTO_INCREMENT PRIMARY KEY,
     product_name VARCHAR(200) NOT NULL,
     description TEXT,
+    brand VARCHAR(100),
     price DECIMAL(10,2) NOT NULL,
     discount_percentage DECIMAL(5,2) DEFAULT 0.00,
+    -- Only changed through inventory_movements (see server/services/inventoryService.js)
     stock_quantity INT DEFAULT 0,
+    -- Staff are alerted when stock falls to this level; NULL uses the store default
+    low_stock_threshold INT NULL,
     category_id INT,
     image_url VARCHAR(500),
     is_featured TINYINT(1) DEFAULT 0,
+    -- Hot deals: while is_hot_deal = 1 the deal discount sits in discount_percentage
+    -- and the regular one waits in regular_discount_percentage (see server/services/dealService.js)
     is_hot_deal TINYINT(1) DEFAULT 0,
+    deal_discount_percentage DECIMAL(5,2) NULL,
+    regular_discount_percentage DECIMAL(5,2) NULL,
+    deal_starts_at TIMESTAMP NULL,
     deal_expires_at TIMESTAMP NULL,
+    -- Average and number of approved reviews, kept up to date by server/services/reviewService.js
+    rating_average DECIMAL(3,2) NOT NULL DEFAULT 0.00,
+    rating_count INT NOT NULL DEFAULT 0,
     is_active TINYINT(1) DEFAULT 1,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
     -- Indexes to keep lookups and filters snappy
     INDEX idx_category (category_id),
+    INDEX idx_brand (brand),
     INDEX idx_featured (is_featured),
     INDEX idx_active (is_active),
     INDEX idx_hot_deals (is_hot_deal, deal_expires_at),
+    INDEX idx_rating (rating_average, rating_count),
 
     -- Tie each product back to its category; leave it orphaned if the category goes away
     FOREIGN KEY (category_id) REFERENCES categories(category_id)
@@ -64,12 +78,134 @@ CREATE TABLE IF NOT EXISTS product_images (
     image_id INT AUTO_INCREMENT PRIMARY KEY,
     product_id INT NOT NULL,
     image_url VARCHAR(500) NOT NULL,
+    -- The primary image is mirrored into products.image_url
     is_primary TINYINT(1) DEFAULT 0,
+    sort_order INT NOT NULL DEFAULT 0,
     uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
 
-    INDEX idx_product (product_id),
+    INDEX idx_product (product_id, sort_order),
+
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- PRODUCT_OPTIONS / PRODUCT_OPTION_VALUES
+-- Option types a product comes in (Colour, Storage, Voltage) and their values.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS product_options (
+    option_id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    option_name VARCHAR(50) NOT NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+
+    UNIQUE KEY uq_product_option (product_id, option_name),
+
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS product_option_values (
+    value_id INT AUTO_INCREMENT PRIMARY KEY,
+    option_id INT NOT NULL,
+    value_label VARCHAR(100) NOT NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+
+    UNIQUE KEY uq_option_value (option_id, value_label),
+
+    FOREIGN KEY (option_id) REFERENCES product_options(option_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- PRODUCT_VARIANTS
+-- Sellable combinations of option values, each with its own SKU and stock.
+-- A product with active variants keeps the sum of their stock in products.stock_quantity.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS product_variants (
+    variant_id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    sku VARCHAR(64) NOT NULL UNIQUE,
+    -- NULL means the product's own price; the product discount applies either way
+    price DECIMAL(10,2) NULL,
+    stock_quantity INT NOT NULL DEFAULT 0,
+    image_url VARCHAR(500),
+    is_active TINYINT(1) DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_product_active (product_id, is_active),
+
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One row per option value that makes up a variant
+CREATE TABLE IF NOT EXISTS product_variant_values (
+    variant_id INT NOT NULL,
+    value_id INT NOT NULL,
+
+    PRIMARY KEY (variant_id, value_id),
+    INDEX idx_value (value_id),
+
+    FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (value_id) REFERENCES product_option_values(value_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- SPECIFICATIONS
+-- Technical attributes defined per category (screen size, energy class...) and
+-- each product's value for them. Only the column matching data_type is filled:
+-- number -> value_number (in the attribute's unit), enum -> value_text, boolean -> value_boolean.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS spec_attributes (
+    attribute_id INT AUTO_INCREMENT PRIMARY KEY,
+    category_id INT NOT NULL,
+    -- Stable name used in listing filters, e.g. ?spec[screen_size]=50-65
+    attribute_key VARCHAR(64) NOT NULL,
+    attribute_name VARCHAR(100) NOT NULL,
+    data_type ENUM('number', 'enum', 'boolean') NOT NULL,
+    unit VARCHAR(20) NULL,
+    -- Allowed choices for enum attributes, as a JSON array of strings
+    allowed_values JSON NULL,
+    is_filterable TINYINT(1) DEFAULT 1,
+    sort_order INT NOT NULL DEFAULT 0,
+
+    UNIQUE KEY uq_category_attribute (category_id, attribute_key),
+    INDEX idx_attribute_key (attribute_key),
+
+    FOREIGN KEY (category_id) REFERENCES categories(category_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS product_spec_values (
+    product_id INT NOT NULL,
+    attribute_id INT NOT NULL,
+    value_number DECIMAL(12,3) NULL,
+    value_text VARCHAR(100) NULL,
+    value_boolean TINYINT(1) NULL,
+
+    PRIMARY KEY (product_id, attribute_id),
+    -- Spec filters look values up per attribute
+    INDEX idx_attribute_number (attribute_id, value_number),
+    INDEX idx_attribute_text (attribute_id, value_text),
 
     FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (attribute_id) REFERENCES spec_attributes(attribute_id)
         ON DELETE CASCADE
         ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -87,13 +223,22 @@ CREATE TABLE IF NOT EXISTS users (
     phone VARCHAR(20),
     address TEXT,
     profile_image VARCHAR(255),
+    -- customer: shopper, staff: manages catalog and orders, admin: full access
+    role ENUM('customer', 'staff', 'admin') NOT NULL DEFAULT 'customer',
     is_active TINYINT(1) DEFAULT 1,
+    -- Bumped by a password reset; sessions signed in under an older value are signed out
+    session_version INT NOT NULL DEFAULT 0,
+    -- Set when the customer follows the signed link from their verification email
+    email_verified_at TIMESTAMP NULL,
+    -- When the last verification link went out; throttles the resend button
+    verification_sent_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     last_login TIMESTAMP NULL,
 
     INDEX idx_email (email),
-    INDEX idx_active (is_active)
+    INDEX idx_active (is_active),
+    INDEX idx_role (role)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================================
@@ -106,6 +251,8 @@ CREATE TABLE IF NOT EXISTS cart_items (
     session_id VARCHAR(255) NOT NULL,
     user_id INT NULL,
     product_id INT NOT NULL,
+    -- Chosen variant; NULL for products sold without options
+    variant_id INT NULL,
     quantity INT NOT NULL DEFAULT 1,
     added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
 
@@ -113,16 +260,74 @@ CREATE TABLE IF NOT EXISTS cart_items (
     INDEX idx_session (session_id),
     INDEX idx_product (product_id),
     INDEX fk_cart_user (user_id),
+    INDEX idx_variant (variant_id),
 
     -- Foreign keys to clean up cart lines when products or users disappear
     FOREIGN KEY (product_id) REFERENCES products(product_id)
         ON DELETE CASCADE
         ON UPDATE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
     FOREIGN KEY (user_id) REFERENCES users(user_id)
         ON DELETE CASCADE
         ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ============================================================================
+-- COUPONS
+-- Promo codes: percent or fixed discounts with limits, validity window and scope.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS coupons (
+    coupon_id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    discount_type ENUM('percent', 'fixed') NOT NULL,
+    discount_value DECIMAL(10,2) NOT NULL,
+    min_basket DECIMAL(10,2) DEFAULT 0.00,
+    -- NULL means unlimited
+    max_uses INT NULL,
+    max_uses_per_user INT NULL,
+    times_used INT NOT NULL DEFAULT 0,
+    starts_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NULL,
+    is_active TINYINT(1) DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_active (is_active)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Optional scope: a coupon with no rows here applies to the whole basket
+CREATE TABLE IF NOT EXISTS coupon_products (
+    coupon_id INT NOT NULL,
+    product_id INT NOT NULL,
+
+    PRIMARY KEY (coupon_id, product_id),
+
+    FOREIGN KEY (coupon_id) REFERENCES coupons(coupon_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS coupon_categories (
+    coupon_id INT NOT NULL,
+    category_id INT NOT NULL,
+
+    PRIMARY KEY (coupon_id, category_id),
+
+    FOREIGN KEY (coupon_id) REFERENCES coupons(coupon_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(category_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ============================================================================
 -- ORDERS
 -- Order headers: who bought, how to reach them, and current status.
@@ -130,13 +335,21 @@ CREATE TABLE IF NOT EXISTS cart_items (
 
 CREATE TABLE IF NOT EXISTS orders (
     order_id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Public, non-guessable reference shown to customers (e.g. MSE-7KQ2-XM9D-4HTP)
+    order_reference CHAR(18) NOT NULL UNIQUE,
     user_id INT NULL,
     customer_name VARCHAR(200) NOT NULL,
     customer_email VARCHAR(200) NOT NULL,
     customer_phone VARCHAR(20) NOT NULL,
     shipping_address TEXT NOT NULL,
     total_amount DECIMAL(10,2) NOT NULL,
-    order_status VARCHAR(50) DEFAULT 'pending',
+    -- Coupon discount already taken off total_amount
+    coupon_id INT NULL,
+    discount_amount DECIMAL(10,2) DEFAULT 0.00,
+    -- Lifecycle is enforced by server/services/orderStatusService.js
+    order_status ENUM('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded') NOT NULL DEFAULT 'pending',
+    -- Secret given to the customer at checkout; lets guests manage the order without a session
+    lookup_token CHAR(48) NULL UNIQUE,
     order_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
@@ -148,6 +361,9 @@ CREATE TABLE IF NOT EXISTS orders (
 
     -- Link to a registered user when we have one; keep guest orders intact
     FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+    FOREIGN KEY (coupon_id) REFERENCES coupons(coupon_id)
         ON DELETE SET NULL
         ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -162,12 +378,17 @@ CREATE TABLE IF NOT EXISTS order_items (
     order_id INT NOT NULL,
     product_id INT NOT NULL,
     product_name VARCHAR(200) NOT NULL,
+    -- Variant bought, with its SKU and option label as they were at checkout
+    variant_id INT NULL,
+    sku VARCHAR(64),
+    variant_label VARCHAR(255),
     quantity INT NOT NULL,
     unit_price DECIMAL(10,2) NOT NULL,
     subtotal DECIMAL(10,2) NOT NULL,
 
     INDEX idx_order (order_id),
     INDEX idx_product (product_id),
+    INDEX idx_variant (variant_id),
 
     -- Keep items attached to their order; prevent deleting products that appear in past orders
     FOREIGN KEY (order_id) REFERENCES orders(order_id)
@@ -175,5 +396,482 @@ CREATE TABLE IF NOT EXISTS order_items (
         ON UPDATE CASCADE,
     FOREIGN KEY (product_id) REFERENCES products(product_id)
         ON DELETE RESTRICT
+        ON UPDATE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id)
+        ON DELETE RESTRICT
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- ORDER_STATUS_HISTORY
+-- Audit trail of every order status change: who moved it, from what, and when.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    history_id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    from_status VARCHAR(50) NULL,
+    to_status VARCHAR(50) NOT NULL,
+    changed_by INT NULL,
+    note VARCHAR(500),
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_order (order_id),
+    INDEX idx_changed_at (changed_at),
+
+    -- History goes with its order; keep the entry if the acting user is removed
+    FOREIGN KEY (order_id) REFERENCES orders(order_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(user_id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- PAYMENTS
+-- Payment attempts against an order, as reported by the payment provider.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS payments (
+    payment_id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    provider_ref VARCHAR(100) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    -- refund_pending: the order was cancelled or refunded and the provider hasn't confirmed the refund yet
+    status ENUM('requires_confirmation', 'requires_action', 'succeeded', 'failed', 'refund_pending', 'refunded') NOT NULL DEFAULT 'requires_confirmation',
+    failure_reason VARCHAR(255),
+    next_action_url VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    -- Webhooks find payments by the provider's own reference
+    UNIQUE KEY uq_provider_ref (provider, provider_ref),
+    INDEX idx_order (order_id),
+    INDEX idx_status (status),
+
+    -- Payments are financial records; never let an order with payments be deleted
+    FOREIGN KEY (order_id) REFERENCES orders(order_id)
+        ON DELETE RESTRICT
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- COUPON_REDEMPTIONS
+-- One row per order that used a coupon; drives per-customer usage limits.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    redemption_id INT AUTO_INCREMENT PRIMARY KEY,
+    coupon_id INT NOT NULL,
+    order_id INT NOT NULL,
+    user_id INT NULL,
+    customer_email VARCHAR(200),
+    discount_amount DECIMAL(10,2) NOT NULL,
+    redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_coupon_user (coupon_id, user_id),
+    INDEX idx_coupon_email (coupon_id, customer_email),
+
+    FOREIGN KEY (coupon_id) REFERENCES coupons(coupon_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- PRODUCT_REVIEWS
+-- Star ratings from customers with a delivered order for the product, one per product per user.
+-- New and edited reviews wait for moderation; only approved ones are shown and counted.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS product_reviews (
+    review_id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    user_id INT NOT NULL,
+    rating TINYINT NOT NULL,
+    title VARCHAR(150) NULL,
+    body TEXT NOT NULL,
+    status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+    moderation_note VARCHAR(255) NULL,
+    moderated_by INT NULL,
+    moderated_at TIMESTAMP NULL,
+    helpful_count INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_product_user (product_id, user_id),
+    INDEX idx_product_status (product_id, status),
+    INDEX idx_status (status, created_at),
+
+    CONSTRAINT chk_review_rating CHECK (rating BETWEEN 1 AND 5),
+
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (moderated_by) REFERENCES users(user_id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One "helpful" vote per user per review
+CREATE TABLE IF NOT EXISTS review_votes (
+    review_id INT NOT NULL,
+    user_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (review_id, user_id),
+    INDEX idx_user (user_id),
+
+    FOREIGN KEY (review_id) REFERENCES product_reviews(review_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- PRODUCT_QUESTIONS
+-- Customer questions about a product and the answers to them.
+-- Questions show straight away; answers from verified buyers wait for moderation,
+-- answers from staff are published immediately.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS product_questions (
+    question_id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    user_id INT NOT NULL,
+    question_text TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_product_created (product_id, created_at),
+
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS product_answers (
+    answer_id INT AUTO_INCREMENT PRIMARY KEY,
+    question_id INT NOT NULL,
+    user_id INT NOT NULL,
+    answer_text TEXT NOT NULL,
+    -- How the author was allowed to answer, shown as a badge
+    answered_as ENUM('staff', 'verified_buyer') NOT NULL,
+    status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+    moderated_by INT NULL,
+    moderated_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_question_status (question_id, status),
+    INDEX idx_status (status, created_at),
+
+    FOREIGN KEY (question_id) REFERENCES product_questions(question_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (moderated_by) REFERENCES users(user_id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- WISHLIST_ITEMS
+-- Products a customer has saved for later, one row per product per user.
+-- Optional alerts: a price drop below the price last seen, or a restock after
+-- the product ran out. alert_price and awaiting_restock are the state the
+-- alert check compares against.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS wishlist_items (
+    wishlist_item_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    product_id INT NOT NULL,
+    notify_price_drop TINYINT(1) NOT NULL DEFAULT 0,
+    notify_back_in_stock TINYINT(1) NOT NULL DEFAULT 0,
+    -- Effective price when the item was saved or the last price alert was sent
+    alert_price DECIMAL(10,2) NULL,
+    -- Set while the product is out of stock, cleared once the restock alert goes out
+    awaiting_restock TINYINT(1) NOT NULL DEFAULT 0,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_user_product (user_id, product_id),
+    INDEX idx_product (product_id),
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- USER_NOTIFICATIONS
+-- In-app messages for a customer, e.g. wishlist price-drop and back-in-stock alerts.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_notifications (
+    notification_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    notification_type VARCHAR(50) NOT NULL,
+    title VARCHAR(150) NOT NULL,
+    message VARCHAR(500) NOT NULL,
+    link_url VARCHAR(255) NULL,
+    is_read TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_user_read (user_id, is_read, created_at),
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE CASCADE
         ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- PRODUCT_CO_PURCHASES
+-- How many orders contained both products; drives "frequently bought together".
+-- Stored in both directions so each product's list is one index range.
+-- Updated as orders are placed; rebuilt from order_items when empty.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS product_co_purchases (
+    product_id INT NOT NULL,
+    related_product_id INT NOT NULL,
+    order_count INT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (product_id, related_product_id),
+    INDEX idx_product_count (product_id, order_count),
+
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (related_product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- PRODUCT_VIEWS
+-- Products a signed-in customer has opened, most recent visit per product.
+-- Seeds the customer's personal recommendations.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS product_views (
+    user_id INT NOT NULL,
+    product_id INT NOT NULL,
+    view_count INT NOT NULL DEFAULT 1,
+    last_viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (user_id, product_id),
+    INDEX idx_user_viewed (user_id, last_viewed_at),
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- INVENTORY_MOVEMENTS
+-- Ledger of every stock change: sales, restocks, adjustments, returns and cancellations.
+-- quantity_change is signed; quantity_after is the product's (or variant's) stock after it.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    movement_id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    -- Set when the stock belongs to a variant; the product total follows the variants
+    variant_id INT NULL,
+    movement_type ENUM('sale', 'restock', 'adjustment', 'return', 'cancellation') NOT NULL,
+    quantity_change INT NOT NULL,
+    quantity_after INT NOT NULL,
+    reason VARCHAR(255) NULL,
+    -- The order behind a sale or cancellation
+    order_id INT NULL,
+    -- Outside document, e.g. a supplier delivery note
+    reference VARCHAR(100) NULL,
+    -- Who made the change; NULL for guest checkouts and system jobs
+    performed_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_product_created (product_id, created_at),
+    INDEX idx_type (movement_type, created_at),
+    INDEX idx_order (order_id),
+
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+    FOREIGN KEY (performed_by) REFERENCES users(user_id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- LOW_STOCK_ALERTS
+-- Raised when a product's stock falls to its low-stock threshold; one unresolved alert
+-- per product at a time. Resolved automatically once stock is back above the threshold.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS low_stock_alerts (
+    alert_id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    status ENUM('open', 'acknowledged', 'resolved') NOT NULL DEFAULT 'open',
+    -- Latest stock level and the threshold it was compared with
+    stock_quantity INT NOT NULL,
+    threshold INT NOT NULL,
+    acknowledged_by INT NULL,
+    acknowledged_at TIMESTAMP NULL,
+    resolved_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_product_status (product_id, status),
+    INDEX idx_status (status, created_at),
+
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (acknowledged_by) REFERENCES users(user_id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- STOCK_RESERVATIONS
+-- Cart quantities held for a shopper between starting checkout and placing the order.
+-- Held units don't count as available to anyone else until expires_at; placing the
+-- order turns them into a sale and removes the rows. Expired rows are swept periodically.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    reservation_id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Same owner as the cart: the user when signed in, otherwise the session
+    session_id VARCHAR(255) NOT NULL,
+    user_id INT NULL,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    quantity INT NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_product_expiry (product_id, expires_at),
+    INDEX idx_variant (variant_id),
+    INDEX idx_session (session_id),
+    INDEX idx_user (user_id),
+    INDEX idx_expires (expires_at),
+
+    FOREIGN KEY (product_id) REFERENCES products(product_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- EMAIL_OUTBOX
+-- Every outgoing email, rendered when queued and delivered by a background worker.
+-- Failed sends are retried with growing delays until MAIL_MAX_ATTEMPTS is reached.
+-- Queued in the same transaction as the change it reports, so no email is lost or
+-- sent for a change that was rolled back.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    email_id INT AUTO_INCREMENT PRIMARY KEY,
+    template VARCHAR(50) NOT NULL,
+    to_address VARCHAR(255) NOT NULL,
+    reply_to VARCHAR(255) NULL,
+    subject VARCHAR(255) NOT NULL,
+    html_body MEDIUMTEXT NOT NULL,
+    text_body MEDIUMTEXT NOT NULL,
+    status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- When a worker picked the email up; a stale claim means the worker died mid-send
+    claimed_at TIMESTAMP NULL,
+    last_error VARCHAR(500) NULL,
+    transport VARCHAR(20) NULL,
+    message_id VARCHAR(255) NULL,
+    -- What the email is about, for support lookups
+    user_id INT NULL,
+    order_id INT NULL,
+    sent_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_status_due (status, next_attempt_at),
+    INDEX idx_user (user_id),
+    INDEX idx_order (order_id),
+    INDEX idx_created (created_at),
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id)
+        ON DELETE SET NULL
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- PASSWORD_RESET_TOKENS
+-- One-time links for customers who forgot their password. Only the SHA-256 hash of
+-- the token is stored; the token itself exists only in the emailed link. A token is
+-- spent by a reset (used_at) and a newer request replaces any older unused one.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    token_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_expires (expires_at),
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- SEARCH_QUERIES
+-- Submitted search terms and how often they are used; feeds popular-search suggestions.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS search_queries (
+    query_text VARCHAR(100) PRIMARY KEY,
+    search_count INT NOT NULL DEFAULT 1,
+    result_count INT NOT NULL DEFAULT 0,
+    last_searched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_search_count (search_count)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -29,33 +29,61 @@ const initDatabase = async () => {
     }
 };
 
-const query = async (sql, params = []) => {
-    try {
-        const [results] = await pool.query(sql, params);
-        return results;
-    } catch (err) {
-        console.error('Query error:', err.message);
-        throw err;
-    }
-};
+// Build query/get/run helpers on top of the pool or a single connection
+const createHelpers = (getExecutor) => {
+    const query = async (sql, params = []) => {
+        try {
+            const [results] = await getExecutor().query(sql, params);
+            return results;
+        } catch (err) {
+            console.error('Query error:', err.message);
+            throw err;
+        }
+    };
 
-const get = async (sql, params = []) => {
-    try {
-        const [results] = await pool.query(sql, params);
-        return results[0] || null;
-    } catch (err) {
-        console.error('Get error:', err.message);
-        throw err;
-    }
+    const get = async (sql, params = []) => {
+        try {
+            const [results] = await getExecutor().query(sql, params);
+            return results[0] || null;
+        } catch (err) {
+            console.error('Get error:', err.message);
+            throw err;
+        }
+    };
+
+    const run = async (sql, params = []) => {
+        try {
+            const [result] = await getExecutor().execute(sql, params);
+            return { lastID: result.insertId, changes: result.affectedRows };
+        } catch (err) {
+            console.error('Run error:', err.message);
+            throw err;
+        }
+    };
+
+    return { query, get, run };
 };
 
-const run = async (sql, params = []) => {
+const { query, get, run } = createHelpers(() => pool);
+
+// Run callback inside a transaction on one pooled connection
+// Commits when the callback resolves, rolls back if it throws
+const transaction = async (callback) => {
+    const connection = await pool.getConnection();
     try {
-        const [result] = await pool.execute(sql, params);
-        return { lastID: result.insertId, changes: result.affectedRows };
+        await connection.beginTransaction();
+        const result = await callback(createHelpers(() => connection));
+        await connection.commit();
+        return result;
     } catch (err) {
-        console.error('Run error:', err.message);
+        try {
+            await connection.rollback();
+        } catch (rollbackErr) {
+            console.error('Rollback error:', rollbackErr.message);
+        }
         throw err;
+    } finally {
+        connection.release();
     }
 };
 
@@ -64,6 +92,7 @@ const database = {
     query,
     get,
     run,
+    transaction,
     getDb: () => pool
 };
 
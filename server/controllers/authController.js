@@ -2,6 +2,17 @@ const bcrypt = require('bcryptjs');
 const database = require('../config/database');
 const { sendSuccess, sendError } = require('../utils/responseHelper');
 const { isValidEmail, isValidPassword, validateFields, sanitizeEmail } = require('../utils/validationHelper');
+const { processUpload, describeImage, removeImage } = require('../services/imageService');
+const { releaseReservations } = require('../services/reservationService');
+const { MAIL_TEMPLATES, queueEmail } = require('../services/mailService');
+const { requestPasswordReset, resetPassword: resetPasswordWithToken } = require('../services/passwordResetService');
+const {
+    EMAIL_VERIFICATION_MODE,
+    isVerificationEnabled,
+    sendVerificationEmail,
+    verifyEmail: verifyEmailWithToken,
+    resendVerification: resendVerificationEmail
+} = require('../services/emailVerificationService');
 
 // Register new user
 const register = async (req, res) => {
@@ -37,11 +48,29 @@ const register = async (req, res) => {
         );
 
         const newUser = await database.get(
-            'SELECT user_id, email, full_name, phone, address, created_at FROM users WHERE user_id = ?',
+            'SELECT user_id, email, full_name, phone, address, role, created_at FROM users WHERE user_id = ?',
             [result.lastID]
         );
 
-        return sendSuccess(res, newUser, 'User registered successfully', 201);
+        // The account is usable either way - a lost welcome email isn't worth failing sign-up over
+        queueEmail(database, {
+            template: MAIL_TEMPLATES.WELCOME,
+            to: newUser.email,
+            data: { fullName: newUser.full_name },
+            userId: newUser.user_id
+        }).catch(err => console.error('Welcome email error:', err.message));
+
+        // A lost link can be sent again from the profile page
+        if (isVerificationEnabled()) {
+            sendVerificationEmail(database, newUser)
+                .catch(err => console.error('Verification email error:', err.message));
+        }
+
+        return sendSuccess(res, {
+            ...newUser,
+            email_verified: false,
+            email_verification_mode: EMAIL_VERIFICATION_MODE
+        }, 'User registered successfully', 201);
     } catch (error) {
         console.error('Registration error:', error);
         return sendError(res, 'Registration failed', 500);
@@ -75,6 +104,8 @@ const login = async (req, res) => {
 
         req.session.userId = user.user_id;
         req.session.email = user.email;
+        // Checked on every request - a password reset signs this session out
+        req.session.sessionVersion = user.session_version;
 
         // Merge guest cart if exists
         if (req.session.guestSessionId) {
@@ -82,6 +113,9 @@ const login = async (req, res) => {
             delete req.session.guestSessionId;
         }
 
+        // Holds taken as a guest would now count against the signed-in customer
+        await releaseReservations(database, { sessionId: req.session.id });
+
         const userData = {
             user_id: user.user_id,
             email: user.email,
@@ -89,6 +123,7 @@ const login = async (req, res) => {
             phone: user.phone,
             address: user.address,
             profile_image: user.profile_image,
+            role: user.role,
             created_at: user.created_at
         };
 
@@ -116,7 +151,7 @@ const getCurrentUser = async (req, res) => {
         }
 
         const user = await database.get(
-            'SELECT user_id, email, full_name, phone, address, profile_image, created_at, last_login FROM users WHERE user_id = ? AND is_active = TRUE',
+            'SELECT user_id, email, full_name, phone, address, profile_image, role, created_at, last_login, email_verified_at FROM users WHERE user_id = ? AND is_active = TRUE',
             [req.session.userId]
         );
 
@@ -125,7 +160,12 @@ const getCurrentUser = async (req, res) => {
             return sendError(res, 'User not found', 401);
         }
 
-        return sendSuccess(res, user);
+        return sendSuccess(res, {
+            ...user,
+            profile_image_variants: describeImage(user.profile_image),
+            email_verified: !!user.email_verified_at,
+            email_verification_mode: EMAIL_VERIFICATION_MODE
+        });
     } catch (error) {
         console.error('Get user error:', error);
         return sendError(res, 'Failed to get user', 500);
@@ -199,6 +239,87 @@ const changePassword = async (req, res) => {
     }
 };
 
+// Email a reset link - the reply is the same whether or not the address has an account
+const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!isValidEmail(email)) {
+            return sendError(res, 'Invalid email format', 400);
+        }
+
+        // Not awaited, so the response time doesn't give registered addresses away either
+        requestPasswordReset(sanitizeEmail(email))
+            .catch(err => console.error('Password reset request error:', err.message));
+
+        return sendSuccess(res, null, 'If an account exists for that email, we have sent a link to reset the password');
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        return sendError(res, 'Failed to request a password reset', 500);
+    }
+};
+
+// Set a new password with the token from a reset link - signs the account out everywhere
+const resetPassword = async (req, res) => {
+    try {
+        const { token, new_password } = req.body;
+
+        if (!token) {
+            return sendError(res, 'Reset token required', 400);
+        }
+
+        if (!isValidPassword(new_password)) {
+            return sendError(res, 'Password must be at least 6 characters', 400);
+        }
+
+        await resetPasswordWithToken(String(token), new_password);
+
+        return sendSuccess(res, null, 'Password updated - please sign in with your new password');
+    } catch (error) {
+        if (error.isOperational) {
+            return sendError(res, error.message, error.statusCode);
+        }
+        console.error('Reset password error:', error);
+        return sendError(res, 'Password reset failed', 500);
+    }
+};
+
+// Confirm the address from a verification link - works without being signed in
+const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return sendError(res, 'Verification token required', 400);
+        }
+
+        await verifyEmailWithToken(String(token));
+
+        return sendSuccess(res, null, 'Email address verified');
+    } catch (error) {
+        if (error.isOperational) {
+            return sendError(res, error.message, error.statusCode);
+        }
+        console.error('Verify email error:', error);
+        return sendError(res, 'Email verification failed', 500);
+    }
+};
+
+// Send the signed-in customer a fresh verification link
+const resendVerification = async (req, res) => {
+    try {
+        await resendVerificationEmail(req.session.userId);
+
+        return sendSuccess(res, null, 'Verification email sent - please check your inbox');
+    } catch (error) {
+        if (error.isOperational) {
+            return sendError(res, error.message, error.statusCode);
+        }
+        console.error('Resend verification error:', error);
+        return sendError(res, 'Failed to send verification email', 500);
+    }
+};
+
 // Merge guest cart items into user cart after login
 const mergeGuestCart = async (sessionId, userId) => {
     try {
@@ -210,9 +331,10 @@ const mergeGuestCart = async (sessionId, userId) => {
         if (guestItems.length === 0) return;
 
         for (const item of guestItems) {
+            // Each variant is its own cart line
             const existingItem = await database.get(
-                'SELECT * FROM cart_items WHERE user_id = ? AND product_id = ?',
-                [userId, item.product_id]
+                'SELECT * FROM cart_items WHERE user_id = ? AND product_id = ? AND variant_id <=> ?',
+                [userId, item.product_id, item.variant_id]
             );
 
             if (existingItem) {
@@ -250,14 +372,35 @@ const uploadAvatar = async (req, res) => {
             return res.status(400).json({ success: false, message: 'No file uploaded' });
         }
 
-        const relativePath = `/uploads/profiles/${req.file.filename}`;
+        // Stored as resized copies without EXIF/GPS data, never as the original upload
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const variants = await processUpload(req.file.buffer, {
+            folder: 'profiles',
+            baseName: `user-${req.session.userId}-${uniqueSuffix}`
+        });
+
+        const previous = await database.get('SELECT profile_image FROM users WHERE user_id = ?', [req.session.userId]);
+
+        const relativePath = variants.card.fallback;
         await database.run(
             'UPDATE users SET profile_image = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
             [relativePath, req.session.userId]
         );
 
-        res.json({ success: true, message: 'Profile picture updated', data: { image_url: relativePath } });
+        // The old picture's sizes go once the new one is saved
+        if (previous && previous.profile_image && previous.profile_image !== relativePath) {
+            await removeImage(previous.profile_image);
+        }
+
+        res.json({
+            success: true,
+            message: 'Profile picture updated',
+            data: { image_url: relativePath, variants: describeImage(relativePath) }
+        });
     } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         console.error('Avatar upload error:', error);
         res.status(500).json({ success: false, message: 'Upload failed' });
     }
@@ -270,6 +413,10 @@ module.exports = {
     getCurrentUser,
     updateProfile,
     changePassword,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     checkAuthStatus,
     uploadAvatar
 };
@@ -1,41 +1,95 @@
 const database = require('../config/database');
 const { getCurrentUserId, getSessionId } = require('../middleware/authMiddleware');
+const { findCoupon, evaluateCoupon, normalizeCode } = require('../services/couponService');
+const { variantLabelSql, getProductsWithVariants } = require('../services/variantService');
+const { EFFECTIVE_DISCOUNT_SQL } = require('../services/dealService');
+const {
+    RESERVATION_TTL_MINUTES,
+    getReservedByOthers,
+    availableStock,
+    reserveStock,
+    releaseReservations,
+    getReservationExpiry
+} = require('../services/reservationService');
+const { needsVerification } = require('../services/emailVerificationService');
+
+// A variant's own price overrides the product price; the product discount applies to both
+const UNIT_PRICE_SQL = 'COALESCE(v.price, p.price)';
+// Same discount checkout charges, so an ended deal the scheduler hasn't reverted yet isn't shown here either
+const DISCOUNTED_UNIT_PRICE_SQL = `(${UNIT_PRICE_SQL} - (${UNIT_PRICE_SQL} * (${EFFECTIVE_DISCOUNT_SQL}) / 100))`;
+
+// Coupon check for the current cart - the code lives in the session until checkout
+const evaluateSessionCoupon = async (req, code, cartItems) => {
+    const coupon = await findCoupon(database, code);
+    const lines = cartItems.map(item => ({
+        product_id: item.product_id,
+        category_id: item.category_id,
+        line_total: item.discounted_subtotal
+    }));
+
+    const result = await evaluateCoupon(database, coupon, lines, {
+        userId: getCurrentUserId(req),
+        email: req.session.email || null
+    });
+
+    return { code: normalizeCode(code), ...result };
+};
+
+// Reservations belong to whoever owns the cart
+const reservationOwner = (req) => ({ userId: getCurrentUserId(req), sessionId: getSessionId(req) });
+
+// Held quantities no longer match a changed cart - the shopper starts checkout again
+const releaseCartHolds = (req) => releaseReservations(database, reservationOwner(req));
+
+// Items in the session's cart with discounted line totals
+// Lines for a variant use its price, stock and image
+const fetchCartItems = async (req) => {
+    const userId = getCurrentUserId(req);
+    const sessionId = getSessionId(req);
+
+    let sql = `
+        SELECT c.cart_id, c.product_id, c.variant_id, c.quantity, c.added_at,
+               p.product_name, ${UNIT_PRICE_SQL} as price, ${EFFECTIVE_DISCOUNT_SQL} as discount_percentage,
+               COALESCE(v.stock_quantity, p.stock_quantity) as stock_quantity, p.description,
+               COALESCE(v.image_url, p.image_url) as image_url, p.category_id,
+               v.sku, ${variantLabelSql('c.variant_id')} as variant_label,
+               ROUND((${UNIT_PRICE_SQL} * c.quantity), 2) as subtotal,
+               ROUND(${DISCOUNTED_UNIT_PRICE_SQL}, 2) as discounted_price,
+               ROUND((${DISCOUNTED_UNIT_PRICE_SQL} * c.quantity), 2) as discounted_subtotal
+        FROM cart_items c
+        INNER JOIN products p ON c.product_id = p.product_id
+        LEFT JOIN product_variants v ON c.variant_id = v.variant_id
+        WHERE p.is_active = TRUE AND (c.variant_id IS NULL OR v.is_active = TRUE)
+    `;
+
+    const params = [];
+
+    // Cart is tracked by user_id OR session_id
+    if (userId) {
+        sql += ' AND c.user_id = ?';
+        params.push(userId);
+    } else if (sessionId) {
+        sql += ' AND c.session_id = ? AND c.user_id IS NULL';
+        params.push(sessionId);
+    } else {
+        return [];
+    }
+
+    sql += ' ORDER BY c.added_at DESC';
+    return database.query(sql, params);
+};
 
 // Get cart - works for both authenticated users and guests
+// available_quantity leaves out units other shoppers hold at checkout
 const getCart = async (req, res) => {
     try {
-        const userId = getCurrentUserId(req);
-        const sessionId = getSessionId(req);
-
-        let sql = `
-            SELECT c.cart_id, c.product_id, c.quantity, c.added_at,
-                   p.product_name, p.price, p.discount_percentage, p.stock_quantity, p.description, p.image_url,
-                   ROUND((p.price * c.quantity), 2) as subtotal,
-                   ROUND((p.price - (p.price * p.discount_percentage / 100)), 2) as discounted_price,
-                   ROUND(((p.price - (p.price * p.discount_percentage / 100)) * c.quantity), 2) as discounted_subtotal
-            FROM cart_items c
-            INNER JOIN products p ON c.product_id = p.product_id
-            WHERE p.is_active = TRUE
-        `;
-
-        const params = [];
-
-        // Cart is tracked by user_id OR session_id
-        if (userId) {
-            sql += ' AND c.user_id = ?';
-            params.push(userId);
-        } else if (sessionId) {
-            sql += ' AND c.session_id = ? AND c.user_id IS NULL';
-            params.push(sessionId);
-        } else {
-            return res.json({
-                success: true,
-                data: { items: [], summary: { total_items: 0, subtotal: 0, discount_amount: 0, total_amount: 0 } }
-            });
-        }
-
-        sql += ' ORDER BY c.added_at DESC';
-        const cartItems = await database.query(sql, params);
+        const owner = reservationOwner(req);
+        const lines = await fetchCartItems(req);
+        const reserved = await getReservedByOthers(database, [...new Set(lines.map(item => item.product_id))], owner);
+        const cartItems = lines.map(item => ({
+            ...item,
+            available_quantity: availableStock(reserved, item.stock_quantity, item.product_id, item.variant_id)
+        }));
 
         // Calculate totals
         const summary = {
@@ -45,9 +99,21 @@ const getCart = async (req, res) => {
                 const discount = Number(item.subtotal) - Number(item.discounted_subtotal);
                 return sum + discount;
             }, 0),
-            total_amount: cartItems.reduce((sum, item) => sum + Number(item.discounted_subtotal), 0)
+            total_amount: cartItems.reduce((sum, item) => sum + Number(item.discounted_subtotal), 0),
+            coupon: null,
+            coupon_discount: 0,
+            reserved_until: await getReservationExpiry(database, owner)
         };
 
+        // Applied coupon comes off the already-discounted total
+        if (req.session.couponCode && cartItems.length > 0) {
+            summary.coupon = await evaluateSessionCoupon(req, req.session.couponCode, cartItems);
+            if (summary.coupon.valid) {
+                summary.coupon_discount = summary.coupon.discount;
+                summary.total_amount -= summary.coupon.discount;
+            }
+        }
+
         // Round to 2 decimals
         summary.subtotal = Math.round(summary.subtotal * 100) / 100;
         summary.discount_amount = Math.round(summary.discount_amount * 100) / 100;
@@ -60,9 +126,10 @@ const getCart = async (req, res) => {
     }
 };
 
+// Products sold through variants need variant_id; stock is checked on the variant
 const addToCart = async (req, res) => {
     try {
-        const { product_id, quantity } = req.body;
+        const { product_id, variant_id, quantity } = req.body;
         const userId = getCurrentUserId(req);
         const sessionId = getSessionId(req);
 
@@ -84,51 +151,76 @@ const addToCart = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Product not available' });
         }
 
+        let stockQuantity = product.stock_quantity;
+        let variantId = null;
+
+        const variantProducts = await getProductsWithVariants(database, [product.product_id]);
+        if (variantProducts.has(product.product_id)) {
+            if (!variant_id) {
+                return res.status(400).json({ success: false, message: 'Please choose product options' });
+            }
+
+            const variant = await database.get(
+                'SELECT variant_id, stock_quantity, is_active FROM product_variants WHERE variant_id = ? AND product_id = ?',
+                [variant_id, product.product_id]
+            );
+
+            if (!variant || !variant.is_active) {
+                return res.status(404).json({ success: false, message: 'Selected option is not available' });
+            }
+
+            stockQuantity = variant.stock_quantity;
+            variantId = variant.variant_id;
+        }
+
+        // The same product in another variant is a separate cart line
         let existingItem;
         if (userId) {
             existingItem = await database.get(
-                'SELECT cart_id, quantity FROM cart_items WHERE user_id = ? AND product_id = ?',
-                [userId, product_id]
+                'SELECT cart_id, quantity FROM cart_items WHERE user_id = ? AND product_id = ? AND variant_id <=> ?',
+                [userId, product_id, variantId]
             );
         } else if (sessionId) {
             existingItem = await database.get(
-                'SELECT cart_id, quantity FROM cart_items WHERE session_id = ? AND product_id = ? AND user_id IS NULL',
-                [sessionId, product_id]
+                'SELECT cart_id, quantity FROM cart_items WHERE session_id = ? AND product_id = ? AND variant_id <=> ? AND user_id IS NULL',
+                [sessionId, product_id, variantId]
             );
         }
 
         if (existingItem) {
             const newQuantity = existingItem.quantity + qty;
 
-            if (newQuantity > product.stock_quantity) {
-                return res.status(400).json({ success: false, message: `Only ${product.stock_quantity} available` });
+            if (newQuantity > stockQuantity) {
+                return res.status(400).json({ success: false, message: `Only ${stockQuantity} available` });
             }
 
             await database.run(
                 'UPDATE cart_items SET quantity = ?, added_at = CURRENT_TIMESTAMP WHERE cart_id = ?',
                 [newQuantity, existingItem.cart_id]
             );
+            await releaseCartHolds(req);
 
             return res.json({
                 success: true,
                 message: 'Cart updated',
-                data: { cart_id: existingItem.cart_id, product_id, quantity: newQuantity, action: 'updated' }
+                data: { cart_id: existingItem.cart_id, product_id, variant_id: variantId, quantity: newQuantity, action: 'updated' }
             });
         }
 
-        if (qty > product.stock_quantity) {
-            return res.status(400).json({ success: false, message: `Only ${product.stock_quantity} available` });
+        if (qty > stockQuantity) {
+            return res.status(400).json({ success: false, message: `Only ${stockQuantity} available` });
         }
 
         const result = await database.run(
-            'INSERT INTO cart_items (user_id, session_id, product_id, quantity) VALUES (?, ?, ?, ?)',
-            [userId || null, sessionId || null, product_id, qty]
+            'INSERT INTO cart_items (user_id, session_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?, ?)',
+            [userId || null, sessionId || null, product_id, variantId, qty]
         );
+        await releaseCartHolds(req);
 
         res.status(201).json({
             success: true,
             message: 'Added to cart',
-            data: { cart_id: result.lastID, product_id, quantity: qty, action: 'added' }
+            data: { cart_id: result.lastID, product_id, variant_id: variantId, quantity: qty, action: 'added' }
         });
     } catch (error) {
         console.error('Add to cart error:', error);
@@ -152,12 +244,12 @@ const updateCartItem = async (req, res) => {
 
         if (userId) {
             cartItem = await database.get(
-                'SELECT cart_id, product_id FROM cart_items WHERE cart_id = ? AND user_id = ?',
+                'SELECT cart_id, product_id, variant_id FROM cart_items WHERE cart_id = ? AND user_id = ?',
                 [cart_id, userId]
             );
         } else if (sessionId) {
             cartItem = await database.get(
-                'SELECT cart_id, product_id FROM cart_items WHERE cart_id = ? AND session_id = ? AND user_id IS NULL',
+                'SELECT cart_id, product_id, variant_id FROM cart_items WHERE cart_id = ? AND session_id = ? AND user_id IS NULL',
                 [cart_id, sessionId]
             );
         }
@@ -166,16 +258,25 @@ const updateCartItem = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Cart item not found' });
         }
 
-        const product = await database.get(
-            'SELECT stock_quantity, price, discount_percentage FROM products WHERE product_id = ?',
-            [cartItem.product_id]
-        );
+        // Variant lines are limited by the variant's own stock
+        const product = await database.get(`
+            SELECT COALESCE(v.stock_quantity, p.stock_quantity) as stock_quantity, ${UNIT_PRICE_SQL} as price, ${EFFECTIVE_DISCOUNT_SQL} as discount_percentage
+            FROM products p
+            LEFT JOIN product_variants v ON v.variant_id = ? AND v.product_id = p.product_id
+            WHERE p.product_id = ?
+        `, [cartItem.variant_id, cartItem.product_id]);
+
+        // The product was deleted since it went in the cart - same answer addToCart gives
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not available' });
+        }
 
         if (qty > product.stock_quantity) {
             return res.status(400).json({ success: false, message: `Only ${product.stock_quantity} available` });
         }
 
         await database.run('UPDATE cart_items SET quantity = ? WHERE cart_id = ?', [qty, cart_id]);
+        await releaseCartHolds(req);
 
         const price = product.price;
         const discountedPrice = price - (price * product.discount_percentage / 100);
@@ -210,6 +311,7 @@ const removeCartItem = async (req, res) => {
         }
 
         await database.run('DELETE FROM cart_items WHERE cart_id = ?', [cart_id]);
+        await releaseCartHolds(req);
         res.json({ success: true, message: 'Item removed' });
     } catch (error) {
         console.error('Remove cart item error:', error);
@@ -235,6 +337,7 @@ const clearCart = async (req, res) => {
         }
 
         await database.run(sql, params);
+        await releaseCartHolds(req);
         res.json({ success: true, message: 'Cart cleared' });
     } catch (error) {
         console.error('Clear cart error:', error);
@@ -267,45 +370,172 @@ const getCartCount = async (req, res) => {
     }
 };
 
+// Lines that can't be ordered as they stand; stock is what's left after other shoppers' holds
+const findCartIssues = async (req) => {
+    const userId = getCurrentUserId(req);
+    const sessionId = getSessionId(req);
+
+    let sql = `
+        SELECT c.cart_id, c.product_id, c.variant_id, c.quantity, p.product_name, p.is_active,
+               COALESCE(v.stock_quantity, p.stock_quantity) as stock_quantity, v.is_active as variant_active
+        FROM cart_items c
+        INNER JOIN products p ON c.product_id = p.product_id
+        LEFT JOIN product_variants v ON c.variant_id = v.variant_id
+    `;
+
+    const params = [];
+
+    if (userId) {
+        sql += ' WHERE c.user_id = ?';
+        params.push(userId);
+    } else if (sessionId) {
+        sql += ' WHERE c.session_id = ? AND c.user_id IS NULL';
+        params.push(sessionId);
+    } else {
+        return { cartItems: [], issues: [] };
+    }
+
+    const cartItems = await database.query(sql, params);
+    const productIds = [...new Set(cartItems.map(item => item.product_id))];
+    const variantProducts = await getProductsWithVariants(database, productIds);
+    const reserved = await getReservedByOthers(database, productIds, reservationOwner(req));
+    const issues = [];
+
+    for (const item of cartItems) {
+        const available = availableStock(reserved, item.stock_quantity, item.product_id, item.variant_id);
+
+        if (!item.is_active) {
+            issues.push({ cart_id: item.cart_id, product_id: item.product_id, product_name: item.product_name, issue: 'Product unavailable' });
+        } else if (item.variant_id && !item.variant_active) {
+            issues.push({ cart_id: item.cart_id, product_id: item.product_id, product_name: item.product_name, issue: 'Selected option unavailable' });
+        } else if (!item.variant_id && variantProducts.has(item.product_id)) {
+            issues.push({ cart_id: item.cart_id, product_id: item.product_id, product_name: item.product_name, issue: 'Please choose product options' });
+        } else if (item.quantity > available) {
+            issues.push({ cart_id: item.cart_id, product_id: item.product_id, product_name: item.product_name, issue: `Only ${available} in stock (have ${item.quantity})` });
+        }
+    }
+
+    return { cartItems, issues };
+};
+
 const validateCart = async (req, res) => {
     try {
-        const userId = getCurrentUserId(req);
-        const sessionId = getSessionId(req);
+        const { issues } = await findCartIssues(req);
+        res.json({ success: true, valid: issues.length === 0, issues });
+    } catch (error) {
+        console.error('Validate cart error:', error);
+        res.status(500).json({ success: false, message: 'Failed to validate cart' });
+    }
+};
+
+/**
+ * Start checkout: hold every cart line for RESERVATION_TTL_MINUTES so nobody else can buy it meanwhile
+ * Starting again - even after a cart change or a cancelled checkout - keeps the first hold's expiry,
+ * which the session remembers; 409 with the issues when part of the cart can't be held
+ */
+const startCheckout = async (req, res) => {
+    try {
+        // Checked before any stock is held for an order that can't be placed yet
+        if (await needsVerification(database, getCurrentUserId(req))) {
+            return res.status(403).json({ success: false, message: 'Please verify your email address before placing an order' });
+        }
 
-        let sql = `
-            SELECT c.cart_id, c.product_id, c.quantity, p.product_name, p.stock_quantity, p.is_active
-            FROM cart_items c
-            INNER JOIN products p ON c.product_id = p.product_id
-        `;
+        const { cartItems, issues } = await findCartIssues(req);
 
-        const params = [];
+        if (cartItems.length === 0) {
+            return res.status(400).json({ success: false, message: 'Cart is empty' });
+        }
+        if (issues.length > 0) {
+            return res.status(409).json({ success: false, message: 'Some items in your cart need attention', issues });
+        }
 
-        if (userId) {
-            sql += ' WHERE c.user_id = ?';
-            params.push(userId);
-        } else if (sessionId) {
-            sql += ' WHERE c.session_id = ? AND c.user_id IS NULL';
-            params.push(sessionId);
-        } else {
-            return res.json({ success: true, valid: true, issues: [] });
+        const keepUntil = req.session.checkoutHoldUntil ? new Date(req.session.checkoutHoldUntil) : null;
+        const { shortfalls, expiresAt, remainingSeconds } = await reserveStock(reservationOwner(req), cartItems.map(item => ({
+            cart_id: item.cart_id,
+            product_id: item.product_id,
+            variant_id: item.variant_id,
+            product_name: item.product_name,
+            quantity: item.quantity
+        })), { keepUntil });
+
+        if (shortfalls.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Some items in your cart need attention',
+                issues: shortfalls.map(item => ({
+                    cart_id: item.cart_id,
+                    product_id: item.product_id,
+                    product_name: item.product_name,
+                    issue: `Only ${item.available} in stock (have ${item.quantity})`
+                }))
+            });
         }
 
-        const cartItems = await database.query(sql, params);
-        const issues = [];
+        req.session.checkoutHoldUntil = expiresAt;
 
-        for (const item of cartItems) {
-            if (!item.is_active) {
-                issues.push({ cart_id: item.cart_id, product_id: item.product_id, product_name: item.product_name, issue: 'Product unavailable' });
-            } else if (item.quantity > item.stock_quantity) {
-                issues.push({ cart_id: item.cart_id, product_id: item.product_id, product_name: item.product_name, issue: `Only ${item.stock_quantity} in stock (have ${item.quantity})` });
-            }
+        res.json({
+            success: true,
+            message: `Your items are held for ${Math.ceil(remainingSeconds / 60)} minutes`,
+            data: { reserved_until: expiresAt, remaining_seconds: remainingSeconds, ttl_minutes: RESERVATION_TTL_MINUTES }
+        });
+    } catch (error) {
+        console.error('Start checkout error:', error);
+        res.status(500).json({ success: false, message: 'Failed to start checkout' });
+    }
+};
+
+// Checkout abandoned - give the held units back straight away instead of waiting for expiry
+const cancelCheckout = async (req, res) => {
+    try {
+        await releaseCartHolds(req);
+        res.json({ success: true, message: 'Checkout cancelled' });
+    } catch (error) {
+        console.error('Cancel checkout error:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel checkout' });
+    }
+};
+
+const applyCoupon = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code || !String(code).trim()) {
+            return res.status(400).json({ success: false, message: 'Coupon code required' });
         }
 
-        res.json({ success: true, valid: issues.length === 0, issues });
+        const cartItems = await fetchCartItems(req);
+        if (cartItems.length === 0) {
+            return res.status(400).json({ success: false, message: 'Cart is empty' });
+        }
+
+        const result = await evaluateSessionCoupon(req, code, cartItems);
+        if (!result.valid) {
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        req.session.couponCode = result.code;
+        res.json({ success: true, message: result.message, data: result });
     } catch (error) {
-        console.error('Validate cart error:', error);
-        res.status(500).json({ success: false, message: 'Failed to validate cart' });
+        console.error('Apply coupon error:', error);
+        res.status(500).json({ success: false, message: 'Failed to apply coupon' });
     }
 };
 
-module.exports = { getCart, addToCart, updateCartItem, removeCartItem, clearCart, getCartCount, validateCart };
+const removeCoupon = async (req, res) => {
+    delete req.session.couponCode;
+    res.json({ success: true, message: 'Coupon removed' });
+};
+
+module.exports = {
+    getCart,
+    addToCart,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    getCartCount,
+    validateCart,
+    startCheckout,
+    cancelCheckout,
+    applyCoupon,
+    removeCoupon
+};
@@ -0,0 +1,59 @@
+const database = require('../config/database');
+const { getCurrentUserId } = require('../middleware/authMiddleware');
+const { isValidEmail, sanitizeEmail } = require('../utils/validationHelper');
+const { MAIL_TEMPLATES, MAIL_STORE_ADDRESS, queueEmail } = require('../services/mailService');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_PHONE_LENGTH = 30;
+const MAX_MESSAGE_LENGTH = 5000;
+// One message per session per minute keeps the form from being used to flood the inbox
+const CONTACT_COOLDOWN_MS = 60 * 1000;
+
+// Contact page form: { name, email, phone, message } - emailed to the store, replies go to the sender
+const sendContactMessage = async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        const email = sanitizeEmail(String(req.body.email || ''));
+        const phone = String(req.body.phone || '').trim();
+        const message = String(req.body.message || '').trim();
+
+        if (!name || !message) {
+            return res.status(400).json({ success: false, message: 'Name and message required' });
+        }
+        if (!isValidEmail(email)) {
+            return res.status(400).json({ success: false, message: 'Invalid email format' });
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            return res.status(400).json({ success: false, message: `Name must be at most ${MAX_NAME_LENGTH} characters` });
+        }
+        if (phone.length > MAX_PHONE_LENGTH) {
+            return res.status(400).json({ success: false, message: `Phone must be at most ${MAX_PHONE_LENGTH} characters` });
+        }
+        if (message.length > MAX_MESSAGE_LENGTH) {
+            return res.status(400).json({ success: false, message: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` });
+        }
+
+        const lastSent = req.session.lastContactAt || 0;
+        if (Date.now() - lastSent < CONTACT_COOLDOWN_MS) {
+            return res.status(429).json({ success: false, message: 'Please wait a minute before sending another message' });
+        }
+
+        await queueEmail(database, {
+            template: MAIL_TEMPLATES.CONTACT_MESSAGE,
+            to: MAIL_STORE_ADDRESS,
+            replyTo: email,
+            data: { name, email, phone, message },
+            userId: getCurrentUserId(req)
+        });
+        req.session.lastContactAt = Date.now();
+
+        res.status(201).json({ success: true, message: 'Thank you for your message! We will get back to you soon.' });
+    } catch (error) {
+        console.error('Contact message error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send message' });
+    }
+};
+
+module.exports = {
+    sendContactMessage
+};
@@ -0,0 +1,171 @@
+const database = require('../config/database');
+const { DISCOUNT_TYPES, normalizeCode } = require('../services/couponService');
+
+const COUPON_FIELDS = ['description', 'discount_type', 'discount_value', 'min_basket', 'max_uses', 'max_uses_per_user', 'starts_at', 'expires_at', 'is_active'];
+
+// Check coupon fields - partial is true for updates, where everything is optional
+const validateCoupon = (data, partial = false) => {
+    if (!partial && (!data.code || !data.discount_type || data.discount_value === undefined)) {
+        return 'Code, discount type and discount value required';
+    }
+    if (data.discount_type !== undefined && !Object.values(DISCOUNT_TYPES).includes(data.discount_type)) {
+        return 'Discount type must be percent or fixed';
+    }
+    if (data.discount_value !== undefined && !(Number(data.discount_value) > 0)) {
+        return 'Discount value must be positive';
+    }
+    if (data.discount_type === DISCOUNT_TYPES.PERCENT && Number(data.discount_value) > 100) {
+        return 'Percent discount cannot exceed 100';
+    }
+    for (const field of ['starts_at', 'expires_at']) {
+        if (data[field] && isNaN(Date.parse(data[field]))) {
+            return `Invalid ${field}`;
+        }
+    }
+    return null;
+};
+
+// Replace a coupon's product and category scope
+const saveScope = async (tx, couponId, { product_ids, category_ids }) => {
+    if (Array.isArray(product_ids)) {
+        await tx.run('DELETE FROM coupon_products WHERE coupon_id = ?', [couponId]);
+        for (const productId of product_ids) {
+            await tx.run('INSERT INTO coupon_products (coupon_id, product_id) VALUES (?, ?)', [couponId, productId]);
+        }
+    }
+    if (Array.isArray(category_ids)) {
+        await tx.run('DELETE FROM coupon_categories WHERE coupon_id = ?', [couponId]);
+        for (const categoryId of category_ids) {
+            await tx.run('INSERT INTO coupon_categories (coupon_id, category_id) VALUES (?, ?)', [couponId, categoryId]);
+        }
+    }
+};
+
+const getCouponWithScope = async (couponId) => {
+    const coupon = await database.get('SELECT * FROM coupons WHERE coupon_id = ?', [couponId]);
+    if (!coupon) return null;
+
+    const products = await database.query('SELECT product_id FROM coupon_products WHERE coupon_id = ?', [couponId]);
+    const categories = await database.query('SELECT category_id FROM coupon_categories WHERE coupon_id = ?', [couponId]);
+
+    return {
+        ...coupon,
+        discount_value: parseFloat(coupon.discount_value),
+        min_basket: parseFloat(coupon.min_basket),
+        product_ids: products.map(p => p.product_id),
+        category_ids: categories.map(c => c.category_id)
+    };
+};
+
+const getAllCoupons = async (req, res) => {
+    try {
+        const coupons = await database.query('SELECT * FROM coupons ORDER BY created_at DESC');
+        res.json({ success: true, count: coupons.length, data: coupons });
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve coupons' });
+    }
+};
+
+const getCouponById = async (req, res) => {
+    try {
+        const coupon = await getCouponWithScope(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ success: false, message: 'Coupon not found' });
+        }
+        res.json({ success: true, data: coupon });
+    } catch (error) {
+        console.error('Get coupon error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve coupon' });
+    }
+};
+
+const createCoupon = async (req, res) => {
+    try {
+        const error = validateCoupon(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const code = normalizeCode(req.body.code);
+        const existing = await database.get('SELECT coupon_id FROM coupons WHERE code = ?', [code]);
+        if (existing) {
+            return res.status(409).json({ success: false, message: 'Coupon code already exists' });
+        }
+
+        const { description, discount_type, discount_value, min_basket, max_uses, max_uses_per_user, starts_at, expires_at } = req.body;
+
+        const couponId = await database.transaction(async (tx) => {
+            const result = await tx.run(`
+                INSERT INTO coupons (code, description, discount_type, discount_value, min_basket, max_uses, max_uses_per_user, starts_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                code, description || null, discount_type, discount_value, min_basket || 0,
+                max_uses || null, max_uses_per_user || null,
+                starts_at ? new Date(starts_at) : null, expires_at ? new Date(expires_at) : null
+            ]);
+
+            await saveScope(tx, result.lastID, req.body);
+            return result.lastID;
+        });
+
+        res.status(201).json({ success: true, message: 'Coupon created', data: await getCouponWithScope(couponId) });
+    } catch (error) {
+        console.error('Create coupon error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create coupon' });
+    }
+};
+
+const updateCoupon = async (req, res) => {
+    try {
+        const existing = await database.get('SELECT * FROM coupons WHERE coupon_id = ?', [req.params.id]);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Coupon not found' });
+        }
+
+        const error = validateCoupon({ discount_type: existing.discount_type, ...req.body }, true);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        // Only fields present in the body are changed, so limits and dates can be cleared with null
+        const updates = COUPON_FIELDS.filter(field => req.body[field] !== undefined);
+
+        await database.transaction(async (tx) => {
+            if (updates.length > 0) {
+                const values = updates.map(field => {
+                    const value = req.body[field];
+                    if (field === 'starts_at' || field === 'expires_at') return value ? new Date(value) : null;
+                    if (field === 'is_active') return value ? 1 : 0;
+                    return value;
+                });
+                await tx.run(
+                    `UPDATE coupons SET ${updates.map(field => `${field} = ?`).join(', ')} WHERE coupon_id = ?`,
+                    [...values, req.params.id]
+                );
+            }
+            await saveScope(tx, req.params.id, req.body);
+        });
+
+        res.json({ success: true, message: 'Coupon updated', data: await getCouponWithScope(req.params.id) });
+    } catch (error) {
+        console.error('Update coupon error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update coupon' });
+    }
+};
+
+// Coupons are referenced by past orders, so deleting only deactivates
+const deleteCoupon = async (req, res) => {
+    try {
+        const result = await database.run('UPDATE coupons SET is_active = 0 WHERE coupon_id = ?', [req.params.id]);
+        if (result.changes === 0) {
+            return res.status(404).json({ success: false, message: 'Coupon not found' });
+        }
+        res.json({ success: true, message: 'Coupon deactivated' });
+    } catch (error) {
+        console.error('Delete coupon error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete coupon' });
+    }
+};
+
+module.exports = { getAllCoupons, getCouponById, createCoupon, updateCoupon, deleteCoupon };
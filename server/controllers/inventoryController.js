@@ -0,0 +1,296 @@
+const database = require('../config/database');
+const { getCurrentUserId } = require('../middleware/authMiddleware');
+const { APIError } = require('../middleware/errorHandler');
+const { getProductsWithVariants } = require('../services/variantService');
+const {
+    MOVEMENT_TYPES,
+    ALERT_STATUSES,
+    DEFAULT_LOW_STOCK_THRESHOLD,
+    checkLowStock,
+    recordMovement
+} = require('../services/inventoryService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_TEXT_LENGTH = 255;
+const MAX_REFERENCE_LENGTH = 100;
+
+// Movement types staff can book by hand - sales and cancellations come from orders
+const MANUAL_ADJUSTMENT_TYPES = [MOVEMENT_TYPES.ADJUSTMENT, MOVEMENT_TYPES.RETURN];
+
+const parsePaging = (query) => ({
+    page: Math.max(parseInt(query.page) || 1, 1),
+    pageSize: Math.min(Math.max(parseInt(query.page_size) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+});
+
+const cleanText = (value, maxLength) => {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    return text ? text.slice(0, maxLength) : null;
+};
+
+const isWholeNumber = (value) => value !== null && value !== '' && Number.isInteger(Number(value));
+
+const handleError = (res, error, context, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error(`${context} error:`, error);
+    res.status(500).json({ success: false, message });
+};
+
+/**
+ * The product (and variant) a stock change is for
+ * Products sold through variants are stocked per variant, so a variant_id is required for them
+ */
+const findStockTarget = async (productId, variantId) => {
+    const product = await database.get('SELECT product_id, product_name FROM products WHERE product_id = ?', [productId]);
+    if (!product) {
+        throw new APIError('Product not found', 404);
+    }
+
+    const hasVariants = (await getProductsWithVariants(database, [product.product_id])).size > 0;
+    if (!variantId) {
+        if (hasVariants) {
+            throw new APIError('This product is stocked per variant - give a variant_id', 400);
+        }
+        return { product, variantId: null };
+    }
+
+    const variant = await database.get(
+        'SELECT variant_id FROM product_variants WHERE variant_id = ? AND product_id = ?',
+        [variantId, product.product_id]
+    );
+    if (!variant) {
+        throw new APIError('Variant not found', 404);
+    }
+    return { product, variantId: variant.variant_id };
+};
+
+// Book a stock change and reply with the movement
+const bookMovement = async (req, res, { type, quantityChange, reason, successMessage }) => {
+    const { product, variantId } = await findStockTarget(req.params.id, req.body.variant_id);
+
+    const movement = await database.transaction(async (tx) => {
+        const booked = await recordMovement(tx, {
+            productId: product.product_id,
+            variantId,
+            type,
+            quantityChange,
+            reason,
+            reference: cleanText(req.body.reference, MAX_REFERENCE_LENGTH),
+            performedBy: getCurrentUserId(req)
+        });
+        if (!booked) {
+            throw new APIError(`Not enough stock of ${product.product_name} to remove ${-quantityChange}`, 409);
+        }
+        return booked;
+    });
+
+    res.status(201).json({ success: true, message: successMessage, data: movement });
+};
+
+// Goods received from a supplier: { quantity, variant_id, reference, reason }
+const receiveStock = async (req, res) => {
+    try {
+        const { quantity } = req.body;
+        if (!isWholeNumber(quantity) || Number(quantity) <= 0) {
+            return res.status(400).json({ success: false, message: 'Quantity must be a whole number above 0' });
+        }
+
+        await bookMovement(req, res, {
+            type: MOVEMENT_TYPES.RESTOCK,
+            quantityChange: Number(quantity),
+            reason: cleanText(req.body.reason, MAX_TEXT_LENGTH) || 'Stock received',
+            successMessage: 'Stock received'
+        });
+    } catch (error) {
+        handleError(res, error, 'Receive stock', 'Failed to receive stock');
+    }
+};
+
+/**
+ * Correct a count or book a customer return: { quantity_change, type, reason, variant_id, reference }
+ * quantity_change is signed for adjustments (-2 for two damaged units); returns only add stock
+ */
+const adjustStock = async (req, res) => {
+    try {
+        const type = req.body.type || MOVEMENT_TYPES.ADJUSTMENT;
+        const { quantity_change } = req.body;
+        const reason = cleanText(req.body.reason, MAX_TEXT_LENGTH);
+
+        if (!MANUAL_ADJUSTMENT_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, message: `Type must be one of: ${MANUAL_ADJUSTMENT_TYPES.join(', ')}` });
+        }
+        if (!isWholeNumber(quantity_change) || Number(quantity_change) === 0) {
+            return res.status(400).json({ success: false, message: 'Quantity change must be a whole number other than 0' });
+        }
+        if (type === MOVEMENT_TYPES.RETURN && Number(quantity_change) < 0) {
+            return res.status(400).json({ success: false, message: 'Returns add stock - use a positive quantity change' });
+        }
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'Reason required' });
+        }
+
+        await bookMovement(req, res, {
+            type,
+            quantityChange: Number(quantity_change),
+            reason,
+            successMessage: type === MOVEMENT_TYPES.RETURN ? 'Return booked' : 'Stock adjusted'
+        });
+    } catch (error) {
+        handleError(res, error, 'Adjust stock', 'Failed to adjust stock');
+    }
+};
+
+// Ledger of a product, newest first - ?type=sale and ?variant_id=12 narrow it down
+const getProductMovements = async (req, res) => {
+    try {
+        const product = await database.get(`
+            SELECT product_id, product_name, stock_quantity, low_stock_threshold,
+                   COALESCE(low_stock_threshold, ?) AS effective_threshold
+            FROM products WHERE product_id = ?
+        `, [DEFAULT_LOW_STOCK_THRESHOLD, req.params.id]);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const conditions = ['m.product_id = ?'];
+        const params = [product.product_id];
+        if (req.query.type) {
+            if (!Object.values(MOVEMENT_TYPES).includes(req.query.type)) {
+                return res.status(400).json({ success: false, message: 'Invalid movement type' });
+            }
+            conditions.push('m.movement_type = ?');
+            params.push(req.query.type);
+        }
+        if (req.query.variant_id) {
+            conditions.push('m.variant_id = ?');
+            params.push(req.query.variant_id);
+        }
+
+        const where = conditions.join(' AND ');
+        const { page, pageSize } = parsePaging(req.query);
+        const countRow = await database.get(`SELECT COUNT(*) as total FROM inventory_movements m WHERE ${where}`, params);
+        const total = parseInt(countRow.total) || 0;
+
+        const movements = await database.query(`
+            SELECT m.*, v.sku, u.full_name AS performed_by_name, o.order_reference
+            FROM inventory_movements m
+            LEFT JOIN product_variants v ON m.variant_id = v.variant_id
+            LEFT JOIN users u ON m.performed_by = u.user_id
+            LEFT JOIN orders o ON m.order_id = o.order_id
+            WHERE ${where}
+            ORDER BY m.created_at DESC, m.movement_id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, pageSize, (page - 1) * pageSize]);
+
+        res.json({
+            success: true,
+            data: {
+                product,
+                movements,
+                pagination: { page, page_size: pageSize, total, total_pages: Math.ceil(total / pageSize) }
+            }
+        });
+    } catch (error) {
+        handleError(res, error, 'Get stock movements', 'Failed to retrieve stock movements');
+    }
+};
+
+// Set a product's low-stock threshold: { low_stock_threshold: 10 }, or null for the store default
+const updateLowStockThreshold = async (req, res) => {
+    try {
+        const { low_stock_threshold } = req.body;
+        const useDefault = low_stock_threshold === null;
+        if (!useDefault && !(isWholeNumber(low_stock_threshold) && Number(low_stock_threshold) >= 0)) {
+            return res.status(400).json({ success: false, message: 'Threshold must be a whole number of 0 or more, or null for the default' });
+        }
+
+        const product = await database.get('SELECT product_id FROM products WHERE product_id = ?', [req.params.id]);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        // The current count may now be on the other side of the line
+        await database.transaction(async (tx) => {
+            await tx.run(
+                'UPDATE products SET low_stock_threshold = ? WHERE product_id = ?',
+                [useDefault ? null : Number(low_stock_threshold), product.product_id]
+            );
+            await checkLowStock(tx, product.product_id);
+        });
+
+        res.json({
+            success: true,
+            message: 'Low-stock threshold updated',
+            data: {
+                product_id: product.product_id,
+                low_stock_threshold: useDefault ? null : Number(low_stock_threshold),
+                effective_threshold: useDefault ? DEFAULT_LOW_STOCK_THRESHOLD : Number(low_stock_threshold)
+            }
+        });
+    } catch (error) {
+        handleError(res, error, 'Update low-stock threshold', 'Failed to update threshold');
+    }
+};
+
+// Low-stock alerts, oldest first - open ones by default
+const getLowStockAlerts = async (req, res) => {
+    try {
+        const status = req.query.status || ALERT_STATUSES.OPEN;
+        if (!Object.values(ALERT_STATUSES).includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid alert status' });
+        }
+
+        const { page, pageSize } = parsePaging(req.query);
+        const countRow = await database.get('SELECT COUNT(*) as total FROM low_stock_alerts WHERE status = ?', [status]);
+        const total = parseInt(countRow.total) || 0;
+
+        const alerts = await database.query(`
+            SELECT a.*, p.product_name, p.stock_quantity AS current_stock, u.full_name AS acknowledged_by_name
+            FROM low_stock_alerts a
+            JOIN products p ON a.product_id = p.product_id
+            LEFT JOIN users u ON a.acknowledged_by = u.user_id
+            WHERE a.status = ?
+            ORDER BY a.created_at ASC, a.alert_id ASC
+            LIMIT ? OFFSET ?
+        `, [status, pageSize, (page - 1) * pageSize]);
+
+        res.json({
+            success: true,
+            count: alerts.length,
+            pagination: { page, page_size: pageSize, total, total_pages: Math.ceil(total / pageSize) },
+            data: alerts
+        });
+    } catch (error) {
+        handleError(res, error, 'Get low-stock alerts', 'Failed to retrieve low-stock alerts');
+    }
+};
+
+// Mark an open alert as seen - it stays until stock is back above the threshold
+const acknowledgeLowStockAlert = async (req, res) => {
+    try {
+        const result = await database.run(`
+            UPDATE low_stock_alerts
+            SET status = ?, acknowledged_by = ?, acknowledged_at = NOW()
+            WHERE alert_id = ? AND status = ?
+        `, [ALERT_STATUSES.ACKNOWLEDGED, getCurrentUserId(req), req.params.alertId, ALERT_STATUSES.OPEN]);
+
+        if (result.changes === 0) {
+            return res.status(404).json({ success: false, message: 'Open alert not found' });
+        }
+
+        res.json({ success: true, message: 'Alert acknowledged', data: { alert_id: parseInt(req.params.alertId), status: ALERT_STATUSES.ACKNOWLEDGED } });
+    } catch (error) {
+        handleError(res, error, 'Acknowledge low-stock alert', 'Failed to acknowledge alert');
+    }
+};
+
+module.exports = {
+    receiveStock,
+    adjustStock,
+    getProductMovements,
+    updateLowStockThreshold,
+    getLowStockAlerts,
+    acknowledgeLowStockAlert
+};
@@ -0,0 +1,58 @@
+const database = require('../config/database');
+const { OUTBOX_STATUSES } = require('../services/mailService');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Outbox, newest first, without bodies - ?status=failed and ?to=someone@example.com narrow it down
+const listOutbox = async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        if (req.query.status) {
+            if (!Object.values(OUTBOX_STATUSES).includes(req.query.status)) {
+                return res.status(400).json({ success: false, message: 'Invalid status' });
+            }
+            conditions.push('status = ?');
+            params.push(req.query.status);
+        }
+        if (req.query.to) {
+            conditions.push('to_address = ?');
+            params.push(String(req.query.to).trim().toLowerCase());
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const emails = await database.query(`
+            SELECT email_id, template, to_address, reply_to, subject, status, attempts, next_attempt_at,
+                   last_error, transport, user_id, order_id, sent_at, created_at
+            FROM email_outbox
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC, email_id DESC
+            LIMIT ?
+        `, [...params, limit]);
+
+        res.json({ success: true, count: emails.length, data: emails });
+    } catch (error) {
+        console.error('List outbox error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve emails' });
+    }
+};
+
+// One email with its HTML and text bodies
+const getOutboxEmail = async (req, res) => {
+    try {
+        const email = await database.get('SELECT * FROM email_outbox WHERE email_id = ?', [req.params.id]);
+        if (!email) {
+            return res.status(404).json({ success: false, message: 'Email not found' });
+        }
+        res.json({ success: true, data: email });
+    } catch (error) {
+        console.error('Get outbox email error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve email' });
+    }
+};
+
+module.exports = {
+    listOutbox,
+    getOutboxEmail
+};
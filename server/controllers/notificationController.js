@@ -0,0 +1,74 @@
+const database = require('../config/database');
+const { getCurrentUserId } = require('../middleware/authMiddleware');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Latest notifications, newest first, with the unread count - ?unread=true for unread only
+const getNotifications = async (req, res) => {
+    try {
+        const userId = getCurrentUserId(req);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const unreadOnly = req.query.unread === 'true';
+
+        const notifications = await database.query(`
+            SELECT notification_id, notification_type, title, message, link_url, is_read, created_at
+            FROM user_notifications
+            WHERE user_id = ?${unreadOnly ? ' AND is_read = 0' : ''}
+            ORDER BY created_at DESC, notification_id DESC
+            LIMIT ?
+        `, [userId, limit]);
+
+        const countRow = await database.get(
+            'SELECT COUNT(*) as unread FROM user_notifications WHERE user_id = ? AND is_read = 0',
+            [userId]
+        );
+
+        res.json({
+            success: true,
+            count: notifications.length,
+            unread_count: parseInt(countRow.unread) || 0,
+            data: notifications.map(notification => ({ ...notification, is_read: !!notification.is_read }))
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve notifications' });
+    }
+};
+
+const markNotificationRead = async (req, res) => {
+    try {
+        const result = await database.run(
+            'UPDATE user_notifications SET is_read = 1 WHERE notification_id = ? AND user_id = ?',
+            [req.params.id, getCurrentUserId(req)]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ success: false, message: 'Notification not found' });
+        }
+
+        res.json({ success: true, message: 'Notification marked as read' });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update notification' });
+    }
+};
+
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const result = await database.run(
+            'UPDATE user_notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0',
+            [getCurrentUserId(req)]
+        );
+
+        res.json({ success: true, message: 'All notifications marked as read', data: { updated: result.changes } });
+    } catch (error) {
+        console.error('Mark notifications read error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update notifications' });
+    }
+};
+
+module.exports = {
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead
+};
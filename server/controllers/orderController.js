@@ -1,10 +1,82 @@
 // server/controllers/orderController.js
 // Controller for managing orders
 
+const crypto = require('crypto');
 const database = require('../config/database');
-const { getCurrentUserId, getSessionId } = require('../middleware/authMiddleware');
+const { getCurrentUserId, getSessionId, isStaffRequest } = require('../middleware/authMiddleware');
+const { APIError } = require('../middleware/errorHandler');
 const { sendSuccess, sendError } = require('../utils/responseHelper');
+const { isValidEmail, sanitizeEmail } = require('../utils/validationHelper');
+const { ORDER_STATUSES, isValidStatus, canTransition, recordStatusChange, transitionOrder } = require('../services/orderStatusService');
+const { canViewOrder, canAccessOrder, rememberPlacedOrder, generateLookupToken } = require('../services/orderAccessService');
+const { createPaymentForOrder, getLatestPayment, requestOrderRefunds, settleRefundsInBackground } = require('../services/paymentService');
+const { findCoupon, evaluateCoupon, redeemCoupon, releaseOrderCoupon } = require('../services/couponService');
+const { EFFECTIVE_DISCOUNT_SQL } = require('../services/dealService');
+const { variantLabelSql, getProductsWithVariants } = require('../services/variantService');
+const { recordCoPurchases } = require('../services/recommendationService');
+const { MOVEMENT_TYPES, recordMovement, restockOrder } = require('../services/inventoryService');
+const { getReservedByOthers, availableStock, releaseReservations } = require('../services/reservationService');
+const { MAIL_TEMPLATES, queueEmail } = require('../services/mailService');
+const { needsVerification } = require('../services/emailVerificationService');
 
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+const isValidDate = (value) => !isNaN(Date.parse(value));
+
+const ORDER_DETAIL_SQL = `
+    SELECT order_id, order_reference, user_id, customer_name, customer_email, customer_phone, shipping_address,
+           total_amount, discount_amount, order_status, lookup_token, order_date, updated_at
+    FROM orders
+`;
+
+// Header plus line items and status history, shared by order detail and guest lookup
+const buildOrderDetails = async (order) => {
+    const items = await database.query(`
+        SELECT oi.order_item_id, oi.product_id, oi.variant_id, oi.sku, oi.variant_label, oi.product_name,
+               oi.quantity, oi.unit_price, oi.subtotal, COALESCE(v.image_url, p.image_url) as image_url
+        FROM order_items oi
+        LEFT JOIN products p ON oi.product_id = p.product_id
+        LEFT JOIN product_variants v ON oi.variant_id = v.variant_id
+        WHERE oi.order_id = ?
+        ORDER BY oi.order_item_id
+    `, [order.order_id]);
+
+    const statusHistory = await database.query(`
+        SELECT from_status, to_status, note, changed_at
+        FROM order_status_history
+        WHERE order_id = ?
+        ORDER BY changed_at, history_id
+    `, [order.order_id]);
+
+    const payment = await getLatestPayment(order.order_id);
+
+    return {
+        ...order,
+        total_amount: parseFloat(order.total_amount),
+        discount_amount: parseFloat(order.discount_amount),
+        payment: payment ? { ...payment, amount: parseFloat(payment.amount) } : null,
+        order_items: items.map(item => ({
+            ...item,
+            unit_price: parseFloat(item.unit_price),
+            subtotal: parseFloat(item.subtotal)
+        })),
+        status_history: statusHistory
+    };
+};
+
+// Public order reference like MSE-7KQ2-XM9D-4HTP - 60 random bits, no look-alike characters
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateOrderReference = () => {
+    const chars = Array.from(crypto.randomBytes(12), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]);
+    return `MSE-${chars.slice(0, 4).join('')}-${chars.slice(4, 8).join('')}-${chars.slice(8).join('')}`;
+};
+
+const normalizeOrderReference = (reference) => String(reference).trim().toUpperCase();
+
+// Everything from reading the cart to clearing it runs in one transaction
+// Product and variant rows are locked with FOR UPDATE so concurrent checkouts can't oversell
 const createOrder = async (req, res) => {
     try {
         const { shipping_address, customer_email, full_name, phone } = req.body;
@@ -15,82 +87,471 @@ const createOrder = async (req, res) => {
             return sendError(res, 'Missing shipping details', 400);
         }
 
-        let cartSql = `
-            SELECT c.*, p.price, p.product_name, p.discount_percentage, p.stock_quantity
-            FROM cart_items c
-            JOIN products p ON c.product_id = p.product_id
-            WHERE `;
+        // The address ends up in mail headers, so anything but a plain address is refused here
+        if (!isValidEmail(customer_email)) {
+            return sendError(res, 'Invalid email format', 400);
+        }
 
-        const params = [];
-        if (userId) {
-            cartSql += 'c.user_id = ?';
-            params.push(userId);
-        } else {
-            cartSql += 'c.session_id = ?';
-            params.push(sessionId);
+        // Only when EMAIL_VERIFICATION_MODE is required - guests aren't affected
+        if (await needsVerification(database, userId)) {
+            return sendError(res, 'Please verify your email address before placing an order', 403);
         }
 
-        const cartItems = await database.query(cartSql, params);
+        const cleanEmail = sanitizeEmail(customer_email);
 
-        if (cartItems.length === 0) {
-            return sendError(res, 'Cart is empty', 400);
-        }
+        const order = await database.transaction(async (tx) => {
+            let cartSql = 'SELECT cart_id, product_id, variant_id, quantity FROM cart_items WHERE ';
+            const cartParams = [];
+            if (userId) {
+                cartSql += 'user_id = ?';
+                cartParams.push(userId);
+            } else {
+                cartSql += 'session_id = ? AND user_id IS NULL';
+                cartParams.push(sessionId);
+            }
 
-        // Calculate order total and validate stock
-        let totalAmount = 0;
-        const orderItemsData = [];
+            const cartItems = await tx.query(cartSql, cartParams);
 
-        for (const item of cartItems) {
-            if (item.quantity > item.stock_quantity) {
-                return sendError(res, `Insufficient stock for ${item.product_name}`, 400);
+            if (cartItems.length === 0) {
+                throw new APIError('Cart is empty', 400);
             }
 
-            const unitPrice = parseFloat(item.price);
-            const discount = parseFloat(item.discount_percentage || 0);
-            const finalPrice = unitPrice - (unitPrice * discount / 100);
-            const subtotal = finalPrice * item.quantity;
-
-            totalAmount += subtotal;
-            orderItemsData.push({
-                product_id: item.product_id,
-                product_name: item.product_name,
-                quantity: item.quantity,
-                unit_price: finalPrice,
-                subtotal: subtotal
+            // Lock product rows in a stable order to avoid deadlocks between checkouts
+            // Expired deals are never charged, even if the scheduler hasn't reverted them yet
+            const productIds = [...new Set(cartItems.map(item => item.product_id))];
+            const products = await tx.query(`
+                SELECT p.product_id, p.product_name, p.category_id, p.price, p.stock_quantity, p.is_active,
+                       ${EFFECTIVE_DISCOUNT_SQL} AS discount_percentage
+                FROM products p
+                WHERE p.product_id IN (?)
+                ORDER BY p.product_id
+                FOR UPDATE
+            `, [productIds]);
+
+            const productsById = new Map(products.map(p => [p.product_id, p]));
+
+            // Variants are locked after their products, again in a stable order
+            const variantIds = [...new Set(cartItems.filter(item => item.variant_id).map(item => item.variant_id))];
+            const variants = variantIds.length > 0
+                ? await tx.query(`
+                    SELECT v.variant_id, v.product_id, v.sku, v.price, v.stock_quantity, v.is_active,
+                           ${variantLabelSql('v.variant_id')} AS variant_label
+                    FROM product_variants v
+                    WHERE v.variant_id IN (?)
+                    ORDER BY v.variant_id
+                    FOR UPDATE
+                `, [variantIds])
+                : [];
+
+            const variantsById = new Map(variants.map(v => [v.variant_id, v]));
+            const variantProducts = await getProductsWithVariants(tx, productIds);
+
+            // Units other shoppers hold at checkout aren't ours to sell; our own holds are
+            const reservationOwner = { userId, sessionId };
+            const reserved = await getReservedByOthers(tx, productIds, reservationOwner, { lock: true });
+
+            // Calculate order total and validate stock against the locked rows
+            let totalAmount = 0;
+            const orderItemsData = [];
+
+            for (const item of cartItems) {
+                const product = productsById.get(item.product_id);
+
+                if (!product || !product.is_active) {
+                    throw new APIError('A product in your cart is no longer available', 400);
+                }
+
+                const variant = item.variant_id ? variantsById.get(item.variant_id) : null;
+
+                if (variant && (!variant.is_active || variant.product_id !== product.product_id)) {
+                    throw new APIError(`The selected option of ${product.product_name} is no longer available`, 400);
+                }
+
+                if (!variant && variantProducts.has(product.product_id)) {
+                    throw new APIError(`Please choose options for ${product.product_name}`, 400);
+                }
+
+                const stock = variant ? variant.stock_quantity : product.stock_quantity;
+                if (item.quantity > availableStock(reserved, stock, product.product_id, item.variant_id)) {
+                    throw new APIError(`Insufficient stock for ${product.product_name}`, 400);
+                }
+
+                // A variant price overrides the product price; the product discount still applies
+                const unitPrice = parseFloat(variant && variant.price !== null ? variant.price : product.price);
+                const discount = parseFloat(product.discount_percentage || 0);
+                const finalPrice = unitPrice - (unitPrice * discount / 100);
+                const subtotal = finalPrice * item.quantity;
+
+                totalAmount += subtotal;
+                orderItemsData.push({
+                    product_id: product.product_id,
+                    variant_id: variant ? variant.variant_id : null,
+                    sku: variant ? variant.sku : null,
+                    variant_label: variant ? variant.variant_label : null,
+                    category_id: product.category_id,
+                    product_name: product.product_name,
+                    quantity: item.quantity,
+                    unit_price: finalPrice,
+                    subtotal: subtotal
+                });
+            }
+
+            // Coupon from the cart session, re-checked against the locked prices
+            // Locking the coupon row keeps usage limits exact under concurrent checkouts
+            let coupon = null;
+            let couponDiscount = 0;
+            if (req.session.couponCode) {
+                coupon = await findCoupon(tx, req.session.couponCode, { forUpdate: true });
+                const lines = orderItemsData.map(item => ({
+                    product_id: item.product_id,
+                    category_id: item.category_id,
+                    line_total: item.subtotal
+                }));
+                const check = await evaluateCoupon(tx, coupon, lines, { userId, email: cleanEmail });
+
+                if (!check.valid) {
+                    throw new APIError(`Coupon ${req.session.couponCode}: ${check.message}`, 400);
+                }
+
+                couponDiscount = check.discount;
+                totalAmount = Math.round((totalAmount - couponDiscount) * 100) / 100;
+            }
+
+            const lookupToken = generateLookupToken();
+            const orderReference = generateOrderReference();
+            const orderResult = await tx.run(`
+                INSERT INTO orders (order_reference, user_id, customer_name, customer_email, customer_phone, shipping_address,
+                                    total_amount, coupon_id, discount_amount, order_status, lookup_token)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                orderReference, userId || null, full_name, cleanEmail, phone || '', shipping_address,
+                totalAmount, coupon ? coupon.coupon_id : null, couponDiscount, ORDER_STATUSES.PENDING, lookupToken
+            ]);
+
+            const orderId = orderResult.lastID;
+            await recordStatusChange(tx, orderId, null, ORDER_STATUSES.PENDING, userId || null, 'Order placed');
+
+            if (coupon) {
+                await redeemCoupon(tx, coupon, { orderId, userId, email: cleanEmail, discount: couponDiscount });
+            }
+
+            // Save order items and update stock
+            for (const item of orderItemsData) {
+                await tx.run(`
+                    INSERT INTO order_items (order_id, product_id, variant_id, sku, variant_label, product_name, quantity, unit_price, subtotal)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    orderId, item.product_id, item.variant_id, item.sku, item.variant_label,
+                    item.product_name, item.quantity, item.unit_price, item.subtotal
+                ]);
+
+                // Variant stock is the real limit; the product total follows it
+                const movement = await recordMovement(tx, {
+                    productId: item.product_id,
+                    variantId: item.variant_id,
+                    type: MOVEMENT_TYPES.SALE,
+                    quantityChange: -item.quantity,
+                    orderId,
+                    reference: orderReference,
+                    performedBy: userId || null
+                });
+
+                if (!movement) {
+                    throw new APIError(`Insufficient stock for ${item.product_name}`, 400);
+                }
+            }
+
+            // The held units are sold now - the sale movements above took them off stock
+            await releaseReservations(tx, reservationOwner);
+
+            // Feeds "frequently bought together"
+            await recordCoPurchases(tx, orderItemsData.map(item => item.product_id));
+
+            // Confirmation goes out once the order is committed
+            await queueEmail(tx, {
+                template: MAIL_TEMPLATES.ORDER_PLACED,
+                to: cleanEmail,
+                data: {
+                    order: {
+                        order_reference: orderReference,
+                        customer_name: full_name,
+                        shipping_address,
+                        total_amount: totalAmount,
+                        discount_amount: couponDiscount
+                    },
+                    items: orderItemsData
+                },
+                userId: userId || null,
+                orderId
+            });
+
+            // Clear cart as part of the same transaction
+            await tx.run(
+                `DELETE FROM cart_items WHERE cart_id IN (${cartItems.map(() => '?').join(', ')})`,
+                cartItems.map(item => item.cart_id)
+            );
+
+            return { orderId, orderReference, totalAmount, lookupToken };
+        });
+
+        rememberPlacedOrder(req, order.orderId);
+        delete req.session.couponCode;
+        // The next checkout starts a fresh hold
+        delete req.session.checkoutHoldUntil;
+
+        // Order is committed either way - if the gateway is down the customer can still see it
+        let payment = null;
+        try {
+            payment = await createPaymentForOrder({
+                order_id: order.orderId,
+                order_reference: order.orderReference,
+                total_amount: order.totalAmount
             });
+        } catch (error) {
+            console.error('Payment creation error:', error);
+        }
+
+        return sendSuccess(res, { ...order, payment }, 'Order placed successfully', 201);
+    } catch (error) {
+        if (error.isOperational) {
+            return sendError(res, error.message, error.statusCode);
+        }
+        console.error('Order creation error:', error);
+        return sendError(res, 'Failed to create order', 500);
+    }
+};
+
+// Order history for the session user - paginated, filterable by status and date range
+const getMyOrders = async (req, res) => {
+    try {
+        const userId = getCurrentUserId(req);
+        const { status, from, to } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(req.query.page_size) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        if (status && !isValidStatus(status)) {
+            return sendError(res, 'Invalid status filter', 400);
+        }
+
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return sendError(res, 'Invalid date filter', 400);
+        }
+
+        let where = 'WHERE o.user_id = ?';
+        const params = [userId];
+
+        if (status) {
+            where += ' AND o.order_status = ?';
+            params.push(status);
+        }
+
+        if (from) {
+            where += ' AND o.order_date >= ?';
+            params.push(from);
+        }
+
+        // "to" is inclusive of the whole day
+        if (to) {
+            where += ' AND o.order_date < DATE_ADD(?, INTERVAL 1 DAY)';
+            params.push(to);
         }
 
-        const orderResult = await database.run(`
-            INSERT INTO orders (user_id, total_amount, order_status, shipping_address, customer_email)
-            VALUES (?, ?, 'Pending', ?, ?)
-        `, [userId || null, totalAmount, shipping_address, customer_email]);
+        const countRow = await database.get(`SELECT COUNT(*) as total FROM orders o ${where}`, params);
+        const total = parseInt(countRow.total) || 0;
 
-        const orderId = orderResult.lastID;
+        const orders = await database.query(`
+            SELECT o.order_id, o.total_amount, o.order_status, o.order_date,
+                   COALESCE(SUM(oi.quantity), 0) as total_items
+            FROM orders o
+            LEFT JOIN order_items oi ON oi.order_id = o.order_id
+            ${where}
+            GROUP BY o.order_id
+            ORDER BY o.order_date DESC, o.order_id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, pageSize, (page - 1) * pageSize]);
 
-        // Save order items and update stock
-        for (const item of orderItemsData) {
-            await database.run(`
-                INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, subtotal)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `, [orderId, item.product_id, item.product_name, item.quantity, item.unit_price, item.subtotal]);
+        const fixedOrders = orders.map(o => ({
+            ...o,
+            total_amount: parseFloat(o.total_amount),
+            total_items: parseInt(o.total_items)
+        }));
+
+        return sendSuccess(res, {
+            orders: fixedOrders,
+            pagination: { page, page_size: pageSize, total, total_pages: Math.ceil(total / pageSize) }
+        });
+    } catch (error) {
+        console.error('Get orders error:', error);
+        return sendError(res, 'Failed to retrieve orders', 500);
+    }
+};
 
-            await database.run(`
-                UPDATE products SET stock_quantity = stock_quantity - ? WHERE product_id = ?
-            `, [item.quantity, item.product_id]);
+// Single order with its line items
+const getOrderById = async (req, res) => {
+    try {
+        const order = await database.get(`${ORDER_DETAIL_SQL} WHERE order_id = ?`, [req.params.id]);
+
+        // Same response for missing and foreign orders so IDs can't be probed
+        if (!order || !canViewOrder(req, order)) {
+            return sendError(res, 'Order not found', 404);
         }
 
-        // Clear cart after successful order
-        if (userId) {
-            await database.run('DELETE FROM cart_items WHERE user_id = ?', [userId]);
-        } else {
-            await database.run('DELETE FROM cart_items WHERE session_id = ?', [sessionId]);
+        return sendSuccess(res, await buildOrderDetails(order));
+    } catch (error) {
+        console.error('Get order error:', error);
+        return sendError(res, 'Failed to retrieve order', 500);
+    }
+};
+
+// Guest order tracking - email plus public order reference, no session needed
+// The lookup token from the confirmation email, when sent along, lets the guest cancel too
+const lookupOrder = async (req, res) => {
+    try {
+        const { email, reference, token } = req.body;
+
+        if (!email || !reference) {
+            return sendError(res, 'Email and order reference required', 400);
         }
 
-        return sendSuccess(res, { orderId, totalAmount }, 'Order placed successfully', 201);
+        const order = await database.get(
+            `${ORDER_DETAIL_SQL} WHERE order_reference = ? AND customer_email = ?`,
+            [normalizeOrderReference(reference), sanitizeEmail(email)]
+        );
+
+        // One message for every miss so the endpoint can't confirm emails or references
+        if (!order) {
+            return sendError(res, 'No order matches those details', 404);
+        }
+
+        // The lookup token is the secret for acting on the order - knowing the email and reference isn't enough
+        const { lookup_token, ...details } = await buildOrderDetails(order);
+
+        return sendSuccess(res, { ...details, can_manage: canAccessOrder(req, order, token) });
     } catch (error) {
-        console.error('Order creation error:', error);
-        return sendError(res, 'Failed to create order', 500);
+        console.error('Order lookup error:', error);
+        return sendError(res, 'Failed to look up order', 500);
+    }
+};
+
+/**
+ * Cancel an order inside an open transaction: restock it, release its coupon, mark what was captured for refund,
+ * then move it to cancelled - the customer cancel and the staff status update both go through here
+ * The provider is only asked for the money back after commit (settleRefundsInBackground)
+ */
+async function cancelOrderInTransaction(tx, orderId, { changedBy = null, note = null } = {}) {
+    const order = await tx.get(
+        'SELECT order_id, order_reference, order_status FROM orders WHERE order_id = ? FOR UPDATE',
+        [orderId]
+    );
+    if (!order) {
+        throw new APIError('Order not found', 404);
+    }
+
+    // Checked up front - nothing is restocked or refunded for a cancellation the state machine would reject
+    if (!canTransition(order.order_status, ORDER_STATUSES.CANCELLED)) {
+        throw new APIError(`Cannot change order from ${order.order_status} to ${ORDER_STATUSES.CANCELLED}`, 409);
+    }
+
+    // Only unshipped orders can be cancelled, so everything goes back on the shelf
+    const restockedItems = await restockOrder(tx, order, { reason: note, performedBy: changedBy });
+    await releaseOrderCoupon(tx, order.order_id);
+    const refundedPayments = await requestOrderRefunds(tx, order.order_id);
+
+    const transition = await transitionOrder(tx, order.order_id, ORDER_STATUSES.CANCELLED, { changedBy, note });
+
+    return { ...transition, restocked_items: restockedItems, refunded_payments: refundedPayments };
+}
+
+// Staff status update - the state machine rejects illegal transitions
+const updateOrderStatus = async (req, res) => {
+    try {
+        const { status, note } = req.body;
+
+        if (!status) {
+            return sendError(res, 'Status required', 400);
+        }
+
+        const toStatus = String(status).toLowerCase();
+        const changedBy = getCurrentUserId(req);
+
+        const result = await database.transaction(async (tx) => {
+            if (toStatus === ORDER_STATUSES.CANCELLED) {
+                return cancelOrderInTransaction(tx, req.params.id, { changedBy, note: note || 'Cancelled by staff' });
+            }
+
+            const transition = await transitionOrder(tx, req.params.id, toStatus, {
+                changedBy,
+                note: note || null
+            });
+
+            // Goods that never shipped go back on the shelf; returns after delivery are booked by staff
+            const unshipped = [ORDER_STATUSES.PENDING, ORDER_STATUSES.PAID, ORDER_STATUSES.PROCESSING].includes(transition.from_status);
+            if (unshipped && transition.to_status === ORDER_STATUSES.REFUNDED) {
+                const order = await tx.get('SELECT order_id, order_reference FROM orders WHERE order_id = ?', [transition.order_id]);
+                transition.restocked_items = await restockOrder(tx, order, {
+                    reason: note || `Order ${transition.to_status} by staff`,
+                    performedBy: changedBy
+                });
+                // Nothing was delivered, so the coupon use goes back like it does on a cancel
+                await releaseOrderCoupon(tx, transition.order_id);
+            }
+
+            if (transition.to_status === ORDER_STATUSES.REFUNDED) {
+                transition.refunded_payments = await requestOrderRefunds(tx, transition.order_id);
+            }
+
+            return transition;
+        });
+
+        if (result.refunded_payments) settleRefundsInBackground();
+
+        return sendSuccess(res, result, 'Order status updated');
+    } catch (error) {
+        if (error.isOperational) {
+            return sendError(res, error.message, error.statusCode);
+        }
+        console.error('Update order status error:', error);
+        return sendError(res, 'Failed to update order status', 500);
+    }
+};
+
+// Cancel an order, put its items back in stock and start its refund, all in one transaction
+// Owners and staff can cancel; guests need the session that placed it or the lookup token
+const cancelOrder = async (req, res) => {
+    try {
+        const userId = getCurrentUserId(req);
+        const isStaff = await isStaffRequest(req);
+        const { token, reason } = req.body;
+
+        const result = await database.transaction(async (tx) => {
+            const order = await tx.get(
+                'SELECT order_id, order_reference, user_id, order_status, lookup_token FROM orders WHERE order_id = ? FOR UPDATE',
+                [req.params.id]
+            );
+
+            const allowed = order && (isStaff || canAccessOrder(req, order, token));
+            if (!allowed) {
+                throw new APIError('Order not found', 404);
+            }
+
+            if ([ORDER_STATUSES.SHIPPED, ORDER_STATUSES.DELIVERED].includes(order.order_status)) {
+                throw new APIError('Order has already shipped and can no longer be cancelled', 409);
+            }
+
+            const note = reason || (isStaff ? 'Cancelled by staff' : 'Cancelled by customer');
+            return cancelOrderInTransaction(tx, order.order_id, { changedBy: userId, note });
+        });
+
+        if (result.refunded_payments) settleRefundsInBackground();
+
+        return sendSuccess(res, result, 'Order cancelled');
+    } catch (error) {
+        if (error.isOperational) {
+            return sendError(res, error.message, error.statusCode);
+        }
+        console.error('Cancel order error:', error);
+        return sendError(res, 'Failed to cancel order', 500);
     }
 };
 
-module.exports = { createOrder };
+module.exports = { createOrder, getMyOrders, getOrderById, lookupOrder, updateOrderStatus, cancelOrder };
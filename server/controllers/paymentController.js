@@ -0,0 +1,106 @@
+// server/controllers/paymentController.js
+// Controller for payment confirmation and provider webhooks
+
+const { sendSuccess, sendError } = require('../utils/responseHelper');
+const { getProvider } = require('../services/paymentProviders');
+const { canAccessOrder } = require('../services/orderAccessService');
+const { ORDER_STATUSES } = require('../services/orderStatusService');
+const paymentService = require('../services/paymentService');
+
+const toPaymentResponse = (paymentId, result) => ({
+    payment_id: paymentId,
+    status: result.status,
+    failure_reason: result.failure_reason || null,
+    next_action: result.next_action || null
+});
+
+// Confirm a pending payment with a payment method - guests may pass their order lookup token
+const confirmPayment = async (req, res) => {
+    try {
+        const { payment_method, token } = req.body;
+
+        if (!payment_method) {
+            return sendError(res, 'Payment method required', 400);
+        }
+
+        const payment = await paymentService.getPaymentWithOrder('p.payment_id = ?', [req.params.id]);
+
+        if (!payment || !canAccessOrder(req, payment, token)) {
+            return sendError(res, 'Payment not found', 404);
+        }
+
+        if (payment.order_status !== ORDER_STATUSES.PENDING) {
+            return sendError(res, 'Order is not awaiting payment', 409);
+        }
+
+        const result = await paymentService.confirmPayment(payment, payment_method);
+        return sendSuccess(res, toPaymentResponse(payment.payment_id, result), 'Payment processed');
+    } catch (error) {
+        if (error.isOperational) {
+            return sendError(res, error.message, error.statusCode);
+        }
+        console.error('Confirm payment error:', error);
+        return sendError(res, 'Payment failed', 500);
+    }
+};
+
+// Provider callbacks - only trusted once the signature checks out
+const handleWebhook = async (req, res) => {
+    let provider;
+    let event;
+
+    try {
+        provider = getProvider(req.params.provider);
+    } catch (error) {
+        return sendError(res, 'Unknown payment provider', 404);
+    }
+
+    try {
+        event = provider.verifyWebhook(req.rawBody, req.headers);
+    } catch (error) {
+        console.error('Webhook verification failed:', error.message);
+        return sendError(res, 'Invalid webhook', 400);
+    }
+
+    try {
+        if (event.payment) {
+            await paymentService.applyProviderUpdate(provider.name, event.payment);
+        }
+        res.json({ success: true, received: true });
+    } catch (error) {
+        if (error.isOperational) {
+            // Unknown payment - acknowledge so the provider stops retrying
+            console.error('Webhook ignored:', error.message);
+            return res.json({ success: true, received: true, ignored: true });
+        }
+        console.error('Webhook processing error:', error);
+        return sendError(res, 'Webhook processing failed', 500);
+    }
+};
+
+// Development only: answer the mock provider's simulated 3-D Secure challenge
+const authorizeMockPayment = async (req, res) => {
+    try {
+        const { approved, token } = req.body;
+
+        const payment = await paymentService.getPaymentWithOrder(
+            'p.provider = ? AND p.provider_ref = ?',
+            ['mock', req.params.ref]
+        );
+
+        if (!payment || !canAccessOrder(req, payment, token)) {
+            return sendError(res, 'Payment not found', 404);
+        }
+
+        const result = await paymentService.completeMockAction(payment, approved === true);
+        return sendSuccess(res, toPaymentResponse(payment.payment_id, result), 'Authentication completed');
+    } catch (error) {
+        if (error.isOperational) {
+            return sendError(res, error.message, error.statusCode);
+        }
+        console.error('Mock authorize error:', error);
+        return sendError(res, 'Authentication failed', 500);
+    }
+};
+
+module.exports = { confirmPayment, handleWebhook, authorizeMockPayment };
@@ -1,52 +1,228 @@
 const database = require('../config/database');
+const { getCurrentUserId, getSessionId } = require('../middleware/authMiddleware');
+const { EFFECTIVE_DISCOUNT_SQL, EFFECTIVE_PRICE_SQL, scheduleDeal, endDeal } = require('../services/dealService');
+const { searchProducts, recordSearch, invalidateSearchIndex } = require('../services/searchService');
+const { describeImage } = require('../services/imageService');
+const { getProductVariants, getProductsWithVariants } = require('../services/variantService');
+const { getProductSpecs, buildSpecFilters } = require('../services/specService');
+const { recordProductView } = require('../services/recommendationService');
+const { MOVEMENT_TYPES, recordMovement } = require('../services/inventoryService');
+const { getReservedByOthers, availableStock } = require('../services/reservationService');
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+const isValidStockCount = (value) => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+// Short forms (price, name) default to ascending
+const SORT_OPTIONS = {
+    newest: 'p.created_at DESC',
+    price: `${EFFECTIVE_PRICE_SQL} ASC`,
+    price_asc: `${EFFECTIVE_PRICE_SQL} ASC`,
+    price_desc: `${EFFECTIVE_PRICE_SQL} DESC`,
+    name: 'p.product_name ASC',
+    name_asc: 'p.product_name ASC',
+    name_desc: 'p.product_name DESC',
+    discount: `${EFFECTIVE_DISCOUNT_SQL} DESC`,
+    rating: 'p.rating_average DESC, p.rating_count DESC'
+};
 
-// Get all products with optional filters
-const getAllProducts = async (req, res) => {
-    try {
-        const { category_id, featured, search, limit } = req.query;
+const parsePrice = (value) => {
+    if (value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) || number < 0 ? NaN : number;
+};
 
-        let sql = `
-            SELECT p.*, c.category_name, c.category_id
-            FROM products p
-            LEFT JOIN categories c ON p.category_id = c.category_id
-            WHERE p.is_active = 1
-        `;
+// Buckets offered by the price filter - max null means no upper limit
+const PRICE_BUCKETS = [
+    { key: '0-500', min: 0, max: 500 },
+    { key: '500-1000', min: 500, max: 1000 },
+    { key: '1000-2000', min: 1000, max: 2000 },
+    { key: '2000-', min: 2000, max: null }
+];
+
+// Brands come in as ?brand=Samsung,LG
+const parseBrands = (value) => String(value || '')
+    .split(',')
+    .map(brand => brand.trim())
+    .filter(Boolean);
+
+// WHERE clauses for the listing filters - returns null clauses if a filter value is invalid
+// Each clause is tagged with the facet it belongs to so facet counts can leave their own filter out
+// A search narrows the listing to the search index's matches, best first in rankedIds
+const buildProductFilters = async (query) => {
+    const { category_id, featured, search, in_stock, deals } = query;
+    const clauses = [{ facet: null, sql: 'p.is_active = 1', params: [] }];
+
+    if (category_id) {
+        clauses.push({ facet: 'category', sql: 'p.category_id = ?', params: [category_id] });
+    }
 
-        const params = [];
+    const brands = parseBrands(query.brand);
+    if (brands.length > 0) {
+        clauses.push({ facet: 'brand', sql: 'p.brand IN (?)', params: [brands] });
+    }
 
-        // Apply filters if provided
-        if (category_id) {
-            sql += ' AND p.category_id = ?';
-            params.push(category_id);
-        }
+    if (featured === 'true') {
+        clauses.push({ facet: null, sql: 'p.is_featured = 1', params: [] });
+    }
 
-        if (featured === 'true') {
-            sql += ' AND p.is_featured = 1';
-        }
+    let rankedIds = null;
+    if (search) {
+        rankedIds = (await searchProducts(search)).map(result => result.product_id);
+        clauses.push(rankedIds.length > 0
+            ? { facet: null, sql: 'p.product_id IN (?)', params: [rankedIds] }
+            : { facet: null, sql: '1 = 0', params: [] });
+    }
 
-        if (search) {
-            sql += ' AND (p.product_name LIKE ? OR p.description LIKE ?)';
-            params.push(`%${search}%`, `%${search}%`);
-        }
+    const minPrice = parsePrice(query.min_price);
+    const maxPrice = parsePrice(query.max_price);
+    if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+        return { clauses: null, error: 'Invalid price filter' };
+    }
+
+    if (minPrice !== null) {
+        clauses.push({ facet: 'price', sql: `${EFFECTIVE_PRICE_SQL} >= ?`, params: [minPrice] });
+    }
 
-        sql += ' ORDER BY p.created_at DESC';
+    if (maxPrice !== null) {
+        clauses.push({ facet: 'price', sql: `${EFFECTIVE_PRICE_SQL} <= ?`, params: [maxPrice] });
+    }
 
-        if (limit) {
-            sql += ' LIMIT ?';
-            params.push(parseInt(limit));
+    if (in_stock === 'true') {
+        clauses.push({ facet: 'in_stock', sql: 'p.stock_quantity > 0', params: [] });
+    }
+
+    if (deals === 'true') {
+        clauses.push({ facet: 'deals', sql: `${EFFECTIVE_DISCOUNT_SQL} > 0`, params: [] });
+    }
+
+    // ?spec[screen_size]=50-65&spec[energy_class]=A,B
+    const specFilters = await buildSpecFilters(database, query.spec);
+    if (specFilters.error) {
+        return { clauses: null, error: specFilters.error };
+    }
+    clauses.push(...specFilters.clauses);
+
+    return { clauses, rankedIds };
+};
+
+// Join filter clauses into SQL, optionally leaving out one facet's own filter
+const buildWhere = (clauses, excludeFacet = null) => {
+    const used = clauses.filter(clause => !excludeFacet || clause.facet !== excludeFacet);
+    return {
+        sql: used.map(clause => clause.sql).join(' AND '),
+        params: used.flatMap(clause => clause.params)
+    };
+};
+
+// Counts for every filter option against the current filter set
+// A facet ignores its own selection so the other options in it keep their counts
+const getProductFacets = async (clauses) => {
+    const categoryWhere = buildWhere(clauses, 'category');
+    const brandWhere = buildWhere(clauses, 'brand');
+    const priceWhere = buildWhere(clauses, 'price');
+    const stockWhere = buildWhere(clauses, 'in_stock');
+    const dealsWhere = buildWhere(clauses, 'deals');
+
+    const [categories, brands, priceRow, stockRow, dealsRow] = await Promise.all([
+        database.query(`
+            SELECT c.category_id, c.category_name, COUNT(p.product_id) as count
+            FROM categories c
+            LEFT JOIN products p ON p.category_id = c.category_id AND ${categoryWhere.sql}
+            GROUP BY c.category_id, c.category_name
+            ORDER BY c.category_name
+        `, categoryWhere.params),
+        database.query(`
+            SELECT p.brand, COUNT(*) as count
+            FROM products p
+            WHERE ${brandWhere.sql} AND p.brand IS NOT NULL AND p.brand <> ''
+            GROUP BY p.brand
+            ORDER BY count DESC, p.brand
+        `, brandWhere.params),
+        database.get(`
+            SELECT ${PRICE_BUCKETS.map((bucket, i) => `SUM(${EFFECTIVE_PRICE_SQL} >= ?${bucket.max !== null ? ` AND ${EFFECTIVE_PRICE_SQL} <= ?` : ''}) as bucket_${i}`).join(', ')}
+            FROM products p
+            WHERE ${priceWhere.sql}
+        `, [...PRICE_BUCKETS.flatMap(bucket => (bucket.max !== null ? [bucket.min, bucket.max] : [bucket.min])), ...priceWhere.params]),
+        database.get(`SELECT COUNT(*) as count FROM products p WHERE ${stockWhere.sql} AND p.stock_quantity > 0`, stockWhere.params),
+        database.get(`SELECT COUNT(*) as count FROM products p WHERE ${dealsWhere.sql} AND ${EFFECTIVE_DISCOUNT_SQL} > 0`, dealsWhere.params)
+    ]);
+
+    return {
+        categories: categories.map(row => ({ ...row, count: parseInt(row.count) || 0 })),
+        brands: brands.map(row => ({ brand: row.brand, count: parseInt(row.count) || 0 })),
+        price_ranges: PRICE_BUCKETS.map((bucket, i) => ({ ...bucket, count: parseInt(priceRow[`bucket_${i}`]) || 0 })),
+        in_stock: { count: parseInt(stockRow.count) || 0 },
+        deals: { count: parseInt(dealsRow.count) || 0 }
+    };
+};
+
+// Get products with filters, sorting and pagination
+// limit is kept as an alias for page_size for existing callers
+// facets=true adds option counts for the filter sidebar
+const getAllProducts = async (req, res) => {
+    try {
+        const filters = await buildProductFilters(req.query);
+        if (!filters.clauses) {
+            return res.status(400).json({ success: false, message: filters.error });
         }
 
-        const products = await database.query(sql, params);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(req.query.page_size || req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const where = buildWhere(filters.clauses);
+
+        // Search results default to relevance order
+        // Own keys only - ?sort=constructor must not reach ORDER BY
+        const knownSort = Object.prototype.hasOwnProperty.call(SORT_OPTIONS, req.query.sort);
+        let orderBy = knownSort ? SORT_OPTIONS[req.query.sort] : SORT_OPTIONS.newest;
+        const orderParams = [];
+        if (!knownSort && filters.rankedIds && filters.rankedIds.length > 0) {
+            orderBy = 'FIELD(p.product_id, ?)';
+            orderParams.push(filters.rankedIds);
+        }
+
+        const countRow = await database.get(`SELECT COUNT(*) as total FROM products p WHERE ${where.sql}`, where.params);
+        const total = parseInt(countRow.total) || 0;
+
+        const products = await database.query(`
+            SELECT p.*, c.category_name, c.category_id,
+                   ${EFFECTIVE_DISCOUNT_SQL} as discount_percentage, ${EFFECTIVE_PRICE_SQL} as discounted_price
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.category_id
+            WHERE ${where.sql}
+            ORDER BY ${orderBy}, p.product_id DESC
+            LIMIT ? OFFSET ?
+        `, [...where.params, ...orderParams, pageSize, (page - 1) * pageSize]);
 
         // MySQL returns decimals as strings sometimes
         const fixedProducts = products.map(p => ({
             ...p,
             price: parseFloat(p.price),
             discount_percentage: parseFloat(p.discount_percentage),
-            stock_quantity: parseInt(p.stock_quantity)
+            rating_average: parseFloat(p.rating_average),
+            discounted_price: parseFloat(p.discounted_price),
+            stock_quantity: parseInt(p.stock_quantity),
+            image_variants: describeImage(p.image_url)
         }));
 
-        res.json({ success: true, count: fixedProducts.length, data: fixedProducts });
+        // Only count the search once - not again for every page of its results
+        if (req.query.search && page === 1) {
+            recordSearch(req.query.search, total).catch(error => console.error('Record search error:', error));
+        }
+
+        const response = {
+            success: true,
+            count: fixedProducts.length,
+            pagination: { page, page_size: pageSize, total, total_pages: Math.ceil(total / pageSize) },
+            data: fixedProducts
+        };
+
+        if (req.query.facets === 'true') {
+            response.facets = await getProductFacets(filters.clauses);
+        }
+
+        res.json(response);
     } catch (error) {
         console.error('Get products error:', error);
         res.status(500).json({ success: false, message: 'Failed to retrieve products' });
@@ -57,7 +233,8 @@ const getAllProducts = async (req, res) => {
 const getProductById = async (req, res) => {
     try {
         const product = await database.get(`
-            SELECT p.*, c.category_name, c.category_id
+            SELECT p.*, c.category_name, c.category_id,
+                   ${EFFECTIVE_DISCOUNT_SQL} as discount_percentage, ${EFFECTIVE_PRICE_SQL} as discounted_price
             FROM products p
             LEFT JOIN categories c ON p.category_id = c.category_id
             WHERE p.product_id = ? AND p.is_active = 1
@@ -71,11 +248,36 @@ const getProductById = async (req, res) => {
             ...product,
             price: parseFloat(product.price),
             discount_percentage: parseFloat(product.discount_percentage),
-            stock_quantity: parseInt(product.stock_quantity)
+            discounted_price: parseFloat(product.discounted_price),
+            rating_average: parseFloat(product.rating_average),
+            stock_quantity: parseInt(product.stock_quantity),
+            image_variants: describeImage(product.image_url)
         };
 
-        const images = await database.query('SELECT * FROM product_images WHERE product_id = ?', [req.params.id]);
-        fixedProduct.additional_images = images;
+        const images = await database.query('SELECT * FROM product_images WHERE product_id = ? ORDER BY sort_order, image_id', [req.params.id]);
+        fixedProduct.additional_images = images.map(image => ({ ...image, variants: describeImage(image.image_url) }));
+
+        // Colour/storage/... choices - empty when the product is sold without options
+        const { options, variants } = await getProductVariants(database, req.params.id);
+
+        // available_quantity leaves out units other shoppers hold at checkout
+        const userId = getCurrentUserId(req);
+        const reserved = await getReservedByOthers(database, [product.product_id], { userId, sessionId: getSessionId(req) });
+        fixedProduct.available_quantity = availableStock(reserved, fixedProduct.stock_quantity, product.product_id);
+        fixedProduct.options = options;
+        fixedProduct.variants = variants.map(variant => ({
+            ...variant,
+            available_quantity: availableStock(reserved, variant.stock_quantity, product.product_id, variant.variant_id)
+        }));
+
+        const specs = await getProductSpecs(database, [product.product_id]);
+        fixedProduct.specifications = specs.get(product.product_id);
+
+        // Seeds the customer's recommendations - a failure here shouldn't cost them the page
+        if (userId) {
+            recordProductView(database, userId, product.product_id)
+                .catch(err => console.error('Record product view error:', err.message));
+        }
 
         res.json({ success: true, data: fixedProduct });
     } catch (error) {
@@ -86,7 +288,7 @@ const getProductById = async (req, res) => {
 
 const createProduct = async (req, res) => {
     try {
-        const { product_name, description, price, stock_quantity, category_id, image_url, is_featured } = req.body;
+        const { product_name, description, brand, price, stock_quantity, category_id, image_url, is_featured } = req.body;
 
         if (!product_name || !price) {
             return res.status(400).json({ success: false, message: 'Name and price required' });
@@ -96,12 +298,33 @@ const createProduct = async (req, res) => {
             return res.status(400).json({ success: false, message: 'Invalid price' });
         }
 
-        const result = await database.run(
-            'INSERT INTO products (product_name, description, price, stock_quantity, category_id, image_url, is_featured) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [product_name, description || '', price, stock_quantity || 0, category_id || null, image_url || null, is_featured ? 1 : 0]
-        );
+        if (stock_quantity !== undefined && !isValidStockCount(stock_quantity)) {
+            return res.status(400).json({ success: false, message: 'Stock must be a whole number of 0 or more' });
+        }
 
-        const newProduct = await database.get('SELECT * FROM products WHERE product_id = ?', [result.lastID]);
+        // Starts empty; opening stock is booked as the first restock in the ledger
+        const productId = await database.transaction(async (tx) => {
+            const result = await tx.run(
+                'INSERT INTO products (product_name, description, brand, price, stock_quantity, category_id, image_url, is_featured) VALUES (?, ?, ?, ?, 0, ?, ?, ?)',
+                [product_name, description || '', brand || null, price, category_id || null, image_url || null, is_featured ? 1 : 0]
+            );
+
+            if (parseInt(stock_quantity) > 0) {
+                await recordMovement(tx, {
+                    productId: result.lastID,
+                    type: MOVEMENT_TYPES.RESTOCK,
+                    quantityChange: parseInt(stock_quantity),
+                    reason: 'Opening stock',
+                    performedBy: getCurrentUserId(req)
+                });
+            }
+
+            return result.lastID;
+        });
+
+        invalidateSearchIndex();
+
+        const newProduct = await database.get('SELECT * FROM products WHERE product_id = ?', [productId]);
         res.status(201).json({ success: true, message: 'Product created', data: newProduct });
     } catch (error) {
         console.error('Create product error:', error);
@@ -117,30 +340,59 @@ const updateProduct = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Product not found' });
         }
 
-        const { product_name, description, price, stock_quantity, category_id, image_url, is_featured, is_active } = req.body;
+        const { product_name, description, brand, price, stock_quantity, category_id, image_url, is_featured, is_active } = req.body;
 
         if (price !== undefined && price < 0) {
             return res.status(400).json({ success: false, message: 'Invalid price' });
         }
 
-        await database.run(`
-            UPDATE products SET
-                product_name = COALESCE(?, product_name),
-                description = COALESCE(?, description),
-                price = COALESCE(?, price),
-                stock_quantity = COALESCE(?, stock_quantity),
-                category_id = COALESCE(?, category_id),
-                image_url = COALESCE(?, image_url),
-                is_featured = COALESCE(?, is_featured),
-                is_active = COALESCE(?, is_active),
-                updated_at = CURRENT_TIMESTAMP
-            WHERE product_id = ?
-        `, [
-            product_name, description, price, stock_quantity, category_id, image_url,
-            is_featured !== undefined ? (is_featured ? 1 : 0) : undefined,
-            is_active !== undefined ? (is_active ? 1 : 0) : undefined,
-            req.params.id
-        ]);
+        if (stock_quantity !== undefined && stock_quantity !== null) {
+            if (!isValidStockCount(stock_quantity)) {
+                return res.status(400).json({ success: false, message: 'Stock must be a whole number of 0 or more' });
+            }
+            const withVariants = await getProductsWithVariants(database, [existingProduct.product_id]);
+            if (withVariants.size > 0) {
+                return res.status(400).json({ success: false, message: 'Stock of a product with options is set on its variants' });
+            }
+        }
+
+        await database.transaction(async (tx) => {
+            await tx.run(`
+                UPDATE products SET
+                    product_name = COALESCE(?, product_name),
+                    description = COALESCE(?, description),
+                    brand = COALESCE(?, brand),
+                    price = COALESCE(?, price),
+                    category_id = COALESCE(?, category_id),
+                    image_url = COALESCE(?, image_url),
+                    is_featured = COALESCE(?, is_featured),
+                    is_active = COALESCE(?, is_active),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE product_id = ?
+            `, [
+                product_name, description, brand, price, category_id, image_url,
+                is_featured !== undefined ? (is_featured ? 1 : 0) : undefined,
+                is_active !== undefined ? (is_active ? 1 : 0) : undefined,
+                req.params.id
+            ]);
+
+            // A new count is booked as an adjustment for the difference
+            if (stock_quantity !== undefined && stock_quantity !== null) {
+                const current = await tx.get('SELECT stock_quantity FROM products WHERE product_id = ? FOR UPDATE', [req.params.id]);
+                const difference = parseInt(stock_quantity) - current.stock_quantity;
+                if (difference !== 0) {
+                    await recordMovement(tx, {
+                        productId: existingProduct.product_id,
+                        type: MOVEMENT_TYPES.ADJUSTMENT,
+                        quantityChange: difference,
+                        reason: 'Stock count set on product edit',
+                        performedBy: getCurrentUserId(req)
+                    });
+                }
+            }
+        });
+
+        invalidateSearchIndex();
 
         const updatedProduct = await database.get('SELECT * FROM products WHERE product_id = ?', [req.params.id]);
         res.json({ success: true, message: 'Product updated', data: updatedProduct });
@@ -159,6 +411,7 @@ const deleteProduct = async (req, res) => {
         }
 
         await database.run('UPDATE products SET is_active = 0 WHERE product_id = ?', [req.params.id]);
+        invalidateSearchIndex();
         res.json({ success: true, message: 'Product deleted' });
     } catch (error) {
         console.error('Delete product error:', error);
@@ -207,7 +460,8 @@ const updateProductPrice = async (req, res) => {
 const getFeaturedProducts = async (req, res) => {
     try {
         const products = await database.query(`
-            SELECT p.*, c.category_name
+            SELECT p.*, c.category_name,
+                   ${EFFECTIVE_DISCOUNT_SQL} as discount_percentage, ${EFFECTIVE_PRICE_SQL} as discounted_price
             FROM products p
             LEFT JOIN categories c ON p.category_id = c.category_id
             WHERE p.is_featured = 1 AND p.is_active = 1
@@ -218,7 +472,10 @@ const getFeaturedProducts = async (req, res) => {
             ...p,
             price: parseFloat(p.price),
             discount_percentage: parseFloat(p.discount_percentage),
-            stock_quantity: parseInt(p.stock_quantity)
+            discounted_price: parseFloat(p.discounted_price),
+            rating_average: parseFloat(p.rating_average),
+            stock_quantity: parseInt(p.stock_quantity),
+            image_variants: describeImage(p.image_url)
         }));
 
         res.json({ success: true, count: fixedProducts.length, data: fixedProducts });
@@ -228,6 +485,89 @@ const getFeaturedProducts = async (req, res) => {
     }
 };
 
+// Currently running hot deals with time left, soonest ending first
+const getHotDeals = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+        const deals = await database.query(`
+            SELECT p.*, c.category_name,
+                   ROUND(p.price - (p.price * p.discount_percentage / 100), 2) as deal_price,
+                   TIMESTAMPDIFF(SECOND, NOW(), p.deal_expires_at) as remaining_seconds
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.category_id
+            WHERE p.is_active = 1 AND p.is_hot_deal = 1 AND p.deal_expires_at > NOW()
+            ORDER BY p.deal_expires_at ASC
+            LIMIT ?
+        `, [limit]);
+
+        const fixedDeals = deals.map(p => ({
+            ...p,
+            price: parseFloat(p.price),
+            discount_percentage: parseFloat(p.discount_percentage),
+            rating_average: parseFloat(p.rating_average),
+            deal_price: parseFloat(p.deal_price),
+            stock_quantity: parseInt(p.stock_quantity),
+            remaining_seconds: parseInt(p.remaining_seconds),
+            image_variants: describeImage(p.image_url)
+        }));
+
+        res.json({ success: true, count: fixedDeals.length, data: fixedDeals });
+    } catch (error) {
+        console.error('Get hot deals error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve hot deals' });
+    }
+};
+
+const updateProductDeal = async (req, res) => {
+    try {
+        const { discount_percentage, starts_at, expires_at } = req.body;
+        const discount = parseFloat(discount_percentage);
+        const startsAt = starts_at ? new Date(starts_at) : new Date();
+        const expiresAt = new Date(expires_at);
+
+        if (!(discount > 0 && discount < 100)) {
+            return res.status(400).json({ success: false, message: 'Discount must be between 0 and 100' });
+        }
+
+        if (isNaN(startsAt.getTime()) || isNaN(expiresAt.getTime())) {
+            return res.status(400).json({ success: false, message: 'Valid start and end dates required' });
+        }
+
+        if (expiresAt <= startsAt || expiresAt <= new Date()) {
+            return res.status(400).json({ success: false, message: 'Deal must end in the future and after it starts' });
+        }
+
+        const existingProduct = await database.get('SELECT product_id FROM products WHERE product_id = ?', [req.params.id]);
+        if (!existingProduct) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        await scheduleDeal(req.params.id, { discountPercentage: discount, startsAt, expiresAt });
+
+        const updatedProduct = await database.get('SELECT * FROM products WHERE product_id = ?', [req.params.id]);
+        res.json({ success: true, message: 'Deal scheduled', data: updatedProduct });
+    } catch (error) {
+        console.error('Schedule deal error:', error);
+        res.status(500).json({ success: false, message: 'Failed to schedule deal' });
+    }
+};
+
+const deleteProductDeal = async (req, res) => {
+    try {
+        const existingProduct = await database.get('SELECT product_id FROM products WHERE product_id = ?', [req.params.id]);
+        if (!existingProduct) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        await endDeal(req.params.id);
+        res.json({ success: true, message: 'Deal ended' });
+    } catch (error) {
+        console.error('End deal error:', error);
+        res.status(500).json({ success: false, message: 'Failed to end deal' });
+    }
+};
+
 module.exports = {
     getAllProducts,
     getProductById,
@@ -236,5 +576,8 @@ module.exports = {
     deleteProduct,
     getAllCategories,
     updateProductPrice,
-    getFeaturedProducts
+    getFeaturedProducts,
+    getHotDeals,
+    updateProductDeal,
+    deleteProductDeal
 };
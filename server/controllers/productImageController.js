@@ -0,0 +1,199 @@
+const database = require('../config/database');
+const { processUpload, describeImage, removeImage } = require('../services/imageService');
+
+const getGallery = (db, productId) => db.query(
+    'SELECT * FROM product_images WHERE product_id = ? ORDER BY sort_order, image_id',
+    [productId]
+);
+
+// Gallery rows with their srcset-ready size variants
+const withVariants = (images) => images.map(image => ({ ...image, variants: describeImage(image.image_url) }));
+
+// Keep products.image_url pointing at the primary gallery image
+// With no primary the first image is promoted; an emptied gallery clears image_url if it was the removed image
+const syncPrimaryImage = async (tx, productId, removedUrl = null) => {
+    const images = await getGallery(tx, productId);
+    let primary = images.find(image => image.is_primary);
+
+    if (!primary && images.length > 0) {
+        primary = images[0];
+        await tx.run('UPDATE product_images SET is_primary = 1 WHERE image_id = ?', [primary.image_id]);
+    }
+
+    if (primary) {
+        await tx.run('UPDATE products SET image_url = ? WHERE product_id = ?', [primary.image_url, productId]);
+    } else if (removedUrl) {
+        await tx.run('UPDATE products SET image_url = NULL WHERE product_id = ? AND image_url = ?', [productId, removedUrl]);
+    }
+};
+
+const findProduct = (productId) => database.get('SELECT product_id FROM products WHERE product_id = ?', [productId]);
+
+const findImage = (productId, imageId) => database.get(
+    'SELECT * FROM product_images WHERE image_id = ? AND product_id = ?',
+    [imageId, productId]
+);
+
+// List a product's gallery in display order
+const getProductImages = async (req, res) => {
+    try {
+        const product = await findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const images = await getGallery(database, req.params.id);
+        res.json({ success: true, count: images.length, data: withVariants(images) });
+    } catch (error) {
+        console.error('Get product images error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve product images' });
+    }
+};
+
+// Process uploaded files and add them to the end of the gallery
+// The card-size JPEG is stored as image_url; the other sizes are found from it
+const uploadProductImages = async (req, res) => {
+    const files = req.files || [];
+    const storedUrls = [];
+
+    try {
+        if (files.length === 0) {
+            return res.status(400).json({ success: false, message: 'No images uploaded' });
+        }
+
+        const product = await findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        // One at a time - resizing is CPU heavy
+        for (const file of files) {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            const variants = await processUpload(file.buffer, {
+                folder: 'products',
+                baseName: `product-${product.product_id}-${uniqueSuffix}`
+            });
+            storedUrls.push(variants.card.fallback);
+        }
+
+        const images = await database.transaction(async (tx) => {
+            const last = await tx.get(
+                'SELECT COALESCE(MAX(sort_order), -1) as max_order FROM product_images WHERE product_id = ?',
+                [req.params.id]
+            );
+            let sortOrder = parseInt(last.max_order) + 1;
+
+            for (const imageUrl of storedUrls) {
+                await tx.run(
+                    'INSERT INTO product_images (product_id, image_url, is_primary, sort_order) VALUES (?, ?, 0, ?)',
+                    [req.params.id, imageUrl, sortOrder++]
+                );
+            }
+
+            await syncPrimaryImage(tx, req.params.id);
+            return getGallery(tx, req.params.id);
+        });
+
+        res.status(201).json({ success: true, message: `${files.length} image(s) uploaded`, data: withVariants(images) });
+    } catch (error) {
+        // Nothing from a failed batch is kept
+        await Promise.all(storedUrls.map(removeImage));
+
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.error('Upload product images error:', error);
+        res.status(500).json({ success: false, message: 'Failed to upload images' });
+    }
+};
+
+// Set the gallery order - image_ids must list every image of the product exactly once
+const reorderProductImages = async (req, res) => {
+    try {
+        const { image_ids } = req.body;
+        if (!Array.isArray(image_ids) || image_ids.length === 0) {
+            return res.status(400).json({ success: false, message: 'image_ids must be a non-empty array' });
+        }
+
+        const product = await findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const requestedIds = image_ids.map(id => parseInt(id));
+        const currentIds = (await getGallery(database, req.params.id)).map(image => image.image_id);
+        const sameSet = requestedIds.length === currentIds.length
+            && new Set(requestedIds).size === requestedIds.length
+            && requestedIds.every(id => currentIds.includes(id));
+
+        if (!sameSet) {
+            return res.status(400).json({ success: false, message: 'image_ids must contain each image of this product exactly once' });
+        }
+
+        const images = await database.transaction(async (tx) => {
+            for (const [position, imageId] of requestedIds.entries()) {
+                await tx.run('UPDATE product_images SET sort_order = ? WHERE image_id = ?', [position, imageId]);
+            }
+            return getGallery(tx, req.params.id);
+        });
+
+        res.json({ success: true, message: 'Image order updated', data: withVariants(images) });
+    } catch (error) {
+        console.error('Reorder product images error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reorder images' });
+    }
+};
+
+// Make one image the primary one - it becomes the product's main image_url
+const setPrimaryImage = async (req, res) => {
+    try {
+        const image = await findImage(req.params.id, req.params.imageId);
+        if (!image) {
+            return res.status(404).json({ success: false, message: 'Image not found' });
+        }
+
+        const images = await database.transaction(async (tx) => {
+            await tx.run('UPDATE product_images SET is_primary = 0 WHERE product_id = ?', [req.params.id]);
+            await tx.run('UPDATE product_images SET is_primary = 1 WHERE image_id = ?', [image.image_id]);
+            await syncPrimaryImage(tx, req.params.id);
+            return getGallery(tx, req.params.id);
+        });
+
+        res.json({ success: true, message: 'Primary image updated', data: withVariants(images) });
+    } catch (error) {
+        console.error('Set primary image error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update primary image' });
+    }
+};
+
+// Remove an image from the gallery and delete its files
+const deleteProductImage = async (req, res) => {
+    try {
+        const image = await findImage(req.params.id, req.params.imageId);
+        if (!image) {
+            return res.status(404).json({ success: false, message: 'Image not found' });
+        }
+
+        const images = await database.transaction(async (tx) => {
+            await tx.run('DELETE FROM product_images WHERE image_id = ?', [image.image_id]);
+            await syncPrimaryImage(tx, req.params.id, image.image_url);
+            return getGallery(tx, req.params.id);
+        });
+
+        // Only touch the disk once the row is gone for good
+        await removeImage(image.image_url);
+
+        res.json({ success: true, message: 'Image deleted', data: withVariants(images) });
+    } catch (error) {
+        console.error('Delete product image error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete image' });
+    }
+};
+
+module.exports = {
+    getProductImages,
+    uploadProductImages,
+    reorderProductImages,
+    setPrimaryImage,
+    deleteProductImage
+};
@@ -0,0 +1,281 @@
+const database = require('../config/database');
+const { getCurrentUserId, isStaffRequest } = require('../middleware/authMiddleware');
+const { hasDeliveredPurchase, shortName } = require('../services/reviewService');
+
+const ANSWER_STATUSES = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+const ANSWERED_AS = {
+    STAFF: 'staff',
+    VERIFIED_BUYER: 'verified_buyer'
+};
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MIN_TEXT_LENGTH = 5;
+const MAX_TEXT_LENGTH = 2000;
+
+const parsePaging = (query) => ({
+    page: Math.max(parseInt(query.page) || 1, 1),
+    pageSize: Math.min(Math.max(parseInt(query.page_size) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+});
+
+const readText = (value) => String(value || '').trim();
+
+const isValidText = (text) => text.length >= MIN_TEXT_LENGTH && text.length <= MAX_TEXT_LENGTH;
+
+const findActiveProduct = (productId) => database.get(
+    'SELECT product_id FROM products WHERE product_id = ? AND is_active = 1',
+    [productId]
+);
+
+// Staff answer as the store; otherwise only customers who received the product may answer
+const getAnswerRole = async (req, productId) => {
+    const userId = getCurrentUserId(req);
+    if (!userId) return null;
+    if (await isStaffRequest(req)) return ANSWERED_AS.STAFF;
+    return await hasDeliveredPurchase(database, userId, productId) ? ANSWERED_AS.VERIFIED_BUYER : null;
+};
+
+// Questions for a product, newest first, each with its approved answers (staff answers first)
+// Signed-in users also see their own answers that are still waiting for moderation
+const getProductQuestions = async (req, res) => {
+    try {
+        const product = await findActiveProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const userId = getCurrentUserId(req);
+        const { page, pageSize } = parsePaging(req.query);
+
+        const countRow = await database.get('SELECT COUNT(*) as total FROM product_questions WHERE product_id = ?', [product.product_id]);
+        const total = parseInt(countRow.total) || 0;
+
+        const questions = await database.query(`
+            SELECT q.question_id, q.user_id, q.question_text, q.created_at, u.full_name
+            FROM product_questions q
+            JOIN users u ON q.user_id = u.user_id
+            WHERE q.product_id = ?
+            ORDER BY q.created_at DESC, q.question_id DESC
+            LIMIT ? OFFSET ?
+        `, [product.product_id, pageSize, (page - 1) * pageSize]);
+
+        const answers = questions.length > 0
+            ? await database.query(`
+                SELECT a.answer_id, a.question_id, a.user_id, a.answer_text, a.answered_as, a.status, a.created_at, u.full_name
+                FROM product_answers a
+                JOIN users u ON a.user_id = u.user_id
+                WHERE a.question_id IN (?) AND (a.status = ? OR a.user_id = ?)
+                ORDER BY a.answered_as = ? DESC, a.created_at ASC
+            `, [questions.map(question => question.question_id), ANSWER_STATUSES.APPROVED, userId || 0, ANSWERED_AS.STAFF])
+            : [];
+
+        const data = questions.map(question => ({
+            question_id: question.question_id,
+            question_text: question.question_text,
+            asked_by: shortName(question.full_name),
+            is_mine: question.user_id === userId,
+            created_at: question.created_at,
+            answers: answers
+                .filter(answer => answer.question_id === question.question_id)
+                .map(answer => ({
+                    answer_id: answer.answer_id,
+                    answer_text: answer.answer_text,
+                    answered_by: answer.answered_as === ANSWERED_AS.STAFF ? 'Multi Store Eletro' : shortName(answer.full_name),
+                    answered_as: answer.answered_as,
+                    is_mine: answer.user_id === userId,
+                    // Only ever non-approved for the author's own answers
+                    status: answer.status,
+                    created_at: answer.created_at
+                }))
+        }));
+
+        res.json({
+            success: true,
+            count: data.length,
+            pagination: { page, page_size: pageSize, total, total_pages: Math.ceil(total / pageSize) },
+            data,
+            viewer: {
+                signed_in: !!userId,
+                can_answer: !!await getAnswerRole(req, product.product_id)
+            }
+        });
+    } catch (error) {
+        console.error('Get questions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve questions' });
+    }
+};
+
+// Ask a question about a product - any signed-in user
+const askQuestion = async (req, res) => {
+    try {
+        const text = readText(req.body.question_text);
+        if (!isValidText(text)) {
+            return res.status(400).json({ success: false, message: `Question must be between ${MIN_TEXT_LENGTH} and ${MAX_TEXT_LENGTH} characters` });
+        }
+
+        const product = await findActiveProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const result = await database.run(
+            'INSERT INTO product_questions (product_id, user_id, question_text) VALUES (?, ?, ?)',
+            [product.product_id, getCurrentUserId(req), text]
+        );
+
+        res.status(201).json({ success: true, message: 'Question posted', data: { question_id: result.lastID } });
+    } catch (error) {
+        console.error('Ask question error:', error);
+        res.status(500).json({ success: false, message: 'Failed to post question' });
+    }
+};
+
+// Answer a question - staff answers go live, verified buyer answers wait for moderation
+const answerQuestion = async (req, res) => {
+    try {
+        const text = readText(req.body.answer_text);
+        if (!isValidText(text)) {
+            return res.status(400).json({ success: false, message: `Answer must be between ${MIN_TEXT_LENGTH} and ${MAX_TEXT_LENGTH} characters` });
+        }
+
+        const question = await database.get(
+            'SELECT question_id, product_id FROM product_questions WHERE question_id = ? AND product_id = ?',
+            [req.params.questionId, req.params.id]
+        );
+        if (!question) {
+            return res.status(404).json({ success: false, message: 'Question not found' });
+        }
+
+        const answeredAs = await getAnswerRole(req, question.product_id);
+        if (!answeredAs) {
+            return res.status(403).json({ success: false, message: 'Only store staff and customers who received this product can answer' });
+        }
+
+        const userId = getCurrentUserId(req);
+        const isStaffAnswer = answeredAs === ANSWERED_AS.STAFF;
+        const status = isStaffAnswer ? ANSWER_STATUSES.APPROVED : ANSWER_STATUSES.PENDING;
+
+        const result = await database.run(`
+            INSERT INTO product_answers (question_id, user_id, answer_text, answered_as, status, moderated_by, moderated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ${isStaffAnswer ? 'NOW()' : 'NULL'})
+        `, [question.question_id, userId, text, answeredAs, status, isStaffAnswer ? userId : null]);
+
+        res.status(201).json({
+            success: true,
+            message: isStaffAnswer ? 'Answer posted' : 'Thanks! Your answer will appear once it has been checked',
+            data: { answer_id: result.lastID, status }
+        });
+    } catch (error) {
+        console.error('Answer question error:', error);
+        res.status(500).json({ success: false, message: 'Failed to post answer' });
+    }
+};
+
+// Askers can delete their own question, staff can delete any - answers go with it
+const deleteQuestion = async (req, res) => {
+    try {
+        const isStaff = await isStaffRequest(req);
+        const question = await database.get('SELECT question_id, user_id FROM product_questions WHERE question_id = ?', [req.params.id]);
+
+        if (!question || (!isStaff && question.user_id !== getCurrentUserId(req))) {
+            return res.status(404).json({ success: false, message: 'Question not found' });
+        }
+
+        await database.run('DELETE FROM product_questions WHERE question_id = ?', [question.question_id]);
+        res.json({ success: true, message: 'Question deleted' });
+    } catch (error) {
+        console.error('Delete question error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete question' });
+    }
+};
+
+// Authors can delete their own answer, staff can delete any
+const deleteAnswer = async (req, res) => {
+    try {
+        const isStaff = await isStaffRequest(req);
+        const answer = await database.get('SELECT answer_id, user_id FROM product_answers WHERE answer_id = ?', [req.params.answerId]);
+
+        if (!answer || (!isStaff && answer.user_id !== getCurrentUserId(req))) {
+            return res.status(404).json({ success: false, message: 'Answer not found' });
+        }
+
+        await database.run('DELETE FROM product_answers WHERE answer_id = ?', [answer.answer_id]);
+        res.json({ success: true, message: 'Answer deleted' });
+    } catch (error) {
+        console.error('Delete answer error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete answer' });
+    }
+};
+
+// Moderation queue for staff - pending answers by default, oldest first, with their question
+const getAnswerQueue = async (req, res) => {
+    try {
+        const status = req.query.status || ANSWER_STATUSES.PENDING;
+        if (!Object.values(ANSWER_STATUSES).includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid answer status' });
+        }
+
+        const { page, pageSize } = parsePaging(req.query);
+        const countRow = await database.get('SELECT COUNT(*) as total FROM product_answers WHERE status = ?', [status]);
+        const total = parseInt(countRow.total) || 0;
+
+        const answers = await database.query(`
+            SELECT a.*, q.question_text, q.product_id, p.product_name, u.full_name, u.email
+            FROM product_answers a
+            JOIN product_questions q ON a.question_id = q.question_id
+            JOIN products p ON q.product_id = p.product_id
+            JOIN users u ON a.user_id = u.user_id
+            WHERE a.status = ?
+            ORDER BY a.created_at ASC, a.answer_id ASC
+            LIMIT ? OFFSET ?
+        `, [status, pageSize, (page - 1) * pageSize]);
+
+        res.json({
+            success: true,
+            count: answers.length,
+            pagination: { page, page_size: pageSize, total, total_pages: Math.ceil(total / pageSize) },
+            data: answers
+        });
+    } catch (error) {
+        console.error('Get answer queue error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve answers' });
+    }
+};
+
+// Approve or reject an answer
+const moderateAnswer = async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (![ANSWER_STATUSES.APPROVED, ANSWER_STATUSES.REJECTED].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Status must be approved or rejected' });
+        }
+
+        const result = await database.run(
+            'UPDATE product_answers SET status = ?, moderated_by = ?, moderated_at = NOW() WHERE answer_id = ?',
+            [status, getCurrentUserId(req), req.params.answerId]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ success: false, message: 'Answer not found' });
+        }
+
+        res.json({ success: true, message: `Answer ${status}`, data: { answer_id: parseInt(req.params.answerId), status } });
+    } catch (error) {
+        console.error('Moderate answer error:', error);
+        res.status(500).json({ success: false, message: 'Failed to moderate answer' });
+    }
+};
+
+module.exports = {
+    getProductQuestions,
+    askQuestion,
+    answerQuestion,
+    deleteQuestion,
+    deleteAnswer,
+    getAnswerQueue,
+    moderateAnswer
+};
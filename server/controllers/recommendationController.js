@@ -0,0 +1,43 @@
+const database = require('../config/database');
+const { getCurrentUserId } = require('../middleware/authMiddleware');
+const { getProductRecommendations, getUserRecommendations } = require('../services/recommendationService');
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+const parseLimit = (query) => Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// "Frequently bought together" for a product page - same-category products fill in for new products
+const getRecommendationsForProduct = async (req, res) => {
+    try {
+        const product = await database.get(
+            'SELECT product_id, category_id FROM products WHERE product_id = ? AND is_active = 1',
+            [req.params.id]
+        );
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const products = await getProductRecommendations(database, product, parseLimit(req.query));
+        res.json({ success: true, count: products.length, data: products });
+    } catch (error) {
+        console.error('Get product recommendations error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve recommendations' });
+    }
+};
+
+// Personal picks for the signed-in customer, based on what they viewed lately
+const getMyRecommendations = async (req, res) => {
+    try {
+        const products = await getUserRecommendations(database, getCurrentUserId(req), parseLimit(req.query));
+        res.json({ success: true, count: products.length, data: products });
+    } catch (error) {
+        console.error('Get my recommendations error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve recommendations' });
+    }
+};
+
+module.exports = {
+    getRecommendationsForProduct,
+    getMyRecommendations
+};
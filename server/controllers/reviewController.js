@@ -0,0 +1,332 @@
+const database = require('../config/database');
+const { getCurrentUserId, isStaffRequest } = require('../middleware/authMiddleware');
+const {
+    REVIEW_STATUSES,
+    isValidRating,
+    hasDeliveredPurchase,
+    refreshProductRating,
+    getRatingSummary,
+    refreshHelpfulCount,
+    shortName
+} = require('../services/reviewService');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MAX_TITLE_LENGTH = 150;
+const MIN_BODY_LENGTH = 10;
+const MAX_BODY_LENGTH = 5000;
+
+const REVIEW_SORTS = {
+    newest: 'r.created_at DESC',
+    helpful: 'r.helpful_count DESC, r.created_at DESC',
+    rating_desc: 'r.rating DESC, r.created_at DESC',
+    rating_asc: 'r.rating ASC, r.created_at DESC'
+};
+
+const toPublicReview = (row) => ({
+    review_id: row.review_id,
+    product_id: row.product_id,
+    rating: row.rating,
+    title: row.title,
+    body: row.body,
+    reviewer_name: shortName(row.full_name),
+    helpful_count: row.helpful_count,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+});
+
+const parsePaging = (query) => ({
+    page: Math.max(parseInt(query.page) || 1, 1),
+    pageSize: Math.min(Math.max(parseInt(query.page_size) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+});
+
+// Rating, title and body from a create/update request - returns an error message or the clean values
+const readReviewInput = (body) => {
+    const rating = Number(body.rating);
+    const title = String(body.title || '').trim();
+    const text = String(body.body || '').trim();
+
+    if (!isValidRating(rating)) return { error: 'Rating must be a whole number from 1 to 5' };
+    if (title.length > MAX_TITLE_LENGTH) return { error: `Title must be at most ${MAX_TITLE_LENGTH} characters` };
+    if (text.length < MIN_BODY_LENGTH || text.length > MAX_BODY_LENGTH) {
+        return { error: `Review must be between ${MIN_BODY_LENGTH} and ${MAX_BODY_LENGTH} characters` };
+    }
+
+    return { rating, title: title || null, body: text };
+};
+
+const findOwnReview = (reviewId, userId) => database.get(
+    'SELECT * FROM product_reviews WHERE review_id = ? AND user_id = ?',
+    [reviewId, userId]
+);
+
+// Approved reviews of a product with the rating summary
+// Signed-in users also get their own review (whatever its status) and whether they may write one
+const getProductReviews = async (req, res) => {
+    try {
+        const product = await database.get('SELECT product_id FROM products WHERE product_id = ? AND is_active = 1', [req.params.id]);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const { page, pageSize } = parsePaging(req.query);
+        const orderBy = Object.prototype.hasOwnProperty.call(REVIEW_SORTS, req.query.sort)
+            ? REVIEW_SORTS[req.query.sort]
+            : REVIEW_SORTS.newest;
+        const userId = getCurrentUserId(req);
+
+        const summary = await getRatingSummary(database, product.product_id);
+        const rows = await database.query(`
+            SELECT r.*, u.full_name
+            FROM product_reviews r
+            JOIN users u ON r.user_id = u.user_id
+            WHERE r.product_id = ? AND r.status = ?
+            ORDER BY ${orderBy}
+            LIMIT ? OFFSET ?
+        `, [product.product_id, REVIEW_STATUSES.APPROVED, pageSize, (page - 1) * pageSize]);
+
+        const reviews = rows.map(toPublicReview);
+
+        let myReview = null;
+        let canReview = false;
+        if (userId) {
+            const votes = reviews.length > 0
+                ? await database.query(
+                    'SELECT review_id FROM review_votes WHERE user_id = ? AND review_id IN (?)',
+                    [userId, reviews.map(review => review.review_id)]
+                )
+                : [];
+            const votedIds = new Set(votes.map(vote => vote.review_id));
+            reviews.forEach(review => { review.voted_helpful = votedIds.has(review.review_id); });
+
+            const own = await database.get(
+                'SELECT r.*, u.full_name FROM product_reviews r JOIN users u ON r.user_id = u.user_id WHERE r.product_id = ? AND r.user_id = ?',
+                [product.product_id, userId]
+            );
+            if (own) {
+                myReview = { ...toPublicReview(own), status: own.status, moderation_note: own.moderation_note };
+            } else {
+                canReview = await hasDeliveredPurchase(database, userId, product.product_id);
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                summary,
+                reviews,
+                pagination: { page, page_size: pageSize, total: summary.count, total_pages: Math.ceil(summary.count / pageSize) },
+                my_review: myReview,
+                can_review: canReview
+            }
+        });
+    } catch (error) {
+        console.error('Get reviews error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve reviews' });
+    }
+};
+
+// Post a review - requires a delivered order containing the product
+const createReview = async (req, res) => {
+    try {
+        const userId = getCurrentUserId(req);
+        const input = readReviewInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ success: false, message: input.error });
+        }
+
+        const product = await database.get('SELECT product_id FROM products WHERE product_id = ? AND is_active = 1', [req.params.id]);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        if (!await hasDeliveredPurchase(database, userId, product.product_id)) {
+            return res.status(403).json({ success: false, message: 'Only customers who have received this product can review it' });
+        }
+
+        const result = await database.run(
+            'INSERT INTO product_reviews (product_id, user_id, rating, title, body, status) VALUES (?, ?, ?, ?, ?, ?)',
+            [product.product_id, userId, input.rating, input.title, input.body, REVIEW_STATUSES.PENDING]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Thanks! Your review will appear once it has been checked',
+            data: { review_id: result.lastID, status: REVIEW_STATUSES.PENDING }
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ success: false, message: 'You have already reviewed this product' });
+        }
+        console.error('Create review error:', error);
+        res.status(500).json({ success: false, message: 'Failed to submit review' });
+    }
+};
+
+// Edit your own review - it goes back to moderation
+const updateReview = async (req, res) => {
+    try {
+        const userId = getCurrentUserId(req);
+        const input = readReviewInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ success: false, message: input.error });
+        }
+
+        const review = await findOwnReview(req.params.id, userId);
+        if (!review) {
+            return res.status(404).json({ success: false, message: 'Review not found' });
+        }
+
+        await database.transaction(async (tx) => {
+            await tx.run(`
+                UPDATE product_reviews
+                SET rating = ?, title = ?, body = ?, status = ?, moderation_note = NULL, moderated_by = NULL, moderated_at = NULL
+                WHERE review_id = ?
+            `, [input.rating, input.title, input.body, REVIEW_STATUSES.PENDING, review.review_id]);
+            await refreshProductRating(tx, review.product_id);
+        });
+
+        res.json({
+            success: true,
+            message: 'Review updated - it will appear again once it has been checked',
+            data: { review_id: review.review_id, status: REVIEW_STATUSES.PENDING }
+        });
+    } catch (error) {
+        console.error('Update review error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update review' });
+    }
+};
+
+// Authors can delete their own review, staff can delete any
+const deleteReview = async (req, res) => {
+    try {
+        const userId = getCurrentUserId(req);
+        const review = await isStaffRequest(req)
+            ? await database.get('SELECT * FROM product_reviews WHERE review_id = ?', [req.params.id])
+            : await findOwnReview(req.params.id, userId);
+
+        if (!review) {
+            return res.status(404).json({ success: false, message: 'Review not found' });
+        }
+
+        await database.transaction(async (tx) => {
+            await tx.run('DELETE FROM product_reviews WHERE review_id = ?', [review.review_id]);
+            await refreshProductRating(tx, review.product_id);
+        });
+
+        res.json({ success: true, message: 'Review deleted' });
+    } catch (error) {
+        console.error('Delete review error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete review' });
+    }
+};
+
+// Moderation queue for staff - pending reviews by default, oldest first
+const getReviewQueue = async (req, res) => {
+    try {
+        const status = req.query.status || REVIEW_STATUSES.PENDING;
+        if (!Object.values(REVIEW_STATUSES).includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid review status' });
+        }
+
+        const { page, pageSize } = parsePaging(req.query);
+        const countRow = await database.get('SELECT COUNT(*) as total FROM product_reviews WHERE status = ?', [status]);
+        const total = parseInt(countRow.total) || 0;
+
+        const reviews = await database.query(`
+            SELECT r.*, p.product_name, u.full_name, u.email
+            FROM product_reviews r
+            JOIN products p ON r.product_id = p.product_id
+            JOIN users u ON r.user_id = u.user_id
+            WHERE r.status = ?
+            ORDER BY r.created_at ASC, r.review_id ASC
+            LIMIT ? OFFSET ?
+        `, [status, pageSize, (page - 1) * pageSize]);
+
+        res.json({
+            success: true,
+            count: reviews.length,
+            pagination: { page, page_size: pageSize, total, total_pages: Math.ceil(total / pageSize) },
+            data: reviews
+        });
+    } catch (error) {
+        console.error('Get review queue error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve reviews' });
+    }
+};
+
+// Approve or reject a review; the product's rating follows the approved set
+const moderateReview = async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        if (![REVIEW_STATUSES.APPROVED, REVIEW_STATUSES.REJECTED].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Status must be approved or rejected' });
+        }
+
+        const review = await database.get('SELECT review_id, product_id FROM product_reviews WHERE review_id = ?', [req.params.id]);
+        if (!review) {
+            return res.status(404).json({ success: false, message: 'Review not found' });
+        }
+
+        await database.transaction(async (tx) => {
+            await tx.run(`
+                UPDATE product_reviews
+                SET status = ?, moderation_note = ?, moderated_by = ?, moderated_at = NOW()
+                WHERE review_id = ?
+            `, [status, note ? String(note).trim().slice(0, 255) : null, getCurrentUserId(req), review.review_id]);
+            await refreshProductRating(tx, review.product_id);
+        });
+
+        res.json({ success: true, message: `Review ${status}`, data: { review_id: review.review_id, status } });
+    } catch (error) {
+        console.error('Moderate review error:', error);
+        res.status(500).json({ success: false, message: 'Failed to moderate review' });
+    }
+};
+
+// Mark someone else's approved review as helpful (once), or take the vote back
+const setHelpfulVote = (helpful) => async (req, res) => {
+    try {
+        const userId = getCurrentUserId(req);
+        const review = await database.get(
+            'SELECT review_id, user_id FROM product_reviews WHERE review_id = ? AND status = ?',
+            [req.params.id, REVIEW_STATUSES.APPROVED]
+        );
+        if (!review) {
+            return res.status(404).json({ success: false, message: 'Review not found' });
+        }
+        if (review.user_id === userId) {
+            return res.status(400).json({ success: false, message: 'You cannot vote on your own review' });
+        }
+
+        const updated = await database.transaction(async (tx) => {
+            if (helpful) {
+                await tx.run('INSERT IGNORE INTO review_votes (review_id, user_id) VALUES (?, ?)', [review.review_id, userId]);
+            } else {
+                await tx.run('DELETE FROM review_votes WHERE review_id = ? AND user_id = ?', [review.review_id, userId]);
+            }
+            await refreshHelpfulCount(tx, review.review_id);
+            return tx.get('SELECT helpful_count FROM product_reviews WHERE review_id = ?', [review.review_id]);
+        });
+
+        res.json({
+            success: true,
+            message: helpful ? 'Marked as helpful' : 'Vote removed',
+            data: { review_id: review.review_id, helpful_count: updated.helpful_count, voted_helpful: helpful }
+        });
+    } catch (error) {
+        console.error('Review vote error:', error);
+        res.status(500).json({ success: false, message: 'Failed to record vote' });
+    }
+};
+
+module.exports = {
+    getProductReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    getReviewQueue,
+    moderateReview,
+    voteHelpful: setHelpfulVote(true),
+    removeHelpfulVote: setHelpfulVote(false)
+};
@@ -0,0 +1,69 @@
+const database = require('../config/database');
+const { searchProducts, suggestCategories, getPopularQueries } = require('../services/searchService');
+const { EFFECTIVE_DISCOUNT_SQL } = require('../services/dealService');
+
+const DEFAULT_SUGGESTIONS = 5;
+const MAX_SUGGESTIONS = 10;
+const MIN_QUERY_LENGTH = 2;
+
+// Grouped autocomplete for the header search box - products, categories and popular searches
+const search = async (req, res) => {
+    try {
+        const query = String(req.query.q || '').trim();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_SUGGESTIONS, 1), MAX_SUGGESTIONS);
+
+        if (query.length < MIN_QUERY_LENGTH) {
+            return res.json({ success: true, data: { query, products: [], categories: [], popular_queries: [] } });
+        }
+
+        const [ranked, categories, popularQueries] = await Promise.all([
+            searchProducts(query, { prefix: true }),
+            suggestCategories(query),
+            getPopularQueries(query)
+        ]);
+
+        const topIds = ranked.slice(0, limit).map(result => result.product_id);
+        let products = [];
+
+        if (topIds.length > 0) {
+            const rows = await database.query(`
+                SELECT p.product_id, p.product_name, p.image_url, p.price, ${EFFECTIVE_DISCOUNT_SQL} AS discount_percentage, c.category_name
+                FROM products p
+                LEFT JOIN categories c ON p.category_id = c.category_id
+                WHERE p.product_id IN (?) AND p.is_active = 1
+            `, [topIds]);
+
+            // Put rows back into relevance order
+            const byId = new Map(rows.map(row => [row.product_id, row]));
+            products = topIds.filter(id => byId.has(id)).map(id => {
+                const row = byId.get(id);
+                const price = parseFloat(row.price);
+                const discount = parseFloat(row.discount_percentage) || 0;
+                return {
+                    ...row,
+                    price,
+                    discount_percentage: discount,
+                    discounted_price: Math.round((price - price * discount / 100) * 100) / 100
+                };
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                query,
+                total_products: ranked.length,
+                products,
+                categories,
+                popular_queries: popularQueries
+            }
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ success: false, message: 'Search failed' });
+    }
+};
+
+module.exports = {
+    search
+};
@@ -0,0 +1,282 @@
+const database = require('../config/database');
+const { EFFECTIVE_DISCOUNT_SQL } = require('../services/dealService');
+const {
+    SPEC_TYPES,
+    ATTRIBUTE_KEY_PATTERN,
+    getCategoryAttributes,
+    getProductSpecs,
+    setProductSpecs
+} = require('../services/specService');
+
+const MAX_COMPARE_PRODUCTS = 4;
+
+const cleanText = (value) => String(value === undefined || value === null ? '' : value).trim();
+
+// Enum choices as a clean, de-duplicated list
+const cleanChoices = (values) => [...new Set((Array.isArray(values) ? values : []).map(cleanText).filter(Boolean))];
+
+const handleError = (res, error, context, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'This category already has an attribute with that key' });
+    }
+    console.error(`${context} error:`, error);
+    res.status(500).json({ success: false, message });
+};
+
+const findCategory = (categoryId) => database.get('SELECT category_id FROM categories WHERE category_id = ?', [categoryId]);
+
+const findAttribute = (categoryId, attributeId) => database.get(
+    'SELECT * FROM spec_attributes WHERE attribute_id = ? AND category_id = ?',
+    [attributeId, categoryId]
+);
+
+// Specification attributes of a category
+const getCategorySpecs = async (req, res) => {
+    try {
+        const category = await findCategory(req.params.categoryId);
+        if (!category) {
+            return res.status(404).json({ success: false, message: 'Category not found' });
+        }
+
+        const attributes = await getCategoryAttributes(database, category.category_id);
+        res.json({ success: true, count: attributes.length, data: attributes });
+    } catch (error) {
+        handleError(res, error, 'Get category specs', 'Failed to retrieve specifications');
+    }
+};
+
+// Define an attribute, e.g. { attribute_key: 'screen_size', attribute_name: 'Screen size', data_type: 'number', unit: 'in' }
+const createSpecAttribute = async (req, res) => {
+    try {
+        const { attribute_key, data_type, unit, allowed_values, is_filterable, sort_order } = req.body;
+        const attributeName = cleanText(req.body.attribute_name);
+        const choices = cleanChoices(allowed_values);
+
+        if (!ATTRIBUTE_KEY_PATTERN.test(attribute_key || '')) {
+            return res.status(400).json({ success: false, message: 'Attribute key must be lowercase letters, digits and underscores' });
+        }
+        if (!attributeName) {
+            return res.status(400).json({ success: false, message: 'Attribute name required' });
+        }
+        if (!SPEC_TYPES.includes(data_type)) {
+            return res.status(400).json({ success: false, message: `Data type must be one of: ${SPEC_TYPES.join(', ')}` });
+        }
+        if (data_type === 'enum' && choices.length === 0) {
+            return res.status(400).json({ success: false, message: 'Enum attributes need at least one allowed value' });
+        }
+
+        const category = await findCategory(req.params.categoryId);
+        if (!category) {
+            return res.status(404).json({ success: false, message: 'Category not found' });
+        }
+
+        const result = await database.run(`
+            INSERT INTO spec_attributes (category_id, attribute_key, attribute_name, data_type, unit, allowed_values, is_filterable, sort_order)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            category.category_id, attribute_key, attributeName, data_type,
+            data_type === 'number' ? cleanText(unit) || null : null,
+            data_type === 'enum' ? JSON.stringify(choices) : null,
+            is_filterable === false ? 0 : 1,
+            parseInt(sort_order) || 0
+        ]);
+
+        const attributes = await getCategoryAttributes(database, category.category_id);
+        res.status(201).json({
+            success: true,
+            message: 'Specification attribute created',
+            data: attributes.find(attribute => attribute.attribute_id === result.lastID)
+        });
+    } catch (error) {
+        handleError(res, error, 'Create spec attribute', 'Failed to create specification attribute');
+    }
+};
+
+// Rename, change unit, choices, filterability or position - key and type never change, stored values depend on them
+const updateSpecAttribute = async (req, res) => {
+    try {
+        const attribute = await findAttribute(req.params.categoryId, req.params.attributeId);
+        if (!attribute) {
+            return res.status(404).json({ success: false, message: 'Attribute not found' });
+        }
+
+        const { attribute_name, unit, allowed_values, is_filterable, sort_order } = req.body;
+        const fields = [];
+        const params = [];
+
+        if (attribute_name !== undefined) {
+            if (!cleanText(attribute_name)) {
+                return res.status(400).json({ success: false, message: 'Attribute name required' });
+            }
+            fields.push('attribute_name = ?');
+            params.push(cleanText(attribute_name));
+        }
+        if (unit !== undefined && attribute.data_type === 'number') {
+            fields.push('unit = ?');
+            params.push(cleanText(unit) || null);
+        }
+        if (allowed_values !== undefined && attribute.data_type === 'enum') {
+            const choices = cleanChoices(allowed_values);
+            if (choices.length === 0) {
+                return res.status(400).json({ success: false, message: 'Enum attributes need at least one allowed value' });
+            }
+
+            // A choice still used by a product can't be dropped
+            const used = await database.query(
+                'SELECT DISTINCT value_text FROM product_spec_values WHERE attribute_id = ?',
+                [attribute.attribute_id]
+            );
+            const missing = used.map(row => row.value_text).filter(value => !choices.includes(value));
+            if (missing.length > 0) {
+                return res.status(409).json({ success: false, message: `Still used by products: ${missing.join(', ')}` });
+            }
+
+            fields.push('allowed_values = ?');
+            params.push(JSON.stringify(choices));
+        }
+        if (is_filterable !== undefined) {
+            fields.push('is_filterable = ?');
+            params.push(is_filterable ? 1 : 0);
+        }
+        if (sort_order !== undefined) {
+            fields.push('sort_order = ?');
+            params.push(parseInt(sort_order) || 0);
+        }
+
+        if (fields.length > 0) {
+            await database.run(`UPDATE spec_attributes SET ${fields.join(', ')} WHERE attribute_id = ?`, [...params, attribute.attribute_id]);
+        }
+
+        const attributes = await getCategoryAttributes(database, attribute.category_id);
+        res.json({
+            success: true,
+            message: 'Specification attribute updated',
+            data: attributes.find(a => a.attribute_id === attribute.attribute_id)
+        });
+    } catch (error) {
+        handleError(res, error, 'Update spec attribute', 'Failed to update specification attribute');
+    }
+};
+
+// Removing an attribute removes every product's value for it
+const deleteSpecAttribute = async (req, res) => {
+    try {
+        const attribute = await findAttribute(req.params.categoryId, req.params.attributeId);
+        if (!attribute) {
+            return res.status(404).json({ success: false, message: 'Attribute not found' });
+        }
+
+        await database.run('DELETE FROM spec_attributes WHERE attribute_id = ?', [attribute.attribute_id]);
+        res.json({ success: true, message: 'Specification attribute deleted' });
+    } catch (error) {
+        handleError(res, error, 'Delete spec attribute', 'Failed to delete specification attribute');
+    }
+};
+
+// Set a product's values: { specs: { screen_size: 55, energy_class: 'A', smart_tv: true } }
+const updateProductSpecs = async (req, res) => {
+    try {
+        const { specs } = req.body;
+        if (!specs || typeof specs !== 'object' || Array.isArray(specs)) {
+            return res.status(400).json({ success: false, message: 'specs must be an object of attribute keys and values' });
+        }
+
+        const product = await database.get('SELECT product_id, category_id FROM products WHERE product_id = ?', [req.params.id]);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+        if (!product.category_id) {
+            return res.status(400).json({ success: false, message: 'Product has no category to take specifications from' });
+        }
+
+        await database.transaction(tx => setProductSpecs(tx, product, specs));
+
+        const specsByProduct = await getProductSpecs(database, [product.product_id]);
+        res.json({ success: true, message: 'Specifications updated', data: specsByProduct.get(product.product_id) });
+    } catch (error) {
+        handleError(res, error, 'Update product specs', 'Failed to update specifications');
+    }
+};
+
+/**
+ * Line up to four products side by side: ?ids=12,15,31
+ * Specifications are matched by attribute key, so the same key in two categories lines up;
+ * each row says whether the products differ on it
+ */
+const compareProducts = async (req, res) => {
+    try {
+        const ids = [...new Set(String(req.query.ids || '')
+            .split(',')
+            .map(id => parseInt(id))
+            .filter(id => id > 0))];
+
+        if (ids.length === 0) {
+            return res.status(400).json({ success: false, message: 'Give the products to compare as ids=1,2,3' });
+        }
+        if (ids.length > MAX_COMPARE_PRODUCTS) {
+            return res.status(400).json({ success: false, message: `Compare at most ${MAX_COMPARE_PRODUCTS} products at once` });
+        }
+
+        const rows = await database.query(`
+            SELECT p.product_id, p.product_name, p.brand, p.price, p.stock_quantity, p.image_url,
+                   p.category_id, c.category_name,
+                   ${EFFECTIVE_DISCOUNT_SQL} AS discount_percentage
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.category_id
+            WHERE p.product_id IN (?) AND p.is_active = 1
+        `, [ids]);
+
+        if (rows.length !== ids.length) {
+            return res.status(404).json({ success: false, message: 'One or more products were not found' });
+        }
+
+        // Keep the order the shopper picked
+        const products = ids.map(id => rows.find(row => row.product_id === id)).map(product => {
+            const price = parseFloat(product.price);
+            const discount = parseFloat(product.discount_percentage) || 0;
+            return {
+                ...product,
+                price,
+                discount_percentage: discount,
+                discounted_price: Math.round((price - price * discount / 100) * 100) / 100,
+                stock_quantity: parseInt(product.stock_quantity)
+            };
+        });
+
+        const specsByProduct = await getProductSpecs(database, ids);
+
+        const specifications = [];
+        const rowsByKey = new Map();
+        products.forEach((product, index) => {
+            for (const spec of specsByProduct.get(product.product_id)) {
+                if (!rowsByKey.has(spec.key)) {
+                    const row = { key: spec.key, name: spec.name, unit: spec.unit, values: products.map(() => null) };
+                    rowsByKey.set(spec.key, row);
+                    specifications.push(row);
+                }
+                rowsByKey.get(spec.key).values[index] = { value: spec.value, display_value: spec.display_value };
+            }
+        });
+
+        for (const row of specifications) {
+            const distinct = new Set(row.values.map(cell => (cell ? String(cell.value) : null)));
+            row.differs = distinct.size > 1;
+        }
+
+        res.json({ success: true, data: { products, specifications } });
+    } catch (error) {
+        handleError(res, error, 'Compare products', 'Failed to compare products');
+    }
+};
+
+module.exports = {
+    getCategorySpecs,
+    createSpecAttribute,
+    updateSpecAttribute,
+    deleteSpecAttribute,
+    updateProductSpecs,
+    compareProducts
+};
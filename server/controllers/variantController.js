@@ -0,0 +1,295 @@
+const database = require('../config/database');
+const { getCurrentUserId, isStaffRequest } = require('../middleware/authMiddleware');
+const { APIError } = require('../middleware/errorHandler');
+const {
+    getProductVariants,
+    syncProductStock,
+    validateVariantValues,
+    findVariantByValues
+} = require('../services/variantService');
+const { MOVEMENT_TYPES, recordMovement } = require('../services/inventoryService');
+
+const findProduct = (productId) => database.get('SELECT product_id FROM products WHERE product_id = ?', [productId]);
+
+const cleanLabel = (value) => String(value || '').trim();
+
+// Send APIErrors and duplicate keys as client errors, everything else as a 500
+const handleError = (res, error, context, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'That name or SKU is already in use' });
+    }
+    console.error(`${context} error:`, error);
+    res.status(500).json({ success: false, message });
+};
+
+const validateVariantFields = ({ sku, price, stock_quantity }, partial = false) => {
+    if (!partial && !cleanLabel(sku)) return 'SKU required';
+    if (sku !== undefined && cleanLabel(sku).length > 64) return 'SKU must be at most 64 characters';
+    if (price !== undefined && price !== null && !(Number(price) >= 0)) return 'Invalid price';
+    if (stock_quantity !== undefined && !(Number.isInteger(Number(stock_quantity)) && Number(stock_quantity) >= 0)) {
+        return 'Stock must be a whole number of 0 or more';
+    }
+    return null;
+};
+
+// Options and variants of a product - staff can ask for deactivated variants too
+const getVariants = async (req, res) => {
+    try {
+        const product = await findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const includeInactive = req.query.include_inactive === 'true' && await isStaffRequest(req);
+        const data = await getProductVariants(database, req.params.id, { activeOnly: !includeInactive });
+        res.json({ success: true, data });
+    } catch (error) {
+        handleError(res, error, 'Get variants', 'Failed to retrieve variants');
+    }
+};
+
+// Add an option type with its values, e.g. { option_name: 'Colour', values: ['Black', 'Silver'] }
+const createOption = async (req, res) => {
+    try {
+        const optionName = cleanLabel(req.body.option_name);
+        const labels = [...new Set((req.body.values || []).map(cleanLabel).filter(Boolean))];
+
+        if (!optionName || labels.length === 0) {
+            return res.status(400).json({ success: false, message: 'Option name and at least one value required' });
+        }
+
+        const product = await findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        await database.transaction(async (tx) => {
+            // Existing variants would have no value for the new option
+            const variant = await tx.get('SELECT variant_id FROM product_variants WHERE product_id = ? LIMIT 1', [req.params.id]);
+            if (variant) {
+                throw new APIError('Options cannot be added once the product has variants', 409);
+            }
+
+            const position = await tx.get(
+                'SELECT COALESCE(MAX(sort_order), -1) + 1 as next FROM product_options WHERE product_id = ?',
+                [req.params.id]
+            );
+            const option = await tx.run(
+                'INSERT INTO product_options (product_id, option_name, sort_order) VALUES (?, ?, ?)',
+                [req.params.id, optionName, position.next]
+            );
+
+            for (const [index, label] of labels.entries()) {
+                await tx.run(
+                    'INSERT INTO product_option_values (option_id, value_label, sort_order) VALUES (?, ?, ?)',
+                    [option.lastID, label, index]
+                );
+            }
+        });
+
+        const data = await getProductVariants(database, req.params.id, { activeOnly: false });
+        res.status(201).json({ success: true, message: 'Option created', data });
+    } catch (error) {
+        handleError(res, error, 'Create option', 'Failed to create option');
+    }
+};
+
+// Add one more value to an existing option
+const addOptionValue = async (req, res) => {
+    try {
+        const label = cleanLabel(req.body.value_label);
+        if (!label) {
+            return res.status(400).json({ success: false, message: 'Value label required' });
+        }
+
+        const option = await database.get(
+            'SELECT option_id FROM product_options WHERE option_id = ? AND product_id = ?',
+            [req.params.optionId, req.params.id]
+        );
+        if (!option) {
+            return res.status(404).json({ success: false, message: 'Option not found' });
+        }
+
+        const position = await database.get(
+            'SELECT COALESCE(MAX(sort_order), -1) + 1 as next FROM product_option_values WHERE option_id = ?',
+            [option.option_id]
+        );
+        await database.run(
+            'INSERT INTO product_option_values (option_id, value_label, sort_order) VALUES (?, ?, ?)',
+            [option.option_id, label, position.next]
+        );
+
+        const data = await getProductVariants(database, req.params.id, { activeOnly: false });
+        res.status(201).json({ success: true, message: 'Option value added', data });
+    } catch (error) {
+        handleError(res, error, 'Add option value', 'Failed to add option value');
+    }
+};
+
+// Create a variant from one value per option
+const createVariant = async (req, res) => {
+    try {
+        const { sku, price, stock_quantity, image_url, value_ids } = req.body;
+
+        const validationError = validateVariantFields(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const product = await findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const variantId = await database.transaction(async (tx) => {
+            const valueIds = await validateVariantValues(tx, req.params.id, value_ids);
+
+            if (await findVariantByValues(tx, req.params.id, valueIds)) {
+                throw new APIError('A variant with these options already exists', 409);
+            }
+
+            // Starts empty; opening stock is booked as the first restock in the ledger
+            const result = await tx.run(
+                'INSERT INTO product_variants (product_id, sku, price, stock_quantity, image_url) VALUES (?, ?, ?, 0, ?)',
+                [
+                    req.params.id, cleanLabel(sku),
+                    price === undefined || price === null || price === '' ? null : price,
+                    image_url || null
+                ]
+            );
+
+            for (const valueId of valueIds) {
+                await tx.run('INSERT INTO product_variant_values (variant_id, value_id) VALUES (?, ?)', [result.lastID, valueId]);
+            }
+
+            await syncProductStock(tx, req.params.id);
+
+            if (parseInt(stock_quantity) > 0) {
+                await recordMovement(tx, {
+                    productId: product.product_id,
+                    variantId: result.lastID,
+                    type: MOVEMENT_TYPES.RESTOCK,
+                    quantityChange: parseInt(stock_quantity),
+                    reason: 'Opening stock',
+                    performedBy: getCurrentUserId(req)
+                });
+            }
+            return result.lastID;
+        });
+
+        const data = await getProductVariants(database, req.params.id, { activeOnly: false });
+        res.status(201).json({
+            success: true,
+            message: 'Variant created',
+            data: data.variants.find(variant => variant.variant_id === variantId)
+        });
+    } catch (error) {
+        handleError(res, error, 'Create variant', 'Failed to create variant');
+    }
+};
+
+// Update SKU, price override (null to use the product price), stock, image or active flag
+const updateVariant = async (req, res) => {
+    try {
+        const { sku, price, stock_quantity, image_url, is_active } = req.body;
+
+        const validationError = validateVariantFields(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const variant = await database.get(
+            'SELECT variant_id FROM product_variants WHERE variant_id = ? AND product_id = ?',
+            [req.params.variantId, req.params.id]
+        );
+        if (!variant) {
+            return res.status(404).json({ success: false, message: 'Variant not found' });
+        }
+
+        await database.transaction(async (tx) => {
+            const fields = [];
+            const params = [];
+
+            if (sku !== undefined) {
+                fields.push('sku = ?');
+                params.push(cleanLabel(sku));
+            }
+            if (price !== undefined) {
+                fields.push('price = ?');
+                params.push(price === null || price === '' ? null : price);
+            }
+            if (image_url !== undefined) {
+                fields.push('image_url = ?');
+                params.push(image_url || null);
+            }
+            if (is_active !== undefined) {
+                fields.push('is_active = ?');
+                params.push(is_active ? 1 : 0);
+            }
+
+            if (fields.length > 0) {
+                await tx.run(`UPDATE product_variants SET ${fields.join(', ')} WHERE variant_id = ?`, [...params, variant.variant_id]);
+                await syncProductStock(tx, req.params.id);
+            }
+
+            // A new count is booked as an adjustment for the difference
+            if (stock_quantity !== undefined) {
+                const current = await tx.get('SELECT stock_quantity FROM product_variants WHERE variant_id = ? FOR UPDATE', [variant.variant_id]);
+                const difference = parseInt(stock_quantity) - current.stock_quantity;
+                if (difference !== 0) {
+                    await recordMovement(tx, {
+                        productId: parseInt(req.params.id),
+                        variantId: variant.variant_id,
+                        type: MOVEMENT_TYPES.ADJUSTMENT,
+                        quantityChange: difference,
+                        reason: 'Stock count set on variant edit',
+                        performedBy: getCurrentUserId(req)
+                    });
+                }
+            }
+        });
+
+        const data = await getProductVariants(database, req.params.id, { activeOnly: false });
+        res.json({
+            success: true,
+            message: 'Variant updated',
+            data: data.variants.find(v => v.variant_id === variant.variant_id)
+        });
+    } catch (error) {
+        handleError(res, error, 'Update variant', 'Failed to update variant');
+    }
+};
+
+// Variants are deactivated rather than deleted - past orders still point at them
+const deleteVariant = async (req, res) => {
+    try {
+        const variant = await database.get(
+            'SELECT variant_id FROM product_variants WHERE variant_id = ? AND product_id = ?',
+            [req.params.variantId, req.params.id]
+        );
+        if (!variant) {
+            return res.status(404).json({ success: false, message: 'Variant not found' });
+        }
+
+        await database.transaction(async (tx) => {
+            await tx.run('UPDATE product_variants SET is_active = 0 WHERE variant_id = ?', [variant.variant_id]);
+            await syncProductStock(tx, req.params.id);
+        });
+
+        res.json({ success: true, message: 'Variant deactivated' });
+    } catch (error) {
+        handleError(res, error, 'Delete variant', 'Failed to delete variant');
+    }
+};
+
+module.exports = {
+    getVariants,
+    createOption,
+    addOptionValue,
+    createVariant,
+    updateVariant,
+    deleteVariant
+};
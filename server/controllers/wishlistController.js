@@ -0,0 +1,140 @@
+const database = require('../config/database');
+const { getCurrentUserId } = require('../middleware/authMiddleware');
+const { EFFECTIVE_DISCOUNT_SQL } = require('../services/dealService');
+const { getAlertBaseline } = require('../services/wishlistService');
+
+// Alert flags in a request body - undefined when the field isn't given
+const readFlag = (value) => (value === undefined ? undefined : (value === true || value === 'true' || value === 1 || value === '1'));
+
+// Saved products, newest first, with current pricing and the alert choices
+// Products taken off sale stay listed as unavailable until the customer removes them
+const getWishlist = async (req, res) => {
+    try {
+        const rows = await database.query(`
+            SELECT w.product_id, w.notify_price_drop, w.notify_back_in_stock, w.added_at,
+                   p.product_name, p.brand, p.image_url, p.price, p.stock_quantity, p.is_active,
+                   p.rating_average, p.rating_count,
+                   ${EFFECTIVE_DISCOUNT_SQL} AS discount_percentage
+            FROM wishlist_items w
+            JOIN products p ON w.product_id = p.product_id
+            WHERE w.user_id = ?
+            ORDER BY w.added_at DESC, w.wishlist_item_id DESC
+        `, [getCurrentUserId(req)]);
+
+        const items = rows.map(row => {
+            const price = parseFloat(row.price);
+            const discount = parseFloat(row.discount_percentage) || 0;
+            return {
+                ...row,
+                price,
+                discount_percentage: discount,
+                discounted_price: Math.round((price - price * discount / 100) * 100) / 100,
+                rating_average: parseFloat(row.rating_average),
+                is_active: !!row.is_active,
+                notify_price_drop: !!row.notify_price_drop,
+                notify_back_in_stock: !!row.notify_back_in_stock
+            };
+        });
+
+        res.json({ success: true, count: items.length, data: items });
+    } catch (error) {
+        console.error('Get wishlist error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve wishlist' });
+    }
+};
+
+// Save a product: { product_id, notify_price_drop, notify_back_in_stock } - saving it twice is harmless
+const addToWishlist = async (req, res) => {
+    try {
+        const productId = parseInt(req.body.product_id);
+        const product = productId
+            ? await database.get('SELECT product_id FROM products WHERE product_id = ? AND is_active = 1', [productId])
+            : null;
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const baseline = await getAlertBaseline(database, product.product_id);
+        const result = await database.run(`
+            INSERT IGNORE INTO wishlist_items (user_id, product_id, notify_price_drop, notify_back_in_stock, alert_price, awaiting_restock)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            getCurrentUserId(req), product.product_id,
+            readFlag(req.body.notify_price_drop) ? 1 : 0,
+            readFlag(req.body.notify_back_in_stock) ? 1 : 0,
+            baseline.alertPrice, baseline.awaitingRestock
+        ]);
+
+        if (result.changes === 0) {
+            return res.json({ success: true, message: 'Already in your wishlist', data: { product_id: product.product_id } });
+        }
+
+        res.status(201).json({ success: true, message: 'Added to wishlist', data: { product_id: product.product_id } });
+    } catch (error) {
+        console.error('Add to wishlist error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add to wishlist' });
+    }
+};
+
+// Turn alerts on or off - alerts compare against the product as it is now
+const updateWishlistAlerts = async (req, res) => {
+    try {
+        const notifyPriceDrop = readFlag(req.body.notify_price_drop);
+        const notifyBackInStock = readFlag(req.body.notify_back_in_stock);
+        if (notifyPriceDrop === undefined && notifyBackInStock === undefined) {
+            return res.status(400).json({ success: false, message: 'Give notify_price_drop and/or notify_back_in_stock' });
+        }
+
+        const userId = getCurrentUserId(req);
+        const item = await database.get(
+            'SELECT wishlist_item_id, product_id, notify_price_drop, notify_back_in_stock FROM wishlist_items WHERE user_id = ? AND product_id = ?',
+            [userId, req.params.productId]
+        );
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Product is not in your wishlist' });
+        }
+
+        const baseline = await getAlertBaseline(database, item.product_id);
+        const priceDrop = notifyPriceDrop === undefined ? !!item.notify_price_drop : notifyPriceDrop;
+        const backInStock = notifyBackInStock === undefined ? !!item.notify_back_in_stock : notifyBackInStock;
+
+        await database.run(`
+            UPDATE wishlist_items
+            SET notify_price_drop = ?, notify_back_in_stock = ?, alert_price = ?, awaiting_restock = ?
+            WHERE wishlist_item_id = ?
+        `, [priceDrop ? 1 : 0, backInStock ? 1 : 0, baseline.alertPrice, baseline.awaitingRestock, item.wishlist_item_id]);
+
+        res.json({
+            success: true,
+            message: 'Alerts updated',
+            data: { product_id: item.product_id, notify_price_drop: priceDrop, notify_back_in_stock: backInStock }
+        });
+    } catch (error) {
+        console.error('Update wishlist alerts error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update alerts' });
+    }
+};
+
+const removeFromWishlist = async (req, res) => {
+    try {
+        const result = await database.run(
+            'DELETE FROM wishlist_items WHERE user_id = ? AND product_id = ?',
+            [getCurrentUserId(req), req.params.productId]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ success: false, message: 'Product is not in your wishlist' });
+        }
+
+        res.json({ success: true, message: 'Removed from wishlist' });
+    } catch (error) {
+        console.error('Remove from wishlist error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove from wishlist' });
+    }
+};
+
+module.exports = {
+    getWishlist,
+    addToWishlist,
+    updateWishlistAlerts,
+    removeFromWishlist
+};
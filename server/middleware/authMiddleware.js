@@ -1,3 +1,12 @@
+const database = require('../config/database');
+
+// Account roles, least to most privileged
+const ROLES = {
+    CUSTOMER: 'customer',
+    STAFF: 'staff',
+    ADMIN: 'admin'
+};
+
 // Check if user is authenticated
 const requireAuth = (req, res, next) => {
     if (req.session && req.session.userId) {
@@ -7,14 +16,84 @@ const requireAuth = (req, res, next) => {
     }
 };
 
+// Check if user has one of the given roles - role is read from the DB so demotions apply immediately
+const requireRole = (...roles) => {
+    return async (req, res, next) => {
+        if (!req.session || !req.session.userId) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+
+        try {
+            const role = await getCurrentUserRole(req);
+
+            if (!role) {
+                return res.status(401).json({ success: false, message: 'Authentication required' });
+            }
+
+            if (!roles.includes(role)) {
+                return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+            }
+
+            req.userRole = role;
+            next();
+        } catch (error) {
+            console.error('Role check error:', error);
+            res.status(500).json({ success: false, message: 'Authorization failed' });
+        }
+    };
+};
+
+// Sign out sessions from before a password reset - the reset bumps users.session_version
+// The visitor keeps their session (and guest cart), just not the account
+const verifySessionVersion = async (req, res, next) => {
+    if (!req.session || !req.session.userId) return next();
+
+    try {
+        const user = await database.get('SELECT session_version FROM users WHERE user_id = ?', [req.session.userId]);
+
+        if (!user || user.session_version !== (req.session.sessionVersion || 0)) {
+            delete req.session.userId;
+            delete req.session.email;
+            delete req.session.sessionVersion;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Helper to get current user ID from session
 const getCurrentUserId = (req) => {
     return req.session && req.session.userId ? req.session.userId : null;
 };
 
+// Helper to get the current user's role, null for guests and inactive accounts
+const getCurrentUserRole = async (req) => {
+    const userId = getCurrentUserId(req);
+    if (!userId) return null;
+
+    const user = await database.get('SELECT role FROM users WHERE user_id = ? AND is_active = TRUE', [userId]);
+    return user ? user.role : null;
+};
+
+// Helper to check if the current user is staff or admin
+const isStaffRequest = async (req) => {
+    const role = await getCurrentUserRole(req);
+    return role === ROLES.STAFF || role === ROLES.ADMIN;
+};
+
 // Helper to get session ID for guest cart tracking
 const getSessionId = (req) => {
     return req.session && req.session.id ? req.session.id : null;
 };
 
-module.exports = { requireAuth, getCurrentUserId, getSessionId };
+module.exports = {
+    ROLES,
+    requireAuth,
+    requireRole,
+    verifySessionVersion,
+    getCurrentUserId,
+    getCurrentUserRole,
+    isStaffRequest,
+    getSessionId
+};
@@ -0,0 +1,47 @@
+/**
+ * Rate Limit Middleware
+ * Fixed-window request limits, kept in memory per client (by IP unless a key function is given)
+ * Enough for a single server process - counts reset when the server restarts
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * rateLimit({ windowMs, max, message, key }) - at most `max` requests per `windowMs` for each key,
+ * then 429 with a Retry-After header until the window ends
+ */
+function rateLimit({ windowMs, max, message = 'Too many requests - please try again later', key = (req) => req.ip }) {
+    const hits = new Map();
+
+    // Drop finished windows so the map doesn't grow with every client ever seen
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [client, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(client);
+        }
+    }, Math.max(windowMs, SWEEP_INTERVAL_MS));
+    sweep.unref();
+
+    return (req, res, next) => {
+        const client = key(req);
+        const now = Date.now();
+        let entry = hits.get(client);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(client, entry);
+        }
+
+        entry.count++;
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ success: false, message });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    rateLimit
+};
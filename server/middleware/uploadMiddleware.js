@@ -1,51 +1,55 @@
 /**
  * Upload Middleware
  * Handle file uploads using multer
- * Profile image uploads
+ * Profile image uploads and product gallery uploads
+ * Files are kept in memory - services/imageService.js checks the content and writes the resized copies
  */
 
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// check and create upload directory if not exists
-const uploadDir = path.join(__dirname, '../uploads/profiles');
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-        // Generate unique filename: userId-timestamp-originalname
-        const userId = req.session.userId || 'guest';
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        cb(null, `user-${userId}-${uniqueSuffix}${ext}`);
-    }
-});
 
-// File filter to only accept images
-const fileFilter = (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB max file size
+const MAX_PRODUCT_IMAGES_PER_UPLOAD = 10;
 
-    if (allowedTypes.includes(file.mimetype)) {
-        cb(null, true);
-    } else {
-        cb(new Error('Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed.'), false);
-    }
-};
+// Nothing is written to disk until the image has been validated and processed
+const storage = multer.memoryStorage();
 
-// Initialize multer with storage and file filter
+// Initialize multer with storage and size limits
 const upload = multer({
     storage: storage,
-    fileFilter: fileFilter,
     limits: {
-        fileSize: 5 * 1024 * 1024 // 5MB max file size
+        fileSize: MAX_FILE_SIZE
+    }
+});
+
+const productImageUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: MAX_FILE_SIZE,
+        files: MAX_PRODUCT_IMAGES_PER_UPLOAD
     }
 });
 
-module.exports = upload;
+// Run a multer middleware and answer upload problems (too big, too many) with a 400
+const withUploadErrors = (middleware) => (req, res, next) => {
+    middleware(req, res, (err) => {
+        if (!err) return next();
+
+        if (err instanceof multer.MulterError) {
+            const messages = {
+                LIMIT_FILE_SIZE: 'File too large. Maximum size is 5MB.',
+                LIMIT_FILE_COUNT: `Too many files. Upload at most ${MAX_PRODUCT_IMAGES_PER_UPLOAD} images at once.`,
+                LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+            };
+            return res.status(400).json({ success: false, message: messages[err.code] || err.message });
+        }
+
+        next(err);
+    });
+};
+
+module.exports = {
+    upload,
+    productImageUpload,
+    withUploadErrors,
+    MAX_PRODUCT_IMAGES_PER_UPLOAD
+};
@@ -1,13 +1,13 @@
 /*
     * Auth Routes
     * Purpose: Define authentication-related routes
-    * User registration, login, logout, profile management
+    * User registration, login, logout, profile management, password reset, email verification
 */
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const { requireAuth } = require('../middleware/authMiddleware');
-const upload = require('../middleware/uploadMiddleware');
+const { upload, withUploadErrors } = require('../middleware/uploadMiddleware');
 
 router.post('/register', authController.register);
 router.post('/login', authController.login);
@@ -15,8 +15,12 @@ router.post('/logout', requireAuth, authController.logout);
 router.get('/me', requireAuth, authController.getCurrentUser);
 router.put('/profile', requireAuth, authController.updateProfile);
 router.put('/change-password', requireAuth, authController.changePassword);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+router.post('/verify-email', authController.verifyEmail);
+router.post('/resend-verification', requireAuth, authController.resendVerification);
 router.get('/status', authController.checkAuthStatus);
-router.post('/upload-avatar', requireAuth, upload.single('avatar'), authController.uploadAvatar);
+router.post('/upload-avatar', requireAuth, withUploadErrors(upload.single('avatar')), authController.uploadAvatar);
 
 // Export the router
 module.exports = router;
@@ -1,12 +1,20 @@
 /*
     * Cart Routes
     * Define routes for cart operations
-    * Get cart, add item, update item, remove item, clear cart, get cart count, validate cart
+    * Get cart, add item, update item, remove item, clear cart, get cart count, validate cart, start/cancel checkout, apply/remove coupon
 */
 
 const express = require('express');
 const router = express.Router();
 const cartController = require('../controllers/cartController');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
+
+// Every start can hold stock, so new sessions can't be used to keep products held around the clock
+const checkoutLimit = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: 'Too many checkout attempts - please try again later'
+});
 
 router.get('/', cartController.getCart);
 router.post('/add', cartController.addToCart);
@@ -15,5 +23,9 @@ router.delete('/remove/:cart_id', cartController.removeCartItem);
 router.delete('/clear', cartController.clearCart);
 router.get('/count', cartController.getCartCount);
 router.get('/validate', cartController.validateCart);
+router.post('/checkout', checkoutLimit, cartController.startCheckout);
+router.delete('/checkout', cartController.cancelCheckout);
+router.post('/coupon', cartController.applyCoupon);
+router.delete('/coupon', cartController.removeCoupon);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+/*
+    * Contact Routes
+    * Define routes for the contact page
+    * Send a message to the store
+*/
+
+const express = require('express');
+const router = express.Router();
+const contactController = require('../controllers/contactController');
+
+router.post('/', contactController.sendContactMessage);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+/*
+    * Coupon Routes
+    * Define routes for coupon management (staff only)
+    * List, get, create, update and deactivate coupons
+*/
+
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const { ROLES, requireRole } = require('../middleware/authMiddleware');
+
+router.use(requireRole(ROLES.STAFF, ROLES.ADMIN));
+
+router.get('/', couponController.getAllCoupons);
+router.get('/:id', couponController.getCouponById);
+router.post('/', couponController.createCoupon);
+router.put('/:id', couponController.updateCoupon);
+router.delete('/:id', couponController.deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+/*
+    * Dev Mail Routes
+    * Define routes for browsing the email outbox during development (dev-mail.html)
+    * Only mounted when MAIL_DEV_VIEWER=true, and admin only - emails carry reset links and order details
+*/
+
+const express = require('express');
+const router = express.Router();
+const mailController = require('../controllers/mailController');
+const { ROLES, requireRole } = require('../middleware/authMiddleware');
+
+router.use(requireRole(ROLES.ADMIN));
+
+router.get('/', mailController.listOutbox);
+router.get('/:id', mailController.getOutboxEmail);
+
+module.exports = router;
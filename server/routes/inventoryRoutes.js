@@ -0,0 +1,22 @@
+/*
+    * Inventory Routes
+    * Define routes for stock management (staff only)
+    * Receive stock, adjust counts and book returns, product movement history
+    * Low-stock thresholds and alerts
+*/
+
+const express = require('express');
+const router = express.Router();
+const inventoryController = require('../controllers/inventoryController');
+const { ROLES, requireRole } = require('../middleware/authMiddleware');
+
+router.use(requireRole(ROLES.STAFF, ROLES.ADMIN));
+
+router.get('/alerts', inventoryController.getLowStockAlerts);
+router.patch('/alerts/:alertId/acknowledge', inventoryController.acknowledgeLowStockAlert);
+router.get('/products/:id/movements', inventoryController.getProductMovements);
+router.post('/products/:id/receive', inventoryController.receiveStock);
+router.post('/products/:id/adjust', inventoryController.adjustStock);
+router.put('/products/:id/threshold', inventoryController.updateLowStockThreshold);
+
+module.exports = router;
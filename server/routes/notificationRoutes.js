@@ -0,0 +1,18 @@
+/*
+    * Notification Routes
+    * Define routes for the signed-in customer's in-app notifications
+    * List them and mark them read
+*/
+
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { requireAuth } = require('../middleware/authMiddleware');
+
+router.use(requireAuth);
+
+router.get('/', notificationController.getNotifications);
+router.patch('/read', notificationController.markAllNotificationsRead);
+router.patch('/:id/read', notificationController.markNotificationRead);
+
+module.exports = router;
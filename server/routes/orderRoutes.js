@@ -1,14 +1,29 @@
 /*
     * Order Routes
     * Define routes for order operations
-    * Create order from cart items
+    * Create order from cart items, order history and order details
+    * Guest order lookup, staff order status updates, order cancellation
 */
 
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const { ROLES, requireAuth, requireRole } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
+
+// Email plus reference is all a lookup needs, so guesses are capped per IP
+const lookupLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: 'Too many order lookups - please try again in a few minutes'
+});
 
 // Create order from cart items
 router.post('/', orderController.createOrder);
+router.get('/', requireAuth, orderController.getMyOrders);
+router.post('/lookup', lookupLimit, orderController.lookupOrder);
+router.get('/:id', orderController.getOrderById);
+router.post('/:id/cancel', orderController.cancelOrder);
+router.patch('/:id/status', requireRole(ROLES.STAFF, ROLES.ADMIN), orderController.updateOrderStatus);
 
 module.exports = router;
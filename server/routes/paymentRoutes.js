@@ -0,0 +1,19 @@
+/*
+    * Payment Routes
+    * Define routes for payment operations
+    * Confirm payment, provider webhooks, mock 3-D Secure (development only)
+*/
+
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+router.post('/:id/confirm', paymentController.confirmPayment);
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+// Simulated card authentication is never exposed in production
+if (process.env.NODE_ENV !== 'production') {
+    router.post('/mock/:ref/authorize', paymentController.authorizeMockPayment);
+}
+
+module.exports = router;
@@ -1,20 +1,76 @@
 /*
     * Product Routes
     * Define routes for product operations
-    * Get all products, get featured products, get categories, get product by ID, create, update, delete product
+    * Get all products, get featured products, get hot deals, get categories, get product by ID, create, update, delete product
+    * Schedule and end hot deals
+    * Manage the product image gallery: upload, reorder, set primary, delete
+    * Manage product options and variants (SKUs)
+    * Category specification attributes, product specification values and product comparison
+    * List and post product reviews
+    * Product questions and answers
+    * Frequently bought together recommendations
 */
 
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
+const productImageController = require('../controllers/productImageController');
+const variantController = require('../controllers/variantController');
+const specController = require('../controllers/specController');
+const reviewController = require('../controllers/reviewController');
+const questionController = require('../controllers/questionController');
+const recommendationController = require('../controllers/recommendationController');
+const { productImageUpload, withUploadErrors, MAX_PRODUCT_IMAGES_PER_UPLOAD } = require('../middleware/uploadMiddleware');
+const { ROLES, requireAuth, requireRole } = require('../middleware/authMiddleware');
+
+// Catalog changes are restricted to store staff
+const requireStaff = requireRole(ROLES.STAFF, ROLES.ADMIN);
 
 router.get('/', productController.getAllProducts);
 router.get('/featured/all', productController.getFeaturedProducts);
+router.get('/deals', productController.getHotDeals);
 router.get('/categories/all', productController.getAllCategories);
+router.get('/compare', specController.compareProducts);
 router.get('/:id', productController.getProductById);
-router.post('/', productController.createProduct);
-router.put('/:id', productController.updateProduct);
-router.patch('/:id/price', productController.updateProductPrice);
-router.delete('/:id', productController.deleteProduct);
+router.post('/', requireStaff, productController.createProduct);
+router.put('/:id', requireStaff, productController.updateProduct);
+router.patch('/:id/price', requireStaff, productController.updateProductPrice);
+router.put('/:id/deal', requireStaff, productController.updateProductDeal);
+router.delete('/:id/deal', requireStaff, productController.deleteProductDeal);
+router.delete('/:id', requireRole(ROLES.ADMIN), productController.deleteProduct);
+
+// Image gallery - files go in the multipart field "images"
+router.get('/:id/images', productImageController.getProductImages);
+router.post('/:id/images', requireStaff, withUploadErrors(productImageUpload.array('images', MAX_PRODUCT_IMAGES_PER_UPLOAD)), productImageController.uploadProductImages);
+router.put('/:id/images/order', requireStaff, productImageController.reorderProductImages);
+router.patch('/:id/images/:imageId/primary', requireStaff, productImageController.setPrimaryImage);
+router.delete('/:id/images/:imageId', requireStaff, productImageController.deleteProductImage);
+
+// Options and variants
+router.get('/:id/variants', variantController.getVariants);
+router.post('/:id/options', requireStaff, variantController.createOption);
+router.post('/:id/options/:optionId/values', requireStaff, variantController.addOptionValue);
+router.post('/:id/variants', requireStaff, variantController.createVariant);
+router.put('/:id/variants/:variantId', requireStaff, variantController.updateVariant);
+router.delete('/:id/variants/:variantId', requireStaff, variantController.deleteVariant);
+
+// Specifications - attributes are defined per category by admins
+router.get('/categories/:categoryId/specs', specController.getCategorySpecs);
+router.post('/categories/:categoryId/specs', requireRole(ROLES.ADMIN), specController.createSpecAttribute);
+router.put('/categories/:categoryId/specs/:attributeId', requireRole(ROLES.ADMIN), specController.updateSpecAttribute);
+router.delete('/categories/:categoryId/specs/:attributeId', requireRole(ROLES.ADMIN), specController.deleteSpecAttribute);
+router.put('/:id/specs', requireStaff, specController.updateProductSpecs);
+
+// Reviews - managing a single review is in reviewRoutes
+router.get('/:id/reviews', reviewController.getProductReviews);
+router.post('/:id/reviews', requireAuth, reviewController.createReview);
+
+// Questions and answers - deleting and moderation are in questionRoutes
+router.get('/:id/questions', questionController.getProductQuestions);
+router.post('/:id/questions', requireAuth, questionController.askQuestion);
+router.post('/:id/questions/:questionId/answers', requireAuth, questionController.answerQuestion);
+
+// Recommendations - personal picks are in recommendationRoutes
+router.get('/:id/recommendations', recommendationController.getRecommendationsForProduct);
 
 module.exports = router;
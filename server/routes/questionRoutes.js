@@ -0,0 +1,21 @@
+/*
+    * Question Routes
+    * Define routes for managing product questions and answers
+    * Delete your own question or answer
+    * Staff moderation queue and approve/reject for answers
+    * Listing, asking and answering for a product live in productRoutes (/api/products/:id/questions)
+*/
+
+const express = require('express');
+const router = express.Router();
+const questionController = require('../controllers/questionController');
+const { ROLES, requireAuth, requireRole } = require('../middleware/authMiddleware');
+
+const requireStaff = requireRole(ROLES.STAFF, ROLES.ADMIN);
+
+router.get('/answers', requireStaff, questionController.getAnswerQueue);
+router.patch('/answers/:answerId/status', requireStaff, questionController.moderateAnswer);
+router.delete('/answers/:answerId', requireAuth, questionController.deleteAnswer);
+router.delete('/:id', requireAuth, questionController.deleteQuestion);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+/*
+    * Recommendation Routes
+    * Define routes for personal product recommendations
+    * Product page recommendations live in productRoutes (/api/products/:id/recommendations)
+*/
+
+const express = require('express');
+const router = express.Router();
+const recommendationController = require('../controllers/recommendationController');
+const { requireAuth } = require('../middleware/authMiddleware');
+
+router.get('/me', requireAuth, recommendationController.getMyRecommendations);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+/*
+    * Review Routes
+    * Define routes for managing product reviews
+    * Edit and delete your own review, helpful votes
+    * Staff moderation queue and approve/reject
+    * Listing and posting reviews for a product live in productRoutes (/api/products/:id/reviews)
+*/
+
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const { ROLES, requireAuth, requireRole } = require('../middleware/authMiddleware');
+
+const requireStaff = requireRole(ROLES.STAFF, ROLES.ADMIN);
+
+router.get('/', requireStaff, reviewController.getReviewQueue);
+router.put('/:id', requireAuth, reviewController.updateReview);
+router.delete('/:id', requireAuth, reviewController.deleteReview);
+router.patch('/:id/status', requireStaff, reviewController.moderateReview);
+router.post('/:id/helpful', requireAuth, reviewController.voteHelpful);
+router.delete('/:id/helpful', requireAuth, reviewController.removeHelpfulVote);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+/*
+    * Search Routes
+    * Define routes for product search
+    * Grouped autocomplete suggestions for the header search box
+*/
+
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+
+router.get('/', searchController.search);
+
+module.exports = router;
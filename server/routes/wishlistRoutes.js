@@ -0,0 +1,19 @@
+/*
+    * Wishlist Routes
+    * Define routes for the signed-in customer's wishlist
+    * Save and remove products, turn price-drop and back-in-stock alerts on or off
+*/
+
+const express = require('express');
+const router = express.Router();
+const wishlistController = require('../controllers/wishlistController');
+const { requireAuth } = require('../middleware/authMiddleware');
+
+router.use(requireAuth);
+
+router.get('/', wishlistController.getWishlist);
+router.post('/', wishlistController.addToWishlist);
+router.patch('/:productId', wishlistController.updateWishlistAlerts);
+router.delete('/:productId', wishlistController.removeFromWishlist);
+
+module.exports = router;
@@ -10,7 +10,14 @@ const cors = require('cors');
 const path = require('path');
 const session = require('express-session');
 const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { verifySessionVersion } = require('./middleware/authMiddleware');
 const database = require('./config/database');
+const { startDealScheduler } = require('./services/dealService');
+const { startWishlistAlertScheduler } = require('./services/wishlistService');
+const { seedCoPurchases } = require('./services/recommendationService');
+const { startReservationScheduler } = require('./services/reservationService');
+const { startMailScheduler } = require('./services/mailService');
+const { startRefundScheduler } = require('./services/paymentService');
 
 const app = express();
 let serverReady = false;
@@ -19,12 +26,31 @@ let serverReady = false;
 database.init().then(() => {
     console.log('Database initialized successfully');
     serverReady = true;
+    // Start and expire hot deals on schedule
+    startDealScheduler();
+    // Wishlist price-drop and back-in-stock alerts
+    startWishlistAlertScheduler();
+    // Sweep checkout stock holds that ran out
+    startReservationScheduler();
+    // Deliver queued emails and retry failed ones
+    startMailScheduler();
+    // Send pending refunds to the payment provider, retrying the ones it refused
+    startRefundScheduler();
+    // Count "bought together" pairs from existing orders on first start
+    seedCoPurchases()
+        .then(seeded => { if (seeded) console.log('Co-purchase counts built from order history'); })
+        .catch(err => console.error('Co-purchase seed error:', err.message));
 }).catch(err => {
     console.error('Failed to initialize database:', err);
     process.exit(1);
 });
 
-app.use(express.json());
+// Keep the raw body around - payment webhooks are verified against the exact bytes sent
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS for development - restrict in production
@@ -56,17 +82,46 @@ app.use((req, res, next) => {
     next();
 });
 
+// After static files, so only API calls pay for the lookup
+app.use(verifySessionVersion);
+
 // Importing route modules
 const productRoutes = require('./routes/productRoutes');
 const authRoutes = require('./routes/authRoutes');
 const cartRoutes = require('./routes/cartRoutes');
 const orderRoutes = require('./routes/orderRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const questionRoutes = require('./routes/questionRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const recommendationRoutes = require('./routes/recommendationRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const contactRoutes = require('./routes/contactRoutes');
+const devMailRoutes = require('./routes/devMailRoutes');
 
 // Mounting route modules
 app.use('/api/products', productRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/questions', questionRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/recommendations', recommendationRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/contact', contactRoutes);
+
+// Outbox viewer - emails carry reset links and personal data, so it only exists when switched on, for admins
+if (process.env.MAIL_DEV_VIEWER === 'true') {
+    app.use('/api/dev/mail', devMailRoutes);
+}
 
 app.get('/api/health', (req, res) => {
     res.json({
@@ -77,7 +132,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // SPA routing - serve index.html for specific routes
-const pages = ['/', '/about', '/products', '/contact', '/login', '/register', '/profile', '/cart'];
+const pages = ['/', '/about', '/products', '/contact', '/login', '/register', '/profile', '/cart', '/order-confirmation', '/track-order', '/forgot-password', '/reset-password', '/verify-email'];
 pages.forEach(route => {
     app.get(route, (req, res) => {
         const file = route === '/' ? 'index.html' : route.slice(1) + '.html';
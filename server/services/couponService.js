@@ -0,0 +1,139 @@
+/**
+ * Coupon Service
+ * Validate promo codes against a basket and record redemptions
+ * Percent or fixed discounts, minimum basket, usage limits, validity window, product/category scoping
+ */
+const { APIError } = require('../middleware/errorHandler');
+
+const DISCOUNT_TYPES = {
+    PERCENT: 'percent',
+    FIXED: 'fixed'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Active coupon by code with its product/category scope - forUpdate locks the row for redemption
+async function findCoupon(db, code, { forUpdate = false } = {}) {
+    const coupon = await db.get(
+        `SELECT * FROM coupons WHERE code = ? AND is_active = 1${forUpdate ? ' FOR UPDATE' : ''}`,
+        [normalizeCode(code)]
+    );
+    if (!coupon) return null;
+
+    const products = await db.query('SELECT product_id FROM coupon_products WHERE coupon_id = ?', [coupon.coupon_id]);
+    const categories = await db.query('SELECT category_id FROM coupon_categories WHERE coupon_id = ?', [coupon.coupon_id]);
+
+    return {
+        ...coupon,
+        discount_value: parseFloat(coupon.discount_value),
+        min_basket: parseFloat(coupon.min_basket || 0),
+        product_ids: products.map(p => p.product_id),
+        category_ids: categories.map(c => c.category_id)
+    };
+}
+
+// How often this customer already used the coupon - guests are matched by email
+async function countCustomerUses(db, couponId, { userId, email }) {
+    if (!userId && !email) return 0;
+
+    const conditions = [];
+    const params = [couponId];
+    if (userId) {
+        conditions.push('user_id = ?');
+        params.push(userId);
+    }
+    if (email) {
+        conditions.push('customer_email = ?');
+        params.push(email);
+    }
+
+    const row = await db.get(
+        `SELECT COUNT(*) as uses FROM coupon_redemptions WHERE coupon_id = ? AND (${conditions.join(' OR ')})`,
+        params
+    );
+    return parseInt(row.uses) || 0;
+}
+
+/**
+ * Check a coupon against basket lines and work out the discount
+ * lines: [{ product_id, category_id, line_total }] with product discounts already applied
+ * Returns { valid, message, discount, eligible_subtotal }
+ */
+async function evaluateCoupon(db, coupon, lines, customer = {}) {
+    const invalid = (message) => ({ valid: false, message, discount: 0, eligible_subtotal: 0 });
+    const now = new Date();
+
+    if (!coupon) return invalid('Coupon not found');
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) return invalid('Coupon is not active yet');
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) return invalid('Coupon has expired');
+    if (coupon.max_uses !== null && coupon.times_used >= coupon.max_uses) return invalid('Coupon usage limit reached');
+
+    if (coupon.max_uses_per_user !== null) {
+        const uses = await countCustomerUses(db, coupon.coupon_id, customer);
+        if (uses >= coupon.max_uses_per_user) return invalid('You have already used this coupon');
+    }
+
+    const basketTotal = round2(lines.reduce((sum, line) => sum + Number(line.line_total), 0));
+    if (basketTotal < coupon.min_basket) {
+        return invalid(`Minimum basket of $${coupon.min_basket.toFixed(2)} required`);
+    }
+
+    // Unscoped coupons apply to the whole basket
+    const scoped = coupon.product_ids.length > 0 || coupon.category_ids.length > 0;
+    const eligibleLines = scoped
+        ? lines.filter(line => coupon.product_ids.includes(line.product_id) || coupon.category_ids.includes(line.category_id))
+        : lines;
+    const eligibleSubtotal = round2(eligibleLines.reduce((sum, line) => sum + Number(line.line_total), 0));
+
+    if (eligibleSubtotal <= 0) return invalid('Coupon does not apply to items in your cart');
+
+    const discount = coupon.discount_type === DISCOUNT_TYPES.PERCENT
+        ? eligibleSubtotal * coupon.discount_value / 100
+        : coupon.discount_value;
+
+    return {
+        valid: true,
+        message: 'Coupon applied',
+        discount: round2(Math.min(discount, eligibleSubtotal)),
+        eligible_subtotal: eligibleSubtotal
+    };
+}
+
+// Record a redemption inside the order transaction
+// The conditional increment keeps the global limit safe under concurrent checkouts
+async function redeemCoupon(tx, coupon, { orderId, userId, email, discount }) {
+    const result = await tx.run(
+        'UPDATE coupons SET times_used = times_used + 1 WHERE coupon_id = ? AND (max_uses IS NULL OR times_used < max_uses)',
+        [coupon.coupon_id]
+    );
+
+    if (result.changes === 0) {
+        throw new APIError('Coupon usage limit reached', 400);
+    }
+
+    await tx.run(
+        'INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, customer_email, discount_amount) VALUES (?, ?, ?, ?, ?)',
+        [coupon.coupon_id, orderId, userId || null, email || null, discount]
+    );
+}
+
+// Give the usage back when an order is cancelled
+async function releaseOrderCoupon(tx, orderId) {
+    const redemption = await tx.get('SELECT redemption_id, coupon_id FROM coupon_redemptions WHERE order_id = ?', [orderId]);
+    if (!redemption) return false;
+
+    await tx.run('DELETE FROM coupon_redemptions WHERE redemption_id = ?', [redemption.redemption_id]);
+    await tx.run('UPDATE coupons SET times_used = GREATEST(times_used - 1, 0) WHERE coupon_id = ?', [redemption.coupon_id]);
+    return true;
+}
+
+module.exports = {
+    DISCOUNT_TYPES,
+    normalizeCode,
+    findCoupon,
+    evaluateCoupon,
+    redeemCoupon,
+    releaseOrderCoupon
+};
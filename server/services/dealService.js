@@ -0,0 +1,125 @@
+/**
+ * Deal Service
+ * Scheduled hot deals: start and expire deal discounts on time
+ * While a deal runs, its discount replaces discount_percentage and the regular one is kept aside
+ */
+const database = require('../config/database');
+
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+// Discount to charge right now - ignores a deal whose end has passed but hasn't been reverted yet
+const EFFECTIVE_DISCOUNT_SQL = `
+    CASE WHEN p.is_hot_deal = 1 AND p.deal_expires_at <= NOW()
+         THEN COALESCE(p.regular_discount_percentage, 0)
+         ELSE p.discount_percentage
+    END
+`;
+
+// Price after that discount - what filters, price sorting and wishlist price alerts work on
+const EFFECTIVE_PRICE_SQL = `ROUND(p.price - (p.price * (${EFFECTIVE_DISCOUNT_SQL}) / 100), 2)`;
+
+// Start deals whose window has opened and revert the ones that ended
+async function syncDeals(db = database) {
+    const started = await db.run(`
+        UPDATE products
+        SET regular_discount_percentage = discount_percentage,
+            discount_percentage = deal_discount_percentage,
+            is_hot_deal = 1
+        WHERE is_hot_deal = 0
+          AND deal_discount_percentage IS NOT NULL
+          AND deal_starts_at <= NOW()
+          AND deal_expires_at > NOW()
+    `);
+
+    const expired = await db.run(`
+        UPDATE products
+        SET discount_percentage = COALESCE(regular_discount_percentage, 0),
+            regular_discount_percentage = NULL,
+            deal_discount_percentage = NULL,
+            deal_starts_at = NULL,
+            is_hot_deal = 0
+        WHERE is_hot_deal = 1
+          AND deal_expires_at <= NOW()
+    `);
+
+    // Scheduled deals that ended before they ever started
+    await db.run(`
+        UPDATE products
+        SET deal_discount_percentage = NULL, deal_starts_at = NULL, deal_expires_at = NULL
+        WHERE is_hot_deal = 0
+          AND deal_discount_percentage IS NOT NULL
+          AND deal_expires_at <= NOW()
+    `);
+
+    return { started: started.changes, expired: expired.changes };
+}
+
+// Schedule (or reschedule) a deal on a product, applying it straight away if it has started
+async function scheduleDeal(productId, { discountPercentage, startsAt, expiresAt }) {
+    await database.transaction(async (tx) => {
+        const product = await tx.get('SELECT is_hot_deal FROM products WHERE product_id = ? FOR UPDATE', [productId]);
+
+        if (product.is_hot_deal && startsAt > new Date()) {
+            // Running deal moved to a later start - back to the regular discount until syncDeals starts it again
+            await tx.run(`
+                UPDATE products
+                SET discount_percentage = COALESCE(regular_discount_percentage, 0),
+                    regular_discount_percentage = NULL,
+                    is_hot_deal = 0,
+                    deal_discount_percentage = ?, deal_starts_at = ?, deal_expires_at = ?
+                WHERE product_id = ?
+            `, [discountPercentage, startsAt, expiresAt, productId]);
+        } else if (product.is_hot_deal) {
+            // Running deal - update it in place, regular discount stays saved
+            await tx.run(`
+                UPDATE products
+                SET deal_discount_percentage = ?, discount_percentage = ?, deal_starts_at = ?, deal_expires_at = ?
+                WHERE product_id = ?
+            `, [discountPercentage, discountPercentage, startsAt, expiresAt, productId]);
+        } else {
+            await tx.run(`
+                UPDATE products
+                SET deal_discount_percentage = ?, deal_starts_at = ?, deal_expires_at = ?
+                WHERE product_id = ?
+            `, [discountPercentage, startsAt, expiresAt, productId]);
+        }
+
+        await syncDeals(tx);
+    });
+}
+
+// End a deal now, scheduled or running
+async function endDeal(productId) {
+    await database.run(`
+        UPDATE products
+        SET discount_percentage = IF(is_hot_deal = 1, COALESCE(regular_discount_percentage, 0), discount_percentage),
+            regular_discount_percentage = NULL,
+            deal_discount_percentage = NULL,
+            deal_starts_at = NULL,
+            deal_expires_at = NULL,
+            is_hot_deal = 0
+        WHERE product_id = ?
+    `, [productId]);
+}
+
+function startDealScheduler(intervalMs = SYNC_INTERVAL_MS) {
+    const tick = () => syncDeals()
+        .then(({ started, expired }) => {
+            if (started || expired) console.log(`Deals synced: ${started} started, ${expired} expired`);
+        })
+        .catch(err => console.error('Deal sync error:', err.message));
+
+    tick();
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    EFFECTIVE_DISCOUNT_SQL,
+    EFFECTIVE_PRICE_SQL,
+    syncDeals,
+    scheduleDeal,
+    endDeal,
+    startDealScheduler
+};
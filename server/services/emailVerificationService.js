@@ -0,0 +1,173 @@
+/**
+ * Email Verification Service
+ * Confirms a customer owns the address they registered with, before typos end up on orders
+ * Links are HMAC-signed rather than stored: they carry the account, the address and an expiry,
+ * so changing the address or the secret invalidates every open link - and they are signed as the email is sent,
+ * so the outbox never holds one
+ * EMAIL_VERIFICATION_MODE decides what an unverified account may do: off, warn (default) or required
+ */
+const crypto = require('crypto');
+const database = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { MAIL_TEMPLATES, queueEmail, renderAtDelivery } = require('./mailService');
+const { appUrl, renderTemplate } = require('./mailTemplates');
+
+const EMAIL_VERIFICATION_MODES = {
+    // No links are sent and nothing is gated
+    OFF: 'off',
+    // Links are sent and unverified customers are reminded, but can still check out
+    WARN: 'warn',
+    // Unverified customers can't place orders until they follow the link
+    REQUIRED: 'required'
+};
+
+const configuredMode = (process.env.EMAIL_VERIFICATION_MODE || '').toLowerCase();
+const EMAIL_VERIFICATION_MODE = Object.values(EMAIL_VERIFICATION_MODES).includes(configuredMode)
+    ? configuredMode
+    : EMAIL_VERIFICATION_MODES.WARN;
+
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 24;
+// Minimum gap between two links for the same account, so the resend button can't flood an inbox
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 120;
+
+// Stands in for the link in the stored copy of the email
+const LINK_PLACEHOLDER = '[verification link - created when the email is sent]';
+
+const SECRET = process.env.EMAIL_VERIFICATION_SECRET || process.env.SESSION_SECRET || 'multi-store-eletro-secret-key-2025';
+
+const sign = (payload) => crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+
+// <base64url JSON { u: user_id, e: email, x: expiry in ms }>.<signature>
+function createVerificationToken(userId, email) {
+    const payload = Buffer.from(JSON.stringify({
+        u: userId,
+        e: email,
+        x: Date.now() + EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+// The token's claims, or null if it was tampered with, is malformed or has expired
+function readVerificationToken(token) {
+    const [payload, signature, extra] = String(token).split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!claims.u || !claims.e || !(claims.x > Date.now())) return null;
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+const isVerificationEnabled = () => EMAIL_VERIFICATION_MODE !== EMAIL_VERIFICATION_MODES.OFF;
+
+/**
+ * Queue a verification link for the account and note when it went out
+ * Pass the open transaction when the link belongs to a change that may still roll back
+ */
+async function sendVerificationEmail(db, user) {
+    await queueEmail(db, {
+        template: MAIL_TEMPLATES.VERIFY_EMAIL,
+        to: user.email,
+        data: { fullName: user.full_name, verifyUrl: LINK_PLACEHOLDER, expiresHours: EMAIL_VERIFICATION_HOURS },
+        userId: user.user_id
+    });
+    await db.run('UPDATE users SET verification_sent_at = NOW() WHERE user_id = ?', [user.user_id]);
+}
+
+// Delivery renderer for verification emails - signs the link for the address the account has right now
+async function renderVerificationEmail(email) {
+    const user = await database.get(
+        'SELECT user_id, email, full_name FROM users WHERE user_id = ? AND is_active = TRUE',
+        [email.user_id]
+    );
+    if (!user) {
+        throw new Error('Account is no longer active');
+    }
+
+    const token = createVerificationToken(user.user_id, user.email);
+    return renderTemplate(MAIL_TEMPLATES.VERIFY_EMAIL, {
+        fullName: user.full_name,
+        verifyUrl: appUrl(`verify-email.html?token=${encodeURIComponent(token)}`),
+        expiresHours: EMAIL_VERIFICATION_HOURS
+    });
+}
+
+renderAtDelivery(MAIL_TEMPLATES.VERIFY_EMAIL, renderVerificationEmail);
+
+/**
+ * Mark the address in the token as verified - returns the user_id
+ * Following a link twice is fine; a link for an address the account no longer has is not
+ */
+async function verifyEmail(token) {
+    const claims = readVerificationToken(token);
+    if (!claims) {
+        throw new APIError('This verification link is invalid or has expired', 400);
+    }
+
+    const user = await database.get(
+        'SELECT user_id, email_verified_at FROM users WHERE user_id = ? AND email = ? AND is_active = TRUE',
+        [claims.u, claims.e]
+    );
+    if (!user) {
+        throw new APIError('This verification link is invalid or has expired', 400);
+    }
+
+    if (!user.email_verified_at) {
+        await database.run(
+            'UPDATE users SET email_verified_at = NOW() WHERE user_id = ? AND email = ? AND email_verified_at IS NULL',
+            [claims.u, claims.e]
+        );
+    }
+
+    return user.user_id;
+}
+
+/**
+ * Send a fresh link to a signed-in customer
+ * The cooldown is claimed with a conditional update, so two quick clicks only send one email
+ */
+async function resendVerification(userId) {
+    if (!isVerificationEnabled()) {
+        throw new APIError('Email verification is not enabled', 400);
+    }
+
+    const claim = await database.run(`
+        UPDATE users SET verification_sent_at = NOW()
+        WHERE user_id = ? AND is_active = TRUE AND email_verified_at IS NULL
+          AND (verification_sent_at IS NULL OR verification_sent_at < NOW() - INTERVAL ? SECOND)
+    `, [userId, RESEND_COOLDOWN_SECONDS]);
+
+    if (claim.changes === 0) {
+        const user = await database.get('SELECT email_verified_at FROM users WHERE user_id = ?', [userId]);
+        if (!user) throw new APIError('User not found', 404);
+        if (user.email_verified_at) throw new APIError('Your email address is already verified', 400);
+        throw new APIError('A verification email was sent recently - please check your inbox or try again in a few minutes', 429);
+    }
+
+    const user = await database.get('SELECT user_id, email, full_name FROM users WHERE user_id = ?', [userId]);
+    await sendVerificationEmail(database, user);
+}
+
+// Whether this account has to verify its address before it can place an order
+async function needsVerification(db, userId) {
+    if (!userId || EMAIL_VERIFICATION_MODE !== EMAIL_VERIFICATION_MODES.REQUIRED) return false;
+    const user = await db.get('SELECT email_verified_at FROM users WHERE user_id = ?', [userId]);
+    return !!user && !user.email_verified_at;
+}
+
+module.exports = {
+    EMAIL_VERIFICATION_MODES,
+    EMAIL_VERIFICATION_MODE,
+    isVerificationEnabled,
+    sendVerificationEmail,
+    verifyEmail,
+    resendVerification,
+    needsVerification
+};
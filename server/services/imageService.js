@@ -0,0 +1,161 @@
+/**
+ * Image Service
+ * Turns an uploaded image into a fixed set of sizes, each as WebP plus a JPEG fallback
+ * The format is sniffed from the file content, EXIF/GPS metadata is dropped and dimensions are checked
+ * Variant files are named <base>-<size>.<webp|jpg>, so any variant URL leads back to the whole set
+ */
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { APIError } = require('../middleware/errorHandler');
+
+// Width in pixels for each size - matches the w descriptors in the srcset
+const IMAGE_SIZES = {
+    thumbnail: 150,
+    card: 400,
+    zoom: 1200
+};
+
+// Sizes produced for each upload folder - avatars are never shown zoomed
+const FOLDER_SIZES = {
+    products: ['thumbnail', 'card', 'zoom'],
+    profiles: ['thumbnail', 'card']
+};
+
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const MIN_DIMENSION = 100;
+const MAX_DIMENSION = 10000;
+
+const WEBP_QUALITY = 80;
+const JPEG_QUALITY = 82;
+
+const UPLOADS_ROOT = path.join(__dirname, '../uploads');
+const VARIANT_URL_PATTERN = /^\/uploads\/(products|profiles)\/([\w-]+)-(thumbnail|card|zoom)\.(webp|jpg)$/;
+
+const variantUrl = (folder, baseName, size, ext) => `/uploads/${folder}/${baseName}-${size}.${ext}`;
+
+// Check the real content of an upload - the client's mimetype is not trusted
+async function inspectImage(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw new APIError('File is not a valid image', 400);
+    }
+
+    if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+        throw new APIError('Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed.', 400);
+    }
+
+    // EXIF orientations 5-8 are stored sideways
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    if (width < MIN_DIMENSION || height < MIN_DIMENSION) {
+        throw new APIError(`Image is too small. Minimum size is ${MIN_DIMENSION}x${MIN_DIMENSION} pixels.`, 400);
+    }
+    if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+        throw new APIError(`Image is too large. Maximum size is ${MAX_DIMENSION}x${MAX_DIMENSION} pixels.`, 400);
+    }
+
+    return { format: metadata.format, width, height };
+}
+
+/**
+ * Validate an uploaded buffer and write its variants to uploads/<folder>
+ * Returns the URL of every written file keyed by size; nothing is left on disk if it fails
+ */
+async function processUpload(buffer, { folder, baseName }) {
+    await inspectImage(buffer);
+
+    const sizes = FOLDER_SIZES[folder];
+    const dir = path.join(UPLOADS_ROOT, folder);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const written = [];
+    const variants = {};
+
+    try {
+        for (const size of sizes) {
+            // rotate() applies the EXIF orientation before the metadata is dropped;
+            // sharp writes no EXIF/GPS/XMP unless withMetadata() is asked for
+            const resized = sharp(buffer)
+                .rotate()
+                .resize({ width: IMAGE_SIZES[size], withoutEnlargement: true });
+
+            const webpPath = path.join(dir, `${baseName}-${size}.webp`);
+            await resized.clone().webp({ quality: WEBP_QUALITY }).toFile(webpPath);
+            written.push(webpPath);
+
+            // JPEG has no transparency - flatten onto white
+            const jpgPath = path.join(dir, `${baseName}-${size}.jpg`);
+            await resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: JPEG_QUALITY, mozjpeg: true }).toFile(jpgPath);
+            written.push(jpgPath);
+
+            variants[size] = {
+                webp: variantUrl(folder, baseName, size, 'webp'),
+                fallback: variantUrl(folder, baseName, size, 'jpg')
+            };
+        }
+    } catch (error) {
+        await Promise.all(written.map(file => fs.promises.unlink(file).catch(() => {})));
+        throw error;
+    }
+
+    return variants;
+}
+
+/**
+ * srcset-ready description of a processed image, from the URL of any one of its variants
+ * Returns null for images that didn't go through the pipeline (external URLs, older uploads)
+ */
+function describeImage(imageUrl) {
+    const match = VARIANT_URL_PATTERN.exec(imageUrl || '');
+    if (!match) return null;
+
+    const [, folder, baseName] = match;
+    const sizes = FOLDER_SIZES[folder];
+    const description = { srcset: { webp: '', fallback: '' } };
+    for (const size of sizes) {
+        description[size] = {
+            width: IMAGE_SIZES[size],
+            webp: variantUrl(folder, baseName, size, 'webp'),
+            fallback: variantUrl(folder, baseName, size, 'jpg')
+        };
+    }
+
+    description.srcset.webp = sizes.map(size => `${description[size].webp} ${IMAGE_SIZES[size]}w`).join(', ');
+    description.srcset.fallback = sizes.map(size => `${description[size].fallback} ${IMAGE_SIZES[size]}w`).join(', ');
+
+    return description;
+}
+
+// Delete an uploaded image from disk - every variant for pipeline images, the single file for older uploads
+async function removeImage(imageUrl) {
+    if (!imageUrl || !imageUrl.startsWith('/uploads/')) return;
+
+    const match = VARIANT_URL_PATTERN.exec(imageUrl);
+    const files = match
+        ? FOLDER_SIZES[match[1]].flatMap(size => ['webp', 'jpg'].map(ext => path.join(UPLOADS_ROOT, match[1], `${match[2]}-${size}.${ext}`)))
+        : [path.join(UPLOADS_ROOT, path.dirname(imageUrl).replace(/^\/uploads\/?/, ''), path.basename(imageUrl))];
+
+    await Promise.all(files.map(async (file) => {
+        // Never follow a crafted URL outside the uploads folder
+        if (!file.startsWith(UPLOADS_ROOT + path.sep)) return;
+        try {
+            await fs.promises.unlink(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Remove image file error:', error);
+            }
+        }
+    }));
+}
+
+module.exports = {
+    IMAGE_SIZES,
+    processUpload,
+    describeImage,
+    removeImage
+};
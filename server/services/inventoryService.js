@@ -0,0 +1,161 @@
+/**
+ * Inventory Service
+ * Every stock change goes through recordMovement, which updates the count and writes the ledger row
+ * in the caller's transaction, so inventory_movements always explains the current stock
+ * Also raises and resolves low-stock alerts for staff as counts move
+ */
+const { APIError } = require('../middleware/errorHandler');
+const { syncProductStock } = require('./variantService');
+
+const MOVEMENT_TYPES = {
+    SALE: 'sale',
+    RESTOCK: 'restock',
+    ADJUSTMENT: 'adjustment',
+    RETURN: 'return',
+    CANCELLATION: 'cancellation'
+};
+
+const ALERT_STATUSES = {
+    OPEN: 'open',
+    ACKNOWLEDGED: 'acknowledged',
+    RESOLVED: 'resolved'
+};
+
+// Used for products without their own low_stock_threshold
+const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+// Open or update the product's alert while stock is at or below its threshold, resolve it once above
+async function checkLowStock(tx, productId) {
+    const product = await tx.get(
+        'SELECT stock_quantity, COALESCE(low_stock_threshold, ?) AS threshold FROM products WHERE product_id = ?',
+        [DEFAULT_LOW_STOCK_THRESHOLD, productId]
+    );
+    if (!product) return;
+
+    const stock = parseInt(product.stock_quantity) || 0;
+    const threshold = parseInt(product.threshold);
+    const alert = await tx.get(
+        'SELECT alert_id FROM low_stock_alerts WHERE product_id = ? AND status IN (?, ?)',
+        [productId, ALERT_STATUSES.OPEN, ALERT_STATUSES.ACKNOWLEDGED]
+    );
+
+    if (stock <= threshold) {
+        if (alert) {
+            await tx.run(
+                'UPDATE low_stock_alerts SET stock_quantity = ?, threshold = ? WHERE alert_id = ?',
+                [stock, threshold, alert.alert_id]
+            );
+        } else {
+            await tx.run(
+                'INSERT INTO low_stock_alerts (product_id, stock_quantity, threshold) VALUES (?, ?, ?)',
+                [productId, stock, threshold]
+            );
+        }
+    } else if (alert) {
+        await tx.run(
+            'UPDATE low_stock_alerts SET status = ?, stock_quantity = ?, resolved_at = NOW() WHERE alert_id = ?',
+            [ALERT_STATUSES.RESOLVED, stock, alert.alert_id]
+        );
+    }
+}
+
+/**
+ * Change a product's stock - or a variant's, keeping the product total in step - and log it
+ * quantityChange is signed; returns the movement, or null when stock would go below zero
+ */
+async function recordMovement(tx, { productId, variantId = null, type, quantityChange, reason = null, orderId = null, reference = null, performedBy = null }) {
+    if (!Object.values(MOVEMENT_TYPES).includes(type)) {
+        throw new APIError(`Invalid movement type: ${type}`, 400);
+    }
+
+    // Conditional update - never lets stock go negative
+    const result = variantId
+        ? await tx.run(
+            'UPDATE product_variants SET stock_quantity = stock_quantity + ? WHERE variant_id = ? AND product_id = ? AND stock_quantity + ? >= 0',
+            [quantityChange, variantId, productId, quantityChange]
+        )
+        : await tx.run(
+            'UPDATE products SET stock_quantity = stock_quantity + ? WHERE product_id = ? AND stock_quantity + ? >= 0',
+            [quantityChange, productId, quantityChange]
+        );
+
+    if (result.changes === 0) return null;
+
+    if (variantId) {
+        await syncProductStock(tx, productId);
+    }
+
+    const balance = variantId
+        ? await tx.get('SELECT stock_quantity FROM product_variants WHERE variant_id = ?', [variantId])
+        : await tx.get('SELECT stock_quantity FROM products WHERE product_id = ?', [productId]);
+
+    const movement = {
+        product_id: productId,
+        variant_id: variantId,
+        movement_type: type,
+        quantity_change: quantityChange,
+        quantity_after: balance.stock_quantity,
+        reason,
+        order_id: orderId,
+        reference,
+        performed_by: performedBy
+    };
+
+    const inserted = await tx.run(`
+        INSERT INTO inventory_movements
+            (product_id, variant_id, movement_type, quantity_change, quantity_after, reason, order_id, reference, performed_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [productId, variantId, type, quantityChange, movement.quantity_after, reason, orderId, reference, performedBy]);
+
+    await checkLowStock(tx, productId);
+
+    return { movement_id: inserted.lastID, ...movement };
+}
+
+/**
+ * Put every line of an order back in stock, in product order - same lock order as checkout
+ * A line whose variant row can't be credited goes back on the product instead; if that fails too
+ * it throws, so the caller's cancellation rolls back rather than losing the units from the ledger
+ */
+async function restockOrder(tx, order, { type = MOVEMENT_TYPES.CANCELLATION, reason = null, performedBy = null } = {}) {
+    const items = await tx.query(
+        'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = ? ORDER BY product_id, variant_id',
+        [order.order_id]
+    );
+
+    for (const item of items) {
+        const movement = {
+            productId: item.product_id,
+            variantId: item.variant_id,
+            type,
+            quantityChange: item.quantity,
+            reason,
+            orderId: order.order_id,
+            reference: order.order_reference || null,
+            performedBy
+        };
+
+        let recorded = await recordMovement(tx, movement);
+        if (!recorded && item.variant_id) {
+            recorded = await recordMovement(tx, {
+                ...movement,
+                variantId: null,
+                reason: [reason, `variant ${item.variant_id} not found, returned to the product`].filter(Boolean).join(' - ')
+            });
+        }
+        if (!recorded) {
+            throw new APIError(`Could not return stock for product ${item.product_id}`, 409);
+        }
+    }
+
+    return items.length;
+}
+
+module.exports = {
+    MOVEMENT_TYPES,
+    ALERT_STATUSES,
+    DEFAULT_LOW_STOCK_THRESHOLD,
+    checkLowStock,
+    recordMovement,
+    restockOrder
+};
@@ -0,0 +1,179 @@
+/**
+ * Mail Service
+ * Transactional email through an outbox: queueEmail renders a template and stores the message,
+ * usually in the caller's transaction, and a background worker delivers it with the configured transport
+ * Failed sends are retried with exponential backoff until MAIL_MAX_ATTEMPTS, then marked failed
+ * Templates carrying a secret link register a delivery renderer: the outbox keeps a copy without the link,
+ * and the real email is rendered - secret and all - only at the moment it is sent
+ */
+const database = require('../config/database');
+const { getTransport } = require('./mailTransports');
+const { MAIL_TEMPLATES, renderTemplate } = require('./mailTemplates');
+
+const OUTBOX_STATUSES = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed'
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Multi Store Eletro <no-reply@multistore.local>';
+// Contact form messages go here; defaults to the sender address
+const MAIL_STORE_ADDRESS = process.env.MAIL_STORE_ADDRESS || MAIL_FROM;
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+
+// Retry after 1, 2, 4, 8... minutes, never more than an hour apart
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 60 * 60;
+const SEND_INTERVAL_MS = 15 * 1000;
+const BATCH_SIZE = 20;
+// A claim this old means the worker died mid-send - the email goes back in the queue
+const STALE_CLAIM_MINUTES = 10;
+
+const MAX_ERROR_LENGTH = 500;
+
+// template -> async (email) => { subject, html, text }, see renderAtDelivery
+const deliveryRenderers = new Map();
+
+const retryDelaySeconds = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+
+/**
+ * Render a template and add it to the outbox - returns the email_id
+ * Pass the open transaction so the email only goes out if the change it reports is committed
+ */
+async function queueEmail(db, { template, to, data, replyTo = null, userId = null, orderId = null }) {
+    const { subject, html, text } = renderTemplate(template, data);
+    const result = await db.run(`
+        INSERT INTO email_outbox (template, to_address, reply_to, subject, html_body, text_body, user_id, order_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [template, to, replyTo, subject, html, text, userId, orderId]);
+    return result.lastID;
+}
+
+/**
+ * Render this template's emails when they are sent instead of when they are queued
+ * The renderer gets the outbox row (email_id, template, to_address, user_id, order_id) and returns { subject, html, text };
+ * what it returns is sent but never stored
+ */
+function renderAtDelivery(template, render) {
+    deliveryRenderers.set(template, render);
+}
+
+// Tell the customer their order moved on - called with the transaction that changed the status
+async function queueOrderStatusEmail(tx, orderId, toStatus, note = null) {
+    const order = await tx.get(
+        'SELECT order_id, order_reference, user_id, customer_name, customer_email FROM orders WHERE order_id = ?',
+        [orderId]
+    );
+    if (!order || !order.customer_email) return null;
+
+    return queueEmail(tx, {
+        template: MAIL_TEMPLATES.ORDER_STATUS_CHANGED,
+        to: order.customer_email,
+        data: { order, toStatus, note },
+        userId: order.user_id,
+        orderId: order.order_id
+    });
+}
+
+// Send one claimed email and record the outcome
+async function deliver(email) {
+    try {
+        const render = deliveryRenderers.get(email.template);
+        const content = render
+            ? await render(email)
+            : { subject: email.subject, html: email.html_body, text: email.text_body };
+
+        const transport = getTransport();
+        const { messageId } = await transport.send({
+            from: MAIL_FROM,
+            to: email.to_address,
+            replyTo: email.reply_to,
+            subject: content.subject,
+            html: content.html,
+            text: content.text
+        });
+
+        await database.run(`
+            UPDATE email_outbox
+            SET status = ?, transport = ?, message_id = ?, last_error = NULL, sent_at = NOW()
+            WHERE email_id = ?
+        `, [OUTBOX_STATUSES.SENT, transport.name, messageId, email.email_id]);
+        return OUTBOX_STATUSES.SENT;
+    } catch (error) {
+        const attempts = email.attempts + 1;
+        const giveUp = attempts >= MAX_ATTEMPTS;
+
+        await database.run(`
+            UPDATE email_outbox
+            SET status = ?, last_error = ?, next_attempt_at = NOW() + INTERVAL ? SECOND
+            WHERE email_id = ?
+        `, [
+            giveUp ? OUTBOX_STATUSES.FAILED : OUTBOX_STATUSES.PENDING,
+            String(error.message).slice(0, MAX_ERROR_LENGTH),
+            retryDelaySeconds(attempts),
+            email.email_id
+        ]);
+        return giveUp ? OUTBOX_STATUSES.FAILED : OUTBOX_STATUSES.PENDING;
+    }
+}
+
+/**
+ * Deliver the emails that are due, oldest first
+ * Each email is claimed with a conditional update, so overlapping runs never send it twice
+ */
+async function processOutbox(limit = BATCH_SIZE) {
+    await database.run(`
+        UPDATE email_outbox SET status = ?
+        WHERE status = ? AND claimed_at < NOW() - INTERVAL ? MINUTE
+    `, [OUTBOX_STATUSES.PENDING, OUTBOX_STATUSES.SENDING, STALE_CLAIM_MINUTES]);
+
+    const due = await database.query(`
+        SELECT email_id, template, to_address, reply_to, subject, html_body, text_body, user_id, order_id, attempts
+        FROM email_outbox
+        WHERE status = ? AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at, email_id
+        LIMIT ?
+    `, [OUTBOX_STATUSES.PENDING, limit]);
+
+    const counts = { sent: 0, retrying: 0, failed: 0 };
+
+    for (const email of due) {
+        const claim = await database.run(
+            'UPDATE email_outbox SET status = ?, claimed_at = NOW(), attempts = attempts + 1 WHERE email_id = ? AND status = ?',
+            [OUTBOX_STATUSES.SENDING, email.email_id, OUTBOX_STATUSES.PENDING]
+        );
+        if (claim.changes === 0) continue;
+
+        const outcome = await deliver(email);
+        if (outcome === OUTBOX_STATUSES.SENT) counts.sent++;
+        else if (outcome === OUTBOX_STATUSES.FAILED) counts.failed++;
+        else counts.retrying++;
+    }
+
+    return counts;
+}
+
+function startMailScheduler(intervalMs = SEND_INTERVAL_MS) {
+    const tick = () => processOutbox()
+        .then(({ sent, retrying, failed }) => {
+            if (sent || retrying || failed) console.log(`Mail outbox: ${sent} sent, ${retrying} retrying, ${failed} failed`);
+        })
+        .catch(err => console.error('Mail outbox error:', err.message));
+
+    tick();
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    MAIL_TEMPLATES,
+    OUTBOX_STATUSES,
+    MAIL_STORE_ADDRESS,
+    queueEmail,
+    renderAtDelivery,
+    queueOrderStatusEmail,
+    processOutbox,
+    startMailScheduler
+};
@@ -0,0 +1,180 @@
+/**
+ * Mail Templates
+ * Each template turns its data into { subject, html, text } - the HTML shares one simple layout
+ * and the text version carries the same content for clients that don't show HTML
+ */
+const STORE_NAME = process.env.STORE_NAME || 'Multi Store Eletro';
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+const MAIL_TEMPLATES = {
+    WELCOME: 'welcome',
+    ORDER_PLACED: 'order_placed',
+    ORDER_STATUS_CHANGED: 'order_status_changed',
+    PASSWORD_RESET: 'password_reset',
+    VERIFY_EMAIL: 'verify_email',
+    CONTACT_MESSAGE: 'contact_message'
+};
+
+// What the customer is told for each order status
+const STATUS_MESSAGES = {
+    paid: 'We have received your payment.',
+    processing: 'We are getting your order ready.',
+    shipped: 'Your order is on its way.',
+    delivered: 'Your order has been delivered.',
+    cancelled: 'Your order has been cancelled.',
+    refunded: 'Your payment has been refunded.'
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatPrice = (amount) => `$${Number(amount).toFixed(2)}`;
+
+const appUrl = (pathAndQuery) => `${APP_URL}/${pathAndQuery}`;
+
+const trackOrderUrl = (order) => appUrl(`track-order.html?reference=${encodeURIComponent(order.order_reference)}`);
+
+const button = (href, label) =>
+    `<p style="margin:24px 0;"><a href="${escapeHtml(href)}" style="background:#0066cc;color:#ffffff;padding:12px 20px;border-radius:4px;text-decoration:none;display:inline-block;">${escapeHtml(label)}</a></p>`;
+
+// Shared frame for every HTML email - inline styles, since most mail clients drop <style>
+function layout(title, bodyHtml) {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:0;background:#f4f4f4;font-family:Arial,Helvetica,sans-serif;color:#333333;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f4;padding:24px 0;">
+        <tr><td align="center">
+            <table width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:6px;">
+                <tr><td style="background:#0066cc;color:#ffffff;padding:20px 24px;font-size:20px;font-weight:bold;">${escapeHtml(STORE_NAME)}</td></tr>
+                <tr><td style="padding:24px;font-size:15px;line-height:1.5;">${bodyHtml}</td></tr>
+                <tr><td style="padding:16px 24px;font-size:12px;color:#888888;border-top:1px solid #eeeeee;">
+                    This email was sent by ${escapeHtml(STORE_NAME)} - <a href="${escapeHtml(APP_URL)}" style="color:#888888;">${escapeHtml(APP_URL)}</a>
+                </td></tr>
+            </table>
+        </td></tr>
+    </table>
+</body>
+</html>`;
+}
+
+const textFooter = `\n\n--\n${STORE_NAME}\n${APP_URL}`;
+
+// Line items as an HTML table and as plain text
+function renderOrderItems(items) {
+    const rows = items.map(item => `
+        <tr>
+            <td style="padding:6px 0;border-bottom:1px solid #eeeeee;">${escapeHtml(item.product_name)}${item.variant_label ? `<br><span style="color:#888888;font-size:13px;">${escapeHtml(item.variant_label)}</span>` : ''}</td>
+            <td style="padding:6px 0;border-bottom:1px solid #eeeeee;text-align:center;">${item.quantity}</td>
+            <td style="padding:6px 0;border-bottom:1px solid #eeeeee;text-align:right;">${formatPrice(item.subtotal)}</td>
+        </tr>`).join('');
+
+    return {
+        html: `<table width="100%" cellpadding="0" cellspacing="0" style="margin:16px 0;">
+            <tr><th align="left">Item</th><th>Qty</th><th align="right">Subtotal</th></tr>${rows}
+        </table>`,
+        text: items.map(item =>
+            `- ${item.product_name}${item.variant_label ? ` (${item.variant_label})` : ''} x${item.quantity}: ${formatPrice(item.subtotal)}`
+        ).join('\n')
+    };
+}
+
+const templates = {
+    // { fullName }
+    [MAIL_TEMPLATES.WELCOME]: ({ fullName }) => ({
+        subject: `Welcome to ${STORE_NAME}`,
+        html: layout(`Welcome to ${STORE_NAME}`, `
+            <p>Hi ${escapeHtml(fullName)},</p>
+            <p>Thanks for creating an account. You can now save products to your wishlist, follow price drops and track your orders from your profile.</p>
+            ${button(appUrl('products.html'), 'Start shopping')}`),
+        text: `Hi ${fullName},\n\nThanks for creating an account. You can now save products to your wishlist, follow price drops and track your orders from your profile.\n\nStart shopping: ${appUrl('products.html')}${textFooter}`
+    }),
+
+    // { order: { order_reference, customer_name, total_amount, discount_amount, shipping_address }, items, manageUrl }
+    // manageUrl carries the lookup token, so guests can cancel from the email - it is only filled in at delivery
+    [MAIL_TEMPLATES.ORDER_PLACED]: ({ order, items, manageUrl }) => {
+        const lines = renderOrderItems(items);
+        const orderUrl = manageUrl || trackOrderUrl(order);
+        const discount = Number(order.discount_amount) > 0;
+        return {
+            subject: `Order ${order.order_reference} confirmed`,
+            html: layout(`Order ${order.order_reference}`, `
+                <p>Hi ${escapeHtml(order.customer_name)},</p>
+                <p>Thanks for your order! Here is what you bought:</p>
+                ${lines.html}
+                ${discount ? `<p>Coupon discount: -${formatPrice(order.discount_amount)}</p>` : ''}
+                <p><strong>Total: ${formatPrice(order.total_amount)}</strong></p>
+                <p>Shipping to:<br>${escapeHtml(order.shipping_address).replace(/\n/g, '<br>')}</p>
+                <p>Your order reference is <strong>${escapeHtml(order.order_reference)}</strong>.</p>
+                ${button(orderUrl, 'Track or cancel your order')}`),
+            text: `Hi ${order.customer_name},\n\nThanks for your order! Here is what you bought:\n\n${lines.text}\n\n` +
+                `${discount ? `Coupon discount: -${formatPrice(order.discount_amount)}\n` : ''}Total: ${formatPrice(order.total_amount)}\n\n` +
+                `Shipping to:\n${order.shipping_address}\n\nOrder reference: ${order.order_reference}\nTrack or cancel your order: ${orderUrl}${textFooter}`
+        };
+    },
+
+    // { order: { order_reference, customer_name }, toStatus, note }
+    [MAIL_TEMPLATES.ORDER_STATUS_CHANGED]: ({ order, toStatus, note }) => {
+        const message = STATUS_MESSAGES[toStatus] || `Your order is now ${toStatus}.`;
+        return {
+            subject: `Order ${order.order_reference}: ${toStatus}`,
+            html: layout(`Order ${order.order_reference}`, `
+                <p>Hi ${escapeHtml(order.customer_name)},</p>
+                <p>${escapeHtml(message)}</p>
+                ${note ? `<p style="color:#555555;">${escapeHtml(note)}</p>` : ''}
+                <p>Order reference: <strong>${escapeHtml(order.order_reference)}</strong></p>
+                ${button(trackOrderUrl(order), 'View order')}`),
+            text: `Hi ${order.customer_name},\n\n${message}\n${note ? `\n${note}\n` : ''}\nOrder reference: ${order.order_reference}\nView order: ${trackOrderUrl(order)}${textFooter}`
+        };
+    },
+
+    // { fullName, resetUrl, expiresMinutes }
+    [MAIL_TEMPLATES.PASSWORD_RESET]: ({ fullName, resetUrl, expiresMinutes }) => ({
+        subject: `Reset your ${STORE_NAME} password`,
+        html: layout('Reset your password', `
+            <p>Hi ${escapeHtml(fullName)},</p>
+            <p>We received a request to reset your password. The link below works once and expires in ${expiresMinutes} minutes.</p>
+            ${button(resetUrl, 'Choose a new password')}
+            <p style="color:#555555;">If you didn't ask for this, you can ignore this email - your password stays the same.</p>`),
+        text: `Hi ${fullName},\n\nWe received a request to reset your password. The link below works once and expires in ${expiresMinutes} minutes.\n\n${resetUrl}\n\nIf you didn't ask for this, you can ignore this email - your password stays the same.${textFooter}`
+    }),
+
+    // { fullName, verifyUrl, expiresHours }
+    [MAIL_TEMPLATES.VERIFY_EMAIL]: ({ fullName, verifyUrl, expiresHours }) => ({
+        subject: `Confirm your ${STORE_NAME} email address`,
+        html: layout('Confirm your email address', `
+            <p>Hi ${escapeHtml(fullName)},</p>
+            <p>Please confirm this is your email address, so your order confirmations and updates reach you. The link expires in ${expiresHours} hours.</p>
+            ${button(verifyUrl, 'Confirm email address')}
+            <p style="color:#555555;">If you didn't create an account with us, you can ignore this email.</p>`),
+        text: `Hi ${fullName},\n\nPlease confirm this is your email address, so your order confirmations and updates reach you. The link expires in ${expiresHours} hours.\n\n${verifyUrl}\n\nIf you didn't create an account with us, you can ignore this email.${textFooter}`
+    }),
+
+    // { name, email, phone, message } - sent to the store, replies go to the customer
+    [MAIL_TEMPLATES.CONTACT_MESSAGE]: ({ name, email, phone, message }) => ({
+        subject: `Contact form: ${name}`,
+        html: layout('Contact form message', `
+            <p><strong>From:</strong> ${escapeHtml(name)} &lt;${escapeHtml(email)}&gt;</p>
+            ${phone ? `<p><strong>Phone:</strong> ${escapeHtml(phone)}</p>` : ''}
+            <p style="white-space:pre-wrap;border-left:3px solid #0066cc;padding-left:12px;">${escapeHtml(message)}</p>`),
+        text: `From: ${name} <${email}>\n${phone ? `Phone: ${phone}\n` : ''}\n${message}${textFooter}`
+    })
+};
+
+function renderTemplate(name, data) {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown mail template: ${name}`);
+    }
+    return template(data);
+}
+
+module.exports = {
+    MAIL_TEMPLATES,
+    appUrl,
+    renderTemplate
+};
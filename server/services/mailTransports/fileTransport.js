@@ -0,0 +1,26 @@
+/**
+ * File Mail Transport
+ * Writes every message as an .eml file into MAIL_FILE_DIR and logs a line to the console
+ * Nothing leaves the machine - for development and offline use
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const { buildMimeMessage } = require('./mimeMessage');
+
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '../../mail-outbox');
+
+async function send(message) {
+    const { messageId, raw } = buildMimeMessage(message);
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId.slice(1, -1).split('@')[0]}.eml`;
+
+    await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+    await fs.writeFile(path.join(MAIL_FILE_DIR, fileName), raw);
+
+    console.log(`Mail to ${message.to}: "${message.subject}" saved as ${fileName}`);
+    return { messageId };
+}
+
+module.exports = {
+    name: 'file',
+    send
+};
@@ -0,0 +1,28 @@
+/**
+ * Mail Transports
+ * Registry of ways to deliver an email, selected with MAIL_TRANSPORT (default: file)
+ *
+ * Every transport exposes the same interface:
+ *   name                                              - stored with each sent email
+ *   send({ from, to, replyTo, subject, html, text }) -> { messageId }, throws if not delivered
+ *
+ * file writes each message to MAIL_FILE_DIR and logs it, so mail works offline;
+ * smtp hands it to the SMTP server in SMTP_HOST for real delivery
+ */
+const fileTransport = require('./fileTransport');
+const smtpTransport = require('./smtpTransport');
+
+const transports = {
+    [fileTransport.name]: fileTransport,
+    [smtpTransport.name]: smtpTransport
+};
+
+function getTransport(name = process.env.MAIL_TRANSPORT || 'file') {
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return transport;
+}
+
+module.exports = { getTransport };
@@ -0,0 +1,76 @@
+/**
+ * MIME Message
+ * Builds the raw RFC 5322 message both transports deliver: headers plus
+ * a multipart/alternative body with the text and HTML versions
+ */
+const crypto = require('crypto');
+const os = require('os');
+
+// A line break in a header value would start a new header (or SMTP command) - never let one through
+const assertSingleLine = (value, field) => {
+    if (/[\r\n]/.test(String(value))) {
+        throw new Error(`Line break in ${field} header`);
+    }
+    return value;
+};
+
+// Bare address out of "Store <shop@example.com>"
+const addressOf = (value) => {
+    assertSingleLine(value, 'address');
+    const match = /<([^>]+)>/.exec(value);
+    return (match ? match[1] : value).trim();
+};
+
+// Non-ASCII header text goes out as an encoded word
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+// Base64 in 76-character lines, as MIME requires
+const encodeBody = (value) => Buffer.from(value, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+function createMessageId(from) {
+    const domain = addressOf(from).split('@')[1] || os.hostname();
+    return `<${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+}
+
+// Returns { messageId, raw } - raw uses CRLF line endings throughout
+function buildMimeMessage({ from, to, replyTo, subject, html, text }) {
+    const messageId = createMessageId(from);
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+
+    const headers = [
+        `From: ${assertSingleLine(from, 'From')}`,
+        `To: ${assertSingleLine(to, 'To')}`,
+        replyTo ? `Reply-To: ${assertSingleLine(replyTo, 'Reply-To')}` : null,
+        `Subject: ${encodeHeader(assertSingleLine(subject, 'Subject'))}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`
+    ].filter(Boolean);
+
+    const part = (contentType, body) => [
+        `--${boundary}`,
+        `Content-Type: ${contentType}; charset=UTF-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(body)
+    ].join('\r\n');
+
+    const raw = [
+        ...headers,
+        '',
+        part('text/plain', text),
+        part('text/html', html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+
+    return { messageId, raw };
+}
+
+module.exports = {
+    addressOf,
+    buildMimeMessage
+};
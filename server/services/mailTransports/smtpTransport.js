@@ -0,0 +1,158 @@
+/**
+ * SMTP Mail Transport
+ * Delivers through an SMTP server (SMTP_HOST, SMTP_PORT) with one connection per message
+ * SMTP_SECURE=true uses TLS from the start (port 465); otherwise STARTTLS is used when offered
+ * SMTP_USER / SMTP_PASS sign in with AUTH PLAIN, only once the connection is encrypted -
+ * SMTP_ALLOW_INSECURE_AUTH=true allows it in plain text, for local test servers only
+ */
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { addressOf, buildMimeMessage } = require('./mimeMessage');
+
+const SMTP_TIMEOUT_MS = parseInt(process.env.SMTP_TIMEOUT_MS) || 30000;
+
+const config = () => ({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || (process.env.SMTP_SECURE === 'true' ? 465 : 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true'
+});
+
+/**
+ * Reads complete server replies off a socket, one at a time
+ * A reply is done at the line with a space after the code ("250 OK", not "250-SIZE")
+ */
+function createReplyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    const deliver = (reply) => (waiting.length > 0 ? waiting.shift().resolve(reply) : replies.push(reply));
+    const fail = (error) => {
+        failure = failure || error;
+        while (waiting.length > 0) waiting.shift().reject(failure);
+    };
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                deliver({ code: parseInt(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) });
+                lines = [];
+            }
+        }
+    };
+    const onError = (error) => fail(error);
+    const onClose = () => fail(new Error('SMTP connection closed'));
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    return {
+        next: () => {
+            if (replies.length > 0) return Promise.resolve(replies.shift());
+            if (failure) return Promise.reject(failure);
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+        // Stop reading before the socket is handed to TLS
+        detach: () => {
+            socket.removeListener('data', onData);
+            socket.removeListener('error', onError);
+            socket.removeListener('close', onClose);
+        }
+    };
+}
+
+function connect({ host, port, secure }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+            : net.connect({ host, port }, () => resolve(socket));
+        socket.once('error', reject);
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+    });
+}
+
+function upgradeToTls(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+        secureSocket.once('error', reject);
+        secureSocket.setTimeout(SMTP_TIMEOUT_MS, () => secureSocket.destroy(new Error('SMTP connection timed out')));
+    });
+}
+
+// Lines starting with a dot get a second one, so the body can't end the DATA section early
+const dotStuff = (raw) => raw.replace(/^\./gm, '..');
+
+async function send(message) {
+    const settings = config();
+    if (!settings.host) {
+        throw new Error('SMTP_HOST is not set');
+    }
+
+    const { messageId, raw } = buildMimeMessage(message);
+    let socket = await connect(settings);
+    let reader = createReplyReader(socket);
+
+    // Send a command and insist on one of the expected reply codes
+    // label names the step in errors - never the credentials or the message itself
+    const command = async (line, expected, label = line) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    };
+
+    try {
+        await command(null, [220], 'greeting');
+        const hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+        const offersStartTls = hello.lines.some(line => line.toUpperCase() === 'STARTTLS');
+        let encrypted = settings.secure;
+        if (!settings.secure && offersStartTls) {
+            await command('STARTTLS', [220]);
+            reader.detach();
+            socket = await upgradeToTls(socket, settings.host);
+            reader = createReplyReader(socket);
+            await command(`EHLO ${os.hostname()}`, [250]);
+            encrypted = true;
+        }
+
+        if (settings.user) {
+            // AUTH PLAIN is only base64 - over a plain connection the password goes out readable
+            if (!encrypted && !settings.allowInsecureAuth) {
+                throw new Error('SMTP server does not offer STARTTLS - refusing to send credentials unencrypted');
+            }
+            const credentials = Buffer.from(`\0${settings.user}\0${settings.pass || ''}`, 'utf8').toString('base64');
+            await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+        }
+
+        await command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+        await command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+        await command('DATA', [354]);
+        // raw already ends in CRLF, so the lone dot lands on its own line
+        await command(`${dotStuff(raw)}.`, [250], 'message');
+        await command('QUIT', [221]).catch(() => {});
+    } finally {
+        socket.destroy();
+    }
+
+    return { messageId };
+}
+
+module.exports = {
+    name: 'smtp',
+    send
+};
@@ -0,0 +1,23 @@
+/**
+ * Notification Service
+ * In-app messages for customers, shown on the profile page
+ * Other services create them (wishlist alerts); customers list them and mark them read
+ */
+
+const NOTIFICATION_TYPES = {
+    PRICE_DROP: 'price_drop',
+    BACK_IN_STOCK: 'back_in_stock'
+};
+
+async function createNotification(db, { userId, type, title, message, linkUrl = null }) {
+    const result = await db.run(
+        'INSERT INTO user_notifications (user_id, notification_type, title, message, link_url) VALUES (?, ?, ?, ?, ?)',
+        [userId, type, title, message, linkUrl]
+    );
+    return result.lastID;
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    createNotification
+};
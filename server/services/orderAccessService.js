@@ -0,0 +1,82 @@
+/**
+ * Order Access Service
+ * Decide who can see or act on an order
+ * Owners, the guest session that placed it, or anyone holding its lookup token
+ * The token reaches the customer in the checkout response and in the confirmation email's link,
+ * which is added as the email is sent so the outbox never holds it
+ */
+const crypto = require('crypto');
+const database = require('../config/database');
+const { getCurrentUserId } = require('../middleware/authMiddleware');
+const { MAIL_TEMPLATES, renderAtDelivery } = require('./mailService');
+const { appUrl, renderTemplate } = require('./mailTemplates');
+
+// Orders placed in this session stay viewable so guests can see their confirmation
+const MAX_SESSION_ORDERS = 10;
+
+// Logged-in users see their own orders, guests only the ones placed in this session
+function canViewOrder(req, order) {
+    const userId = getCurrentUserId(req);
+    if (userId && order.user_id === userId) return true;
+
+    const placedOrders = (req.session && req.session.placedOrders) || [];
+    return placedOrders.includes(order.order_id);
+}
+
+function rememberPlacedOrder(req, orderId) {
+    const placedOrders = req.session.placedOrders || [];
+    placedOrders.push(orderId);
+    req.session.placedOrders = placedOrders.slice(-MAX_SESSION_ORDERS);
+}
+
+// Secret handed to the customer at checkout so guests can manage the order later
+function generateLookupToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function tokenMatches(provided, expected) {
+    if (!provided || !expected || typeof provided !== 'string') return false;
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// View access or a matching lookup token - order must include lookup_token
+function canAccessOrder(req, order, token) {
+    return canViewOrder(req, order) || tokenMatches(token, order.lookup_token);
+}
+
+// Delivery renderer for order confirmations - rebuilt from the order so its link can carry the lookup token
+async function renderOrderPlacedEmail(email) {
+    const order = await database.get(`
+        SELECT order_id, order_reference, customer_name, shipping_address, total_amount, discount_amount, lookup_token
+        FROM orders WHERE order_id = ?
+    `, [email.order_id]);
+    if (!order) {
+        throw new Error('Order no longer exists');
+    }
+
+    const items = await database.query(
+        'SELECT product_name, variant_label, quantity, subtotal FROM order_items WHERE order_id = ? ORDER BY order_item_id',
+        [order.order_id]
+    );
+
+    const query = `reference=${encodeURIComponent(order.order_reference)}` +
+        (order.lookup_token ? `&token=${encodeURIComponent(order.lookup_token)}` : '');
+
+    return renderTemplate(MAIL_TEMPLATES.ORDER_PLACED, {
+        order,
+        items,
+        manageUrl: appUrl(`track-order.html?${query}`)
+    });
+}
+
+renderAtDelivery(MAIL_TEMPLATES.ORDER_PLACED, renderOrderPlacedEmail);
+
+module.exports = {
+    canViewOrder,
+    rememberPlacedOrder,
+    generateLookupToken,
+    tokenMatches,
+    canAccessOrder
+};
@@ -0,0 +1,77 @@
+/**
+ * Order Status Service
+ * Order lifecycle state machine and status history
+ * pending -> paid -> processing -> shipped -> delivered, plus cancelled/refunded
+ */
+const { APIError } = require('../middleware/errorHandler');
+const { queueOrderStatusEmail } = require('./mailService');
+
+const ORDER_STATUSES = {
+    PENDING: 'pending',
+    PAID: 'paid',
+    PROCESSING: 'processing',
+    SHIPPED: 'shipped',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled',
+    REFUNDED: 'refunded'
+};
+
+// Allowed next statuses for each status - cancelled and refunded are final
+const TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['processing', 'cancelled', 'refunded'],
+    processing: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: []
+};
+
+function isValidStatus(status) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+}
+
+function canTransition(fromStatus, toStatus) {
+    return isValidStatus(fromStatus) && TRANSITIONS[fromStatus].includes(toStatus);
+}
+
+// Write a history row - fromStatus is null for the initial status
+async function recordStatusChange(tx, orderId, fromStatus, toStatus, changedBy = null, note = null) {
+    await tx.run(
+        'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note) VALUES (?, ?, ?, ?, ?)',
+        [orderId, fromStatus, toStatus, changedBy, note]
+    );
+}
+
+// Move an order to a new status inside an open transaction
+// Locks the order row, rejects illegal transitions, records history and emails the customer
+async function transitionOrder(tx, orderId, toStatus, { changedBy = null, note = null } = {}) {
+    if (!isValidStatus(toStatus)) {
+        throw new APIError(`Invalid order status: ${toStatus}`, 400);
+    }
+
+    const order = await tx.get('SELECT order_id, order_status FROM orders WHERE order_id = ? FOR UPDATE', [orderId]);
+    if (!order) {
+        throw new APIError('Order not found', 404);
+    }
+
+    const fromStatus = order.order_status;
+    if (!canTransition(fromStatus, toStatus)) {
+        throw new APIError(`Cannot change order from ${fromStatus} to ${toStatus}`, 409);
+    }
+
+    await tx.run('UPDATE orders SET order_status = ? WHERE order_id = ?', [toStatus, orderId]);
+    await recordStatusChange(tx, orderId, fromStatus, toStatus, changedBy, note);
+    await queueOrderStatusEmail(tx, orderId, toStatus, note);
+
+    return { order_id: order.order_id, from_status: fromStatus, to_status: toStatus };
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    TRANSITIONS,
+    isValidStatus,
+    canTransition,
+    recordStatusChange,
+    transitionOrder
+};
@@ -0,0 +1,124 @@
+/**
+ * Password Reset Service
+ * One-time reset links for customers who forgot their password
+ * Tokens are random, stored only as a SHA-256 hash, expire after PASSWORD_RESET_MINUTES and work once;
+ * a reset bumps users.session_version, which signs the account out everywhere
+ * The token is minted when the email is sent, so the outbox never holds a working link
+ */
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const database = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { MAIL_TEMPLATES, queueEmail, renderAtDelivery } = require('./mailService');
+const { appUrl, renderTemplate } = require('./mailTemplates');
+
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES) || 60;
+// A fresh link is only sent once a minute, so the form can't be used to flood an inbox
+const RESEND_COOLDOWN_SECONDS = 60;
+// Stands in for the link in the stored copy of the email
+const LINK_PLACEHOLDER = '[reset link - created when the email is sent]';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Queue a reset email for the account with this address
+ * Returns whether one was queued - callers must not tell the visitor, so addresses can't be probed
+ * The user row is locked while the cooldown is checked, so parallel requests queue one email between them
+ */
+async function requestPasswordReset(email) {
+    return database.transaction(async (tx) => {
+        const user = await tx.get(
+            'SELECT user_id, email, full_name FROM users WHERE email = ? AND is_active = TRUE FOR UPDATE',
+            [email]
+        );
+        if (!user) return false;
+
+        const recent = await tx.get(
+            'SELECT email_id FROM email_outbox WHERE user_id = ? AND template = ? AND created_at > NOW() - INTERVAL ? SECOND',
+            [user.user_id, MAIL_TEMPLATES.PASSWORD_RESET, RESEND_COOLDOWN_SECONDS]
+        );
+        if (recent) return false;
+
+        await queueEmail(tx, {
+            template: MAIL_TEMPLATES.PASSWORD_RESET,
+            to: user.email,
+            data: { fullName: user.full_name, resetUrl: LINK_PLACEHOLDER, expiresMinutes: PASSWORD_RESET_MINUTES },
+            userId: user.user_id
+        });
+        return true;
+    });
+}
+
+/**
+ * Delivery renderer for reset emails: mint the token, replacing any unused earlier one, and render the link
+ * A retried send mints again, so only the link in the email that actually went out works
+ */
+async function renderResetEmail(email) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const user = await database.transaction(async (tx) => {
+        const row = await tx.get(
+            'SELECT user_id, full_name FROM users WHERE user_id = ? AND is_active = TRUE',
+            [email.user_id]
+        );
+        if (!row) return null;
+
+        await tx.run('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL', [row.user_id]);
+        await tx.run(
+            'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, NOW() + INTERVAL ? MINUTE)',
+            [row.user_id, hashToken(token), PASSWORD_RESET_MINUTES]
+        );
+        return row;
+    });
+
+    if (!user) {
+        throw new Error('Account is no longer active');
+    }
+
+    return renderTemplate(MAIL_TEMPLATES.PASSWORD_RESET, {
+        fullName: user.full_name,
+        resetUrl: appUrl(`reset-password.html?token=${token}`),
+        expiresMinutes: PASSWORD_RESET_MINUTES
+    });
+}
+
+renderAtDelivery(MAIL_TEMPLATES.PASSWORD_RESET, renderResetEmail);
+
+/**
+ * Spend a reset token on a new password
+ * Every other open link for the account is spent too, and existing sessions are signed out
+ */
+async function resetPassword(token, newPassword) {
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+
+    return database.transaction(async (tx) => {
+        const row = await tx.get(`
+            SELECT t.token_id, t.user_id
+            FROM password_reset_tokens t
+            JOIN users u ON t.user_id = u.user_id
+            WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > NOW() AND u.is_active = TRUE
+            FOR UPDATE
+        `, [hashToken(token)]);
+
+        if (!row) {
+            throw new APIError('This reset link is invalid or has expired', 400);
+        }
+
+        await tx.run(
+            'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+            [row.user_id]
+        );
+        await tx.run(
+            'UPDATE users SET password_hash = ?, session_version = session_version + 1, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+            [passwordHash, row.user_id]
+        );
+
+        return row.user_id;
+    });
+}
+
+module.exports = {
+    PASSWORD_RESET_MINUTES,
+    requestPasswordReset,
+    resetPassword
+};
@@ -0,0 +1,30 @@
+/**
+ * Payment Providers
+ * Registry of payment gateways, selected with PAYMENT_PROVIDER (default: mock)
+ *
+ * Every provider exposes the same interface, with payments shaped as
+ * { provider_ref, status, amount, currency, failure_reason, next_action }:
+ *   name                                   - key used in the payments table and webhook URL
+ *   createIntent({ amount, currency, metadata }) -> payment
+ *   confirm(providerRef, { paymentMethod })      -> payment
+ *   refund(providerRef, amount)                  -> payment
+ *   verifyWebhook(rawBody, headers)              -> { id, type, payment }, throws if invalid
+ *
+ * Statuses: requires_confirmation, requires_action, succeeded, failed, refunded
+ * (payments rows also use refund_pending while a refund waits for the provider)
+ */
+const mockProvider = require('./mockProvider');
+
+const providers = {
+    [mockProvider.name]: mockProvider
+};
+
+function getProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+}
+
+module.exports = { getProvider };
@@ -0,0 +1,192 @@
+/**
+ * Mock Payment Provider
+ * Simulates a card gateway in memory so checkout works offline
+ * After a restart, intents are rebuilt from the payments table, which mirrors every status change
+ * Test payment methods: pm_card_success, pm_card_decline, pm_card_3ds
+ * Every status change is delivered back to this server as a signed webhook
+ */
+const crypto = require('crypto');
+const http = require('http');
+const database = require('../../config/database');
+
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret';
+const WEBHOOK_URL = process.env.PAYMENT_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/payments/webhook/mock`;
+const SIGNATURE_HEADER = 'x-mock-signature';
+// Reject webhooks signed more than 5 minutes ago
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const TEST_METHODS = {
+    SUCCESS: 'pm_card_success',
+    DECLINE: 'pm_card_decline',
+    THREE_DS: 'pm_card_3ds'
+};
+
+// Intents are cached for the life of the process
+const intents = new Map();
+
+// Statuses the gateway would still report for a stored payment - a pending refund hasn't reached it yet
+const STORED_STATUSES = { refund_pending: 'succeeded' };
+
+function toPayment(intent) {
+    return {
+        provider_ref: intent.id,
+        status: intent.status,
+        amount: intent.amount,
+        currency: intent.currency,
+        failure_reason: intent.failure_reason,
+        next_action: intent.next_action
+    };
+}
+
+async function getIntent(providerRef) {
+    if (intents.has(providerRef)) return intents.get(providerRef);
+
+    const payment = await database.get(
+        'SELECT provider_ref, amount, currency, status, failure_reason, next_action_url FROM payments WHERE provider = ? AND provider_ref = ?',
+        ['mock', providerRef]
+    );
+    if (!payment) {
+        throw new Error(`Unknown payment intent: ${providerRef}`);
+    }
+
+    const intent = {
+        id: payment.provider_ref,
+        amount: Number(payment.amount),
+        currency: payment.currency,
+        metadata: {},
+        status: STORED_STATUSES[payment.status] || payment.status,
+        failure_reason: payment.failure_reason,
+        next_action: payment.next_action_url ? { type: 'mock_3ds', url: payment.next_action_url } : null
+    };
+    intents.set(intent.id, intent);
+    return intent;
+}
+
+function sign(payload, timestamp) {
+    return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+// Fire and forget, like a real gateway calling back
+function sendWebhook(type, intent) {
+    const payload = JSON.stringify({
+        id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+        type,
+        created: Math.floor(Date.now() / 1000),
+        data: toPayment(intent)
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const req = http.request(WEBHOOK_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload),
+            [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(payload, timestamp)}`
+        }
+    }, res => res.resume());
+
+    req.on('error', err => console.error('Mock webhook delivery failed:', err.message));
+    req.end(payload);
+}
+
+function updateIntent(intent, changes) {
+    Object.assign(intent, changes);
+    sendWebhook(`payment.${intent.status}`, intent);
+    return toPayment(intent);
+}
+
+async function createIntent({ amount, currency, metadata = {} }) {
+    const intent = {
+        id: `mock_pi_${crypto.randomBytes(12).toString('hex')}`,
+        amount: Math.round(amount * 100) / 100,
+        currency,
+        metadata,
+        status: 'requires_confirmation',
+        failure_reason: null,
+        next_action: null
+    };
+    intents.set(intent.id, intent);
+    return toPayment(intent);
+}
+
+// Outcome depends on the test payment method, like gateway test cards
+async function confirm(providerRef, { paymentMethod }) {
+    const intent = await getIntent(providerRef);
+
+    if (!['requires_confirmation', 'failed'].includes(intent.status)) {
+        return toPayment(intent);
+    }
+
+    switch (paymentMethod) {
+        case TEST_METHODS.SUCCESS:
+            return updateIntent(intent, { status: 'succeeded', failure_reason: null, next_action: null });
+        case TEST_METHODS.THREE_DS:
+            // No webhook yet - the customer still has to authenticate
+            Object.assign(intent, {
+                status: 'requires_action',
+                failure_reason: null,
+                next_action: { type: 'mock_3ds', url: `/api/payments/mock/${intent.id}/authorize` }
+            });
+            return toPayment(intent);
+        case TEST_METHODS.DECLINE:
+            return updateIntent(intent, { status: 'failed', failure_reason: 'Card declined', next_action: null });
+        default:
+            return updateIntent(intent, { status: 'failed', failure_reason: 'Unsupported payment method', next_action: null });
+    }
+}
+
+// Mock-only: the simulated 3-D Secure challenge result
+async function completeAction(providerRef, approved) {
+    const intent = await getIntent(providerRef);
+
+    if (intent.status !== 'requires_action') {
+        return toPayment(intent);
+    }
+
+    return approved
+        ? updateIntent(intent, { status: 'succeeded', next_action: null })
+        : updateIntent(intent, { status: 'failed', failure_reason: 'Authentication failed', next_action: null });
+}
+
+async function refund(providerRef) {
+    const intent = await getIntent(providerRef);
+
+    if (intent.status !== 'succeeded') {
+        throw new Error(`Cannot refund payment in status ${intent.status}`);
+    }
+
+    return updateIntent(intent, { status: 'refunded' });
+}
+
+// Returns the event if the signature is valid and fresh, throws otherwise
+function verifyWebhook(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header || !rawBody) {
+        throw new Error('Missing webhook signature');
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Webhook timestamp outside tolerance');
+    }
+
+    const expected = Buffer.from(sign(rawBody.toString('utf8'), timestamp));
+    const provided = Buffer.from(parts.v1 || '');
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+    return { id: event.id, type: event.type, payment: event.data };
+}
+
+module.exports = {
+    name: 'mock',
+    TEST_METHODS,
+    createIntent,
+    confirm,
+    completeAction,
+    refund,
+    verifyWebhook
+};
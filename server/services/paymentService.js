@@ -0,0 +1,222 @@
+/**
+ * Payment Service
+ * Link provider payments to orders and keep the two in sync
+ * Used by checkout, the payment endpoints and provider webhooks
+ * Refunds are two-step: the order change marks payments refund_pending in its own transaction,
+ * and settleRefunds asks the provider once that has committed - retried on a schedule until it goes through
+ */
+const database = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { getProvider } = require('./paymentProviders');
+const { ORDER_STATUSES, transitionOrder } = require('./orderStatusService');
+
+const PAYMENT_STATUSES = {
+    REQUIRES_CONFIRMATION: 'requires_confirmation',
+    REQUIRES_ACTION: 'requires_action',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    REFUND_PENDING: 'refund_pending',
+    REFUNDED: 'refunded'
+};
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'USD';
+const REFUND_INTERVAL_MS = 60 * 1000;
+const REFUND_BATCH_SIZE = 20;
+const MAX_ERROR_LENGTH = 255;
+
+// Provider updates a stored payment may accept - anything else is a stale or replayed event
+// Failed payments can be retried, succeeded ones only refunded
+const ALLOWED_UPDATES = {
+    requires_confirmation: ['requires_action', 'succeeded', 'failed'],
+    requires_action: ['succeeded', 'failed'],
+    failed: ['requires_action', 'succeeded'],
+    succeeded: ['refunded'],
+    // Our own refund request is still out - only the provider's refund confirmation moves it on
+    refund_pending: ['refunded'],
+    refunded: []
+};
+
+// Start a payment for a freshly placed order
+async function createPaymentForOrder(order) {
+    const provider = getProvider();
+    const intent = await provider.createIntent({
+        amount: Number(order.total_amount),
+        currency: CURRENCY,
+        metadata: { order_id: order.order_id, order_reference: order.order_reference }
+    });
+
+    const result = await database.run(
+        'INSERT INTO payments (order_id, provider, provider_ref, amount, currency, status) VALUES (?, ?, ?, ?, ?, ?)',
+        [order.order_id, provider.name, intent.provider_ref, intent.amount, intent.currency, intent.status]
+    );
+
+    return { payment_id: result.lastID, provider: provider.name, status: intent.status, amount: intent.amount, currency: intent.currency };
+}
+
+// Payment plus the order fields needed for access checks
+async function getPaymentWithOrder(where, params) {
+    return database.get(`
+        SELECT p.*, o.user_id, o.lookup_token, o.order_status
+        FROM payments p
+        JOIN orders o ON p.order_id = o.order_id
+        WHERE ${where}
+    `, params);
+}
+
+async function getLatestPayment(orderId) {
+    return database.get(`
+        SELECT payment_id, provider, status, amount, currency, failure_reason, next_action_url, created_at, updated_at
+        FROM payments
+        WHERE order_id = ?
+        ORDER BY payment_id DESC
+        LIMIT 1
+    `, [orderId]);
+}
+
+async function confirmPayment(payment, paymentMethod) {
+    const provider = getProvider(payment.provider);
+    const result = await provider.confirm(payment.provider_ref, { paymentMethod });
+    await applyProviderUpdate(provider.name, result);
+    return result;
+}
+
+// Mock-only 3-D Secure outcome
+async function completeMockAction(payment, approved) {
+    const provider = getProvider(payment.provider);
+    if (!provider.completeAction) {
+        throw new APIError('Provider does not support simulated authentication', 400);
+    }
+    const result = await provider.completeAction(payment.provider_ref, approved);
+    await applyProviderUpdate(provider.name, result);
+    return result;
+}
+
+// Apply a provider status to the stored payment and its order
+// Runs for both the confirm response and the webhook, so repeating an update is harmless
+async function applyProviderUpdate(providerName, update) {
+    const result = await database.transaction(async (tx) => {
+        const payment = await tx.get(
+            'SELECT payment_id, order_id, provider_ref, amount, status FROM payments WHERE provider = ? AND provider_ref = ? FOR UPDATE',
+            [providerName, update.provider_ref]
+        );
+
+        if (!payment) {
+            throw new APIError('Payment not found', 404);
+        }
+
+        const statusChanged = payment.status !== update.status;
+        if (statusChanged && !(ALLOWED_UPDATES[payment.status] || []).includes(update.status)) {
+            return payment;
+        }
+
+        await tx.run(
+            'UPDATE payments SET status = ?, failure_reason = ?, next_action_url = ? WHERE payment_id = ?',
+            [update.status, update.failure_reason || null, update.next_action ? update.next_action.url : null, payment.payment_id]
+        );
+
+        if (statusChanged && update.status === PAYMENT_STATUSES.SUCCEEDED) {
+            const order = await tx.get('SELECT order_status FROM orders WHERE order_id = ? FOR UPDATE', [payment.order_id]);
+
+            if (order.order_status === ORDER_STATUSES.PENDING) {
+                await transitionOrder(tx, payment.order_id, ORDER_STATUSES.PAID, { note: 'Payment received' });
+            } else if (order.order_status === ORDER_STATUSES.CANCELLED) {
+                // Customer cancelled while the payment was in flight - give the money back
+                await requestOrderRefunds(tx, payment.order_id);
+                return { ...payment, status: PAYMENT_STATUSES.REFUND_PENDING };
+            }
+        }
+
+        return { ...payment, status: update.status };
+    });
+
+    if (result.status === PAYMENT_STATUSES.REFUND_PENDING) {
+        settleRefundsInBackground();
+    }
+    return result;
+}
+
+/**
+ * Mark every captured payment of an order for refund - call inside the transaction that cancels or refunds it
+ * No provider call happens here, so the order change never depends on the gateway; run settleRefunds after commit
+ * Returns how many payments will be refunded
+ */
+async function requestOrderRefunds(tx, orderId) {
+    const result = await tx.run(
+        'UPDATE payments SET status = ?, failure_reason = NULL WHERE order_id = ? AND status = ?',
+        [PAYMENT_STATUSES.REFUND_PENDING, orderId, PAYMENT_STATUSES.SUCCEEDED]
+    );
+    return result.changes;
+}
+
+// One settle run at a time in this process, so no payment is sent to the provider twice
+let settling = null;
+
+/**
+ * Ask the provider to refund each pending payment, oldest first
+ * A refusal is kept in failure_reason and the payment stays pending for the next run
+ */
+function settleRefunds(limit = REFUND_BATCH_SIZE) {
+    if (!settling) {
+        settling = runSettleRefunds(limit).finally(() => { settling = null; });
+    }
+    return settling;
+}
+
+async function runSettleRefunds(limit) {
+    const pending = await database.query(
+        'SELECT payment_id, provider, provider_ref, amount FROM payments WHERE status = ? ORDER BY updated_at, payment_id LIMIT ?',
+        [PAYMENT_STATUSES.REFUND_PENDING, limit]
+    );
+
+    const counts = { refunded: 0, failed: 0 };
+    for (const payment of pending) {
+        try {
+            await getProvider(payment.provider).refund(payment.provider_ref, Number(payment.amount));
+            await database.run(
+                'UPDATE payments SET status = ?, failure_reason = NULL WHERE payment_id = ? AND status = ?',
+                [PAYMENT_STATUSES.REFUNDED, payment.payment_id, PAYMENT_STATUSES.REFUND_PENDING]
+            );
+            counts.refunded++;
+        } catch (error) {
+            await database.run(
+                'UPDATE payments SET failure_reason = ? WHERE payment_id = ? AND status = ?',
+                [`Refund failed: ${error.message}`.slice(0, MAX_ERROR_LENGTH), payment.payment_id, PAYMENT_STATUSES.REFUND_PENDING]
+            );
+            counts.failed++;
+        }
+    }
+
+    return counts;
+}
+
+// Settle straight after the order change commits instead of waiting for the next scheduled run
+function settleRefundsInBackground() {
+    settleRefunds().catch(err => console.error('Refund settlement error:', err.message));
+}
+
+function startRefundScheduler(intervalMs = REFUND_INTERVAL_MS) {
+    const tick = () => settleRefunds()
+        .then(({ refunded, failed }) => {
+            if (refunded || failed) console.log(`Refunds: ${refunded} settled, ${failed} failed`);
+        })
+        .catch(err => console.error('Refund settlement error:', err.message));
+
+    tick();
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    PAYMENT_STATUSES,
+    createPaymentForOrder,
+    getPaymentWithOrder,
+    getLatestPayment,
+    confirmPayment,
+    completeMockAction,
+    applyProviderUpdate,
+    requestOrderRefunds,
+    settleRefunds,
+    settleRefundsInBackground,
+    startRefundScheduler
+};
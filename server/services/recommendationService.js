@@ -0,0 +1,200 @@
+/**
+ * Recommendation Service
+ * "Frequently bought together" from co-purchase counts, and personal picks from recently viewed products
+ * Counts grow as orders are placed; a product nobody has bought alongside anything yet
+ * falls back to well-rated products from its category
+ */
+const database = require('../config/database');
+const { EFFECTIVE_DISCOUNT_SQL, EFFECTIVE_PRICE_SQL } = require('./dealService');
+
+const RECOMMENDATION_REASONS = {
+    BOUGHT_TOGETHER: 'bought_together',
+    SAME_CATEGORY: 'same_category',
+    POPULAR: 'popular'
+};
+
+// How many of a customer's latest product views seed their recommendations
+const RECENT_VIEWS_LIMIT = 10;
+
+const PRODUCT_CARD_SQL = `
+    SELECT p.product_id, p.product_name, p.description, p.brand, p.image_url, p.price, p.stock_quantity,
+           p.category_id, p.rating_average, p.rating_count,
+           ${EFFECTIVE_DISCOUNT_SQL} AS discount_percentage,
+           ${EFFECTIVE_PRICE_SQL} AS discounted_price
+    FROM products p
+`;
+
+// In-stock products first, then the best rated
+const FALLBACK_ORDER_SQL = 'p.stock_quantity > 0 DESC, p.rating_average DESC, p.rating_count DESC, p.created_at DESC';
+
+const toCard = (reason) => (row) => ({
+    product_id: row.product_id,
+    product_name: row.product_name,
+    description: row.description,
+    brand: row.brand,
+    image_url: row.image_url,
+    category_id: row.category_id,
+    price: parseFloat(row.price),
+    discount_percentage: parseFloat(row.discount_percentage) || 0,
+    discounted_price: parseFloat(row.discounted_price),
+    stock_quantity: parseInt(row.stock_quantity),
+    rating_average: parseFloat(row.rating_average),
+    rating_count: row.rating_count,
+    reason
+});
+
+/**
+ * Count every pair of distinct products in a newly placed order, in both directions
+ * Runs inside the order's transaction; pairs are written in id order so concurrent orders lock alike
+ */
+async function recordCoPurchases(tx, productIds) {
+    const ids = [...new Set(productIds.map(id => parseInt(id)))].sort((a, b) => a - b);
+    if (ids.length < 2) return;
+
+    const pairs = [];
+    for (const productId of ids) {
+        for (const relatedId of ids) {
+            if (productId !== relatedId) pairs.push([productId, relatedId, 1]);
+        }
+    }
+
+    await tx.query(`
+        INSERT INTO product_co_purchases (product_id, related_product_id, order_count)
+        VALUES ?
+        ON DUPLICATE KEY UPDATE order_count = order_count + 1
+    `, [pairs]);
+}
+
+// Recount everything from order_items - for a new install with order history
+async function rebuildCoPurchases() {
+    await database.transaction(async (tx) => {
+        await tx.run('DELETE FROM product_co_purchases');
+        await tx.run(`
+            INSERT INTO product_co_purchases (product_id, related_product_id, order_count)
+            SELECT a.product_id, b.product_id, COUNT(DISTINCT a.order_id)
+            FROM order_items a
+            JOIN order_items b ON a.order_id = b.order_id AND a.product_id <> b.product_id
+            GROUP BY a.product_id, b.product_id
+        `);
+    });
+}
+
+// Build the counts once when the table is empty but orders already exist
+async function seedCoPurchases() {
+    const existing = await database.get('SELECT 1 AS found FROM product_co_purchases LIMIT 1');
+    if (existing) return false;
+
+    const orders = await database.get('SELECT 1 AS found FROM order_items LIMIT 1');
+    if (!orders) return false;
+
+    await rebuildCoPurchases();
+    return true;
+}
+
+// Remember that a signed-in customer opened a product page
+async function recordProductView(db, userId, productId) {
+    await db.run(`
+        INSERT INTO product_views (user_id, product_id) VALUES (?, ?)
+        ON DUPLICATE KEY UPDATE view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP
+    `, [userId, productId]);
+}
+
+// Active products from the given categories, skipping the ones already picked
+async function getCategoryFallback(db, categoryIds, excludeIds, limit) {
+    if (categoryIds.length === 0 || limit <= 0) return [];
+
+    const rows = await db.query(`
+        ${PRODUCT_CARD_SQL}
+        WHERE p.category_id IN (?) AND p.product_id NOT IN (?) AND p.is_active = 1
+        ORDER BY ${FALLBACK_ORDER_SQL}
+        LIMIT ?
+    `, [categoryIds, excludeIds.length > 0 ? excludeIds : [0], limit]);
+
+    return rows.map(toCard(RECOMMENDATION_REASONS.SAME_CATEGORY));
+}
+
+/**
+ * Products most often ordered together with this one, topped up from its category
+ * Each product carries a reason: bought_together or same_category
+ */
+async function getProductRecommendations(db, product, limit) {
+    const bought = await db.query(`
+        ${PRODUCT_CARD_SQL}
+        JOIN product_co_purchases cp ON cp.related_product_id = p.product_id
+        WHERE cp.product_id = ? AND p.is_active = 1
+        ORDER BY p.stock_quantity > 0 DESC, cp.order_count DESC, p.rating_average DESC
+        LIMIT ?
+    `, [product.product_id, limit]);
+
+    const picked = bought.map(toCard(RECOMMENDATION_REASONS.BOUGHT_TOGETHER));
+    const fallback = await getCategoryFallback(
+        db,
+        product.category_id ? [product.category_id] : [],
+        [product.product_id, ...picked.map(card => card.product_id)],
+        limit - picked.length
+    );
+
+    return [...picked, ...fallback];
+}
+
+/**
+ * Personal picks for a customer: what others bought with the products they viewed lately,
+ * then more from those products' categories, then the store's popular products
+ * Products the customer viewed recently are left out
+ */
+async function getUserRecommendations(db, userId, limit) {
+    const views = await db.query(`
+        SELECT v.product_id, p.category_id
+        FROM product_views v
+        JOIN products p ON v.product_id = p.product_id
+        WHERE v.user_id = ?
+        ORDER BY v.last_viewed_at DESC
+        LIMIT ?
+    `, [userId, RECENT_VIEWS_LIMIT]);
+
+    const viewedIds = views.map(view => view.product_id);
+    let picked = [];
+
+    if (viewedIds.length > 0) {
+        const bought = await db.query(`
+            ${PRODUCT_CARD_SQL}
+            JOIN product_co_purchases cp ON cp.related_product_id = p.product_id
+            WHERE cp.product_id IN (?) AND p.product_id NOT IN (?) AND p.is_active = 1
+            GROUP BY p.product_id
+            ORDER BY p.stock_quantity > 0 DESC, SUM(cp.order_count) DESC
+            LIMIT ?
+        `, [viewedIds, viewedIds, limit]);
+        picked = bought.map(toCard(RECOMMENDATION_REASONS.BOUGHT_TOGETHER));
+    }
+
+    const categoryIds = [...new Set(views.map(view => view.category_id).filter(Boolean))];
+    picked = picked.concat(await getCategoryFallback(
+        db,
+        categoryIds,
+        [...viewedIds, ...picked.map(card => card.product_id)],
+        limit - picked.length
+    ));
+
+    if (picked.length < limit) {
+        const excludeIds = [...viewedIds, ...picked.map(card => card.product_id)];
+        const popular = await db.query(`
+            ${PRODUCT_CARD_SQL}
+            WHERE p.product_id NOT IN (?) AND p.is_active = 1
+            ORDER BY p.is_featured DESC, ${FALLBACK_ORDER_SQL}
+            LIMIT ?
+        `, [excludeIds.length > 0 ? excludeIds : [0], limit - picked.length]);
+        picked = picked.concat(popular.map(toCard(RECOMMENDATION_REASONS.POPULAR)));
+    }
+
+    return picked;
+}
+
+module.exports = {
+    RECOMMENDATION_REASONS,
+    recordCoPurchases,
+    rebuildCoPurchases,
+    seedCoPurchases,
+    recordProductView,
+    getProductRecommendations,
+    getUserRecommendations
+};
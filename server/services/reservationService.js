@@ -0,0 +1,173 @@
+/**
+ * Reservation Service
+ * Holds a shopper's cart quantities from the start of checkout until the order is placed,
+ * so the last units can't be sold to someone else in between
+ * Units held by other shoppers are left out of the available stock everyone else sees;
+ * holds run out after RESERVATION_TTL_MINUTES and expired rows are swept on a schedule
+ * A shopper holds at most RESERVATION_MAX_UNITS of each line, so one session can't take a product off sale
+ */
+const database = require('../config/database');
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES) || 10;
+// Units above this stay on sale for everyone until the order is placed - the order still checks real stock
+const RESERVATION_MAX_UNITS = parseInt(process.env.STOCK_RESERVATION_MAX_UNITS) || 5;
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Rows belonging to a shopper - same rule as the cart: the user when signed in, otherwise the session
+ * owner is { userId, sessionId }; returns null when there is neither
+ */
+const ownerCondition = ({ userId, sessionId }, alias = 'r') => {
+    if (userId) return { sql: `${alias}.user_id <=> ?`, params: [userId] };
+    if (sessionId) return { sql: `${alias}.session_id = ? AND ${alias}.user_id IS NULL`, params: [sessionId] };
+    return null;
+};
+
+/**
+ * Units of these products held in other shoppers' unexpired reservations
+ * products counts every hold on the product (all its variants), variants counts per variant
+ * Pass { lock: true } inside a checkout transaction to read the latest committed holds
+ */
+async function getReservedByOthers(db, productIds, owner = {}, { lock = false } = {}) {
+    const reserved = { products: new Map(), variants: new Map() };
+    if (productIds.length === 0) return reserved;
+
+    const own = ownerCondition(owner);
+    const rows = await db.query(`
+        SELECT r.product_id, r.variant_id, SUM(r.quantity) AS quantity
+        FROM stock_reservations r
+        WHERE r.product_id IN (?) AND r.expires_at > NOW() ${own ? `AND NOT (${own.sql})` : ''}
+        GROUP BY r.product_id, r.variant_id
+        ${lock ? 'LOCK IN SHARE MODE' : ''}
+    `, [productIds, ...(own ? own.params : [])]);
+
+    for (const row of rows) {
+        const quantity = parseInt(row.quantity) || 0;
+        reserved.products.set(row.product_id, (reserved.products.get(row.product_id) || 0) + quantity);
+        if (row.variant_id) {
+            reserved.variants.set(row.variant_id, (reserved.variants.get(row.variant_id) || 0) + quantity);
+        }
+    }
+
+    return reserved;
+}
+
+// Stock left for this shopper once other shoppers' holds are taken off
+const availableStock = (reserved, stockQuantity, productId, variantId = null) => {
+    const held = variantId ? reserved.variants.get(variantId) : reserved.products.get(productId);
+    return Math.max((parseInt(stockQuantity) || 0) - (held || 0), 0);
+};
+
+/**
+ * Hold the given cart lines for the shopper, replacing any holds they already had
+ * Product and variant rows are locked in the same order as checkout, so holds and orders queue up
+ * Nothing is held when a line can't be covered - returns { shortfalls } with what is available instead
+ * keepUntil is the expiry of the shopper's earlier hold: while it lies ahead the new hold ends then too,
+ * so starting checkout again never extends a hold
+ * Returns { shortfalls: [], expiresAt, remainingSeconds } once held
+ */
+async function reserveStock(owner, items, { keepUntil = null } = {}) {
+    const own = ownerCondition(owner);
+    if (!own) throw new Error('A reservation needs a user or a session');
+
+    return database.transaction(async (tx) => {
+        const productIds = [...new Set(items.map(item => item.product_id))].sort((a, b) => a - b);
+        const products = await tx.query(
+            'SELECT product_id, stock_quantity FROM products WHERE product_id IN (?) ORDER BY product_id FOR UPDATE',
+            [productIds]
+        );
+        const variantIds = [...new Set(items.filter(item => item.variant_id).map(item => item.variant_id))];
+        const variants = variantIds.length > 0
+            ? await tx.query(
+                'SELECT variant_id, stock_quantity FROM product_variants WHERE variant_id IN (?) ORDER BY variant_id FOR UPDATE',
+                [variantIds]
+            )
+            : [];
+
+        const productStock = new Map(products.map(p => [p.product_id, p.stock_quantity]));
+        const variantStock = new Map(variants.map(v => [v.variant_id, v.stock_quantity]));
+        const reserved = await getReservedByOthers(tx, productIds, owner, { lock: true });
+
+        const shortfalls = [];
+        for (const item of items) {
+            const stock = item.variant_id ? variantStock.get(item.variant_id) : productStock.get(item.product_id);
+            const available = availableStock(reserved, stock, item.product_id, item.variant_id);
+            if (item.quantity > available) {
+                shortfalls.push({ ...item, available });
+            }
+        }
+        if (shortfalls.length > 0) {
+            return { shortfalls };
+        }
+
+        // Expiry comes from the database clock, the same one every availability check uses
+        const { expires_at, remaining_seconds } = await tx.get(`
+            SELECT t.expires_at, TIMESTAMPDIFF(SECOND, NOW(), t.expires_at) AS remaining_seconds
+            FROM (SELECT CAST(IF(? > NOW(), ?, NOW() + INTERVAL ? MINUTE) AS DATETIME) AS expires_at) t
+        `, [keepUntil, keepUntil, RESERVATION_TTL_MINUTES]);
+
+        const previous = ownerCondition(owner, 'stock_reservations');
+        await tx.run(`DELETE FROM stock_reservations WHERE ${previous.sql}`, previous.params);
+        await tx.query(`
+            INSERT INTO stock_reservations (session_id, user_id, product_id, variant_id, quantity, expires_at)
+            VALUES ?
+        `, [items.map(item => [
+            owner.sessionId || '', owner.userId || null, item.product_id, item.variant_id || null,
+            Math.min(item.quantity, RESERVATION_MAX_UNITS), expires_at
+        ])]);
+
+        return { shortfalls, expiresAt: expires_at, remainingSeconds: parseInt(remaining_seconds) || 0 };
+    });
+}
+
+// Drop a shopper's holds - on a cart change, a cancelled checkout, or once the order is placed
+async function releaseReservations(db, owner) {
+    const own = ownerCondition(owner, 'stock_reservations');
+    if (!own) return 0;
+
+    const result = await db.run(`DELETE FROM stock_reservations WHERE ${own.sql}`, own.params);
+    return result.changes;
+}
+
+// When the shopper's current holds run out, or null when they hold nothing
+async function getReservationExpiry(db, owner) {
+    const own = ownerCondition(owner);
+    if (!own) return null;
+
+    const row = await db.get(
+        `SELECT MIN(r.expires_at) AS expires_at FROM stock_reservations r WHERE ${own.sql} AND r.expires_at > NOW()`,
+        own.params
+    );
+    return row ? row.expires_at : null;
+}
+
+// Expired holds already count as available again - this just clears the rows away
+async function releaseExpiredReservations() {
+    const result = await database.run('DELETE FROM stock_reservations WHERE expires_at <= NOW()');
+    return result.changes;
+}
+
+function startReservationScheduler(intervalMs = CLEANUP_INTERVAL_MS) {
+    const tick = () => releaseExpiredReservations()
+        .then(released => {
+            if (released) console.log(`Stock reservations expired: ${released}`);
+        })
+        .catch(err => console.error('Reservation cleanup error:', err.message));
+
+    tick();
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    RESERVATION_TTL_MINUTES,
+    RESERVATION_MAX_UNITS,
+    getReservedByOthers,
+    availableStock,
+    reserveStock,
+    releaseReservations,
+    getReservationExpiry,
+    releaseExpiredReservations,
+    startReservationScheduler
+};
@@ -0,0 +1,105 @@
+/**
+ * Review Service
+ * Moderation states, purchase checks and the rating aggregate kept on products
+ * The purchase check and short display names are also used by product Q&A
+ * Only approved reviews are public and count towards products.rating_average / rating_count
+ */
+const { ORDER_STATUSES } = require('./orderStatusService');
+
+const REVIEW_STATUSES = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+const isValidRating = (rating) => Number.isInteger(rating) && rating >= MIN_RATING && rating <= MAX_RATING;
+
+// "Maria S." - customer content never shows a full name
+const shortName = (fullName) => {
+    const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return 'Customer';
+    return parts.length > 1 ? `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.` : parts[0];
+};
+
+// Only customers who actually received the product may review it
+async function hasDeliveredPurchase(db, userId, productId) {
+    const row = await db.get(`
+        SELECT 1 AS found
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.order_id
+        WHERE o.user_id = ? AND oi.product_id = ? AND o.order_status = ?
+        LIMIT 1
+    `, [userId, productId, ORDER_STATUSES.DELIVERED]);
+
+    return !!row;
+}
+
+// Recalculate a product's average and count from its approved reviews
+async function refreshProductRating(db, productId) {
+    await db.run(`
+        UPDATE products p
+        SET p.rating_average = (
+                SELECT COALESCE(ROUND(AVG(r.rating), 2), 0) FROM product_reviews r
+                WHERE r.product_id = p.product_id AND r.status = ?
+            ),
+            p.rating_count = (
+                SELECT COUNT(*) FROM product_reviews r
+                WHERE r.product_id = p.product_id AND r.status = ?
+            )
+        WHERE p.product_id = ?
+    `, [REVIEW_STATUSES.APPROVED, REVIEW_STATUSES.APPROVED, productId]);
+}
+
+// Average, count and how many reviews gave each star rating
+async function getRatingSummary(db, productId) {
+    const rows = await db.query(`
+        SELECT rating, COUNT(*) AS count
+        FROM product_reviews
+        WHERE product_id = ? AND status = ?
+        GROUP BY rating
+    `, [productId, REVIEW_STATUSES.APPROVED]);
+
+    const distribution = {};
+    for (let stars = MAX_RATING; stars >= MIN_RATING; stars--) {
+        distribution[stars] = 0;
+    }
+
+    let total = 0;
+    let sum = 0;
+    for (const row of rows) {
+        const count = parseInt(row.count);
+        distribution[row.rating] = count;
+        total += count;
+        sum += row.rating * count;
+    }
+
+    return {
+        average: total > 0 ? Math.round((sum / total) * 100) / 100 : 0,
+        count: total,
+        distribution
+    };
+}
+
+// Recount a review's helpful votes from review_votes
+async function refreshHelpfulCount(db, reviewId) {
+    await db.run(`
+        UPDATE product_reviews
+        SET helpful_count = (SELECT COUNT(*) FROM review_votes WHERE review_id = ?)
+        WHERE review_id = ?
+    `, [reviewId, reviewId]);
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    MIN_RATING,
+    MAX_RATING,
+    isValidRating,
+    hasDeliveredPurchase,
+    refreshProductRating,
+    getRatingSummary,
+    refreshHelpfulCount,
+    shortName
+};
@@ -0,0 +1,308 @@
+/**
+ * Search Service
+ * In-process inverted index over product name, brand, category and description
+ * Ranks results, expands electronics synonyms and tolerates typos ("samsnug" finds "samsung")
+ * The index is rebuilt lazily after catalog changes or once it is older than INDEX_TTL_MS
+ */
+const database = require('../config/database');
+
+const INDEX_TTL_MS = 5 * 60 * 1000;
+
+// How much a hit in each field counts towards the score
+const FIELD_WEIGHTS = { name: 3, brand: 2, category: 2, description: 1 };
+
+// How much each kind of term expansion counts compared to the typed word
+const MATCH_WEIGHTS = { exact: 1, synonym: 0.8, prefix: 0.6, fuzzy: 0.5 };
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'on', 'to', 'by', 'or']);
+
+// Each group is treated as one word - written in the stemmed form tokenize() produces
+const SYNONYM_GROUPS = [
+    ['tv', 'television', 'telly'],
+    ['fridge', 'refrigerator', 'freezer'],
+    ['phone', 'smartphone', 'cellphone', 'mobile', 'cell'],
+    ['laptop', 'notebook', 'computer', 'pc', 'desktop'],
+    ['microwave', 'oven'],
+    ['camera', 'cam', 'dslr', 'mirrorless', 'camcorder'],
+    ['headphone', 'earphone', 'headset', 'earbud'],
+    ['speaker', 'soundbar'],
+    ['monitor', 'display', 'screen'],
+    ['washer', 'washing'],
+    ['ac', 'aircon', 'conditioner']
+];
+
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+    for (const term of group) {
+        SYNONYMS.set(term, group.filter(other => other !== term));
+    }
+}
+
+let index = null;
+let indexBuiltAt = 0;
+let buildPromise = null;
+
+// Lowercase, strip accents, split into words and drop a plural "s" so "tvs" matches "tv"
+// Three letters is enough to stem - products and queries go through the same rules, so "bus" -> "bu" still matches itself
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !STOP_WORDS.has(word))
+        .map(word => (word.length >= 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+// Optimal string alignment distance - a swapped pair of letters counts as one edit
+// Gives up early and returns maxDistance + 1 once the distance is out of reach
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+}
+
+// Longer words are allowed more typos, very short ones none
+function allowedTypos(term) {
+    if (term.length < 4) return 0;
+    return term.length <= 6 ? 1 : 2;
+}
+
+async function buildIndex() {
+    const products = await database.query(`
+        SELECT p.product_id, p.product_name, p.brand, p.description, p.category_id, c.category_name
+        FROM products p
+        LEFT JOIN categories c ON p.category_id = c.category_id
+        WHERE p.is_active = 1
+    `);
+
+    // term -> Map(product_id -> weighted term frequency)
+    const postings = new Map();
+    const docs = new Map();
+
+    for (const product of products) {
+        docs.set(product.product_id, product);
+
+        const fields = {
+            name: tokenize(product.product_name),
+            brand: tokenize(product.brand),
+            category: tokenize(product.category_name),
+            description: tokenize(product.description)
+        };
+
+        for (const [field, terms] of Object.entries(fields)) {
+            for (const term of terms) {
+                if (!postings.has(term)) postings.set(term, new Map());
+                const termDocs = postings.get(term);
+                termDocs.set(product.product_id, (termDocs.get(product.product_id) || 0) + FIELD_WEIGHTS[field]);
+            }
+        }
+    }
+
+    return { postings, docs, vocabulary: [...postings.keys()] };
+}
+
+async function getIndex() {
+    if (index && Date.now() - indexBuiltAt < INDEX_TTL_MS) return index;
+
+    // Concurrent requests share one rebuild
+    if (!buildPromise) {
+        buildPromise = buildIndex()
+            .then(built => {
+                index = built;
+                indexBuiltAt = Date.now();
+                return built;
+            })
+            .finally(() => {
+                buildPromise = null;
+            });
+    }
+
+    return buildPromise;
+}
+
+// Call after products are created, edited or removed
+function invalidateSearchIndex() {
+    indexBuiltAt = 0;
+}
+
+// Indexed terms a query word stands for, with how strongly each one counts
+function expandTerm(idx, term, { prefix = false } = {}) {
+    const expansions = new Map();
+    const add = (candidate, weight) => {
+        if (idx.postings.has(candidate) && weight > (expansions.get(candidate) || 0)) {
+            expansions.set(candidate, weight);
+        }
+    };
+
+    add(term, MATCH_WEIGHTS.exact);
+    for (const synonym of SYNONYMS.get(term) || []) {
+        add(synonym, MATCH_WEIGHTS.synonym);
+    }
+
+    // The word still being typed in the search box
+    if (prefix && term.length >= 2) {
+        for (const candidate of idx.vocabulary) {
+            if (candidate.startsWith(term)) add(candidate, MATCH_WEIGHTS.prefix);
+        }
+    }
+
+    // Only look for typos when the word itself isn't in the catalog
+    const maxDistance = allowedTypos(term);
+    if (!idx.postings.has(term) && maxDistance > 0) {
+        for (const candidate of idx.vocabulary) {
+            if (editDistance(term, candidate, maxDistance) <= maxDistance) {
+                add(candidate, MATCH_WEIGHTS.fuzzy);
+                for (const synonym of SYNONYMS.get(candidate) || []) {
+                    add(synonym, MATCH_WEIGHTS.fuzzy * MATCH_WEIGHTS.synonym);
+                }
+            }
+        }
+    }
+
+    return expansions;
+}
+
+/**
+ * Rank active products against a free-text query
+ * Products matching every word come first, then products matching only some of them
+ * prefix: treat the last word as incomplete (autocomplete)
+ * Returns [{ product_id, score }] best first
+ */
+async function searchProducts(query, { prefix = false } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    const idx = await getIndex();
+    const scores = new Map();
+    const matchedTerms = new Map();
+
+    terms.forEach((term, position) => {
+        const expansions = expandTerm(idx, term, { prefix: prefix && position === terms.length - 1 });
+        const termScores = new Map();
+
+        for (const [candidate, weight] of expansions) {
+            const termDocs = idx.postings.get(candidate);
+            const idf = Math.log(1 + idx.docs.size / termDocs.size);
+
+            for (const [productId, frequency] of termDocs) {
+                const score = weight * frequency * idf;
+                // A product only scores once per query word - its best expansion
+                if (score > (termScores.get(productId) || 0)) termScores.set(productId, score);
+            }
+        }
+
+        for (const [productId, score] of termScores) {
+            scores.set(productId, (scores.get(productId) || 0) + score);
+            matchedTerms.set(productId, (matchedTerms.get(productId) || 0) + 1);
+        }
+    });
+
+    // Whole query appearing in the name beats the same words scattered around
+    const phrase = String(query).trim().toLowerCase();
+    for (const productId of scores.keys()) {
+        const name = String(idx.docs.get(productId).product_name || '').toLowerCase();
+        if (phrase && name.includes(phrase)) {
+            scores.set(productId, scores.get(productId) * 1.5);
+        }
+    }
+
+    return [...scores.entries()]
+        .map(([product_id, score]) => ({ product_id, score, matched: matchedTerms.get(product_id) }))
+        .sort((a, b) => b.matched - a.matched || b.score - a.score)
+        .map(({ product_id, score }) => ({ product_id, score }));
+}
+
+// Categories whose name matches the query, with how many active products they hold
+async function suggestCategories(query, limit = 3) {
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    const idx = await getIndex();
+    const categories = new Map();
+
+    for (const product of idx.docs.values()) {
+        if (!product.category_id) continue;
+        if (!categories.has(product.category_id)) {
+            categories.set(product.category_id, {
+                category_id: product.category_id,
+                category_name: product.category_name,
+                product_count: 0,
+                terms: new Set(tokenize(product.category_name))
+            });
+        }
+        categories.get(product.category_id).product_count++;
+    }
+
+    const expanded = terms.map((term, position) => expandTerm(idx, term, { prefix: position === terms.length - 1 }));
+
+    return [...categories.values()]
+        .filter(category => expanded.some(expansions => [...expansions.keys()].some(term => category.terms.has(term))))
+        .sort((a, b) => b.product_count - a.product_count)
+        .slice(0, limit)
+        .map(({ terms: _terms, ...category }) => category);
+}
+
+// Count a submitted search - feeds the "popular searches" suggestions
+async function recordSearch(query, resultCount) {
+    const normalized = String(query || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 100);
+    if (normalized.length < 2) return;
+
+    await database.run(`
+        INSERT INTO search_queries (query_text, search_count, result_count)
+        VALUES (?, 1, ?)
+        ON DUPLICATE KEY UPDATE
+            search_count = search_count + 1,
+            result_count = VALUES(result_count),
+            last_searched_at = CURRENT_TIMESTAMP
+    `, [normalized, resultCount]);
+}
+
+// Most searched queries starting with the typed text - only ones that found something
+async function getPopularQueries(prefix, limit = 3) {
+    const normalized = String(prefix || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    const escaped = normalized.replace(/[\\%_]/g, '\\$&');
+
+    const rows = await database.query(`
+        SELECT query_text
+        FROM search_queries
+        WHERE query_text LIKE ? AND result_count > 0
+        ORDER BY search_count DESC
+        LIMIT ?
+    `, [`${escaped}%`, limit]);
+
+    return rows.map(row => row.query_text);
+}
+
+module.exports = {
+    tokenize,
+    searchProducts,
+    suggestCategories,
+    recordSearch,
+    getPopularQueries,
+    invalidateSearchIndex
+};
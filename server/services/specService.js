@@ -0,0 +1,241 @@
+/**
+ * Specification Service
+ * Typed technical attributes defined per category and each product's values for them
+ * number attributes have a unit, enum attributes a fixed list of choices, boolean attributes are yes/no
+ * Used by the product page, the listing's spec filters and the comparison endpoint
+ */
+const { APIError } = require('../middleware/errorHandler');
+
+const SPEC_TYPES = ['number', 'enum', 'boolean'];
+
+const ATTRIBUTE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+
+// Value columns as they come back from product_spec_values, turned into one typed value
+const typedValue = (dataType, row) => {
+    if (dataType === 'number') return row.value_number === null ? null : parseFloat(row.value_number);
+    if (dataType === 'boolean') return row.value_boolean === null ? null : !!row.value_boolean;
+    return row.value_text;
+};
+
+// "55 in", "A++", "Yes"
+const formatSpecValue = (attribute, value) => {
+    if (value === null || value === undefined) return null;
+    if (attribute.data_type === 'boolean') return value ? 'Yes' : 'No';
+    if (attribute.data_type === 'number') return attribute.unit ? `${value} ${attribute.unit}` : String(value);
+    return value;
+};
+
+const parseBoolean = (raw) => {
+    const text = String(raw).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(text)) return true;
+    if (['false', '0', 'no'].includes(text)) return false;
+    return null;
+};
+
+// mysql2 parses JSON columns already; fall back for drivers that hand back the string
+const parseAllowedValues = (value) => {
+    if (!value) return [];
+    return Array.isArray(value) ? value : JSON.parse(value);
+};
+
+const toAttribute = (row) => ({
+    ...row,
+    allowed_values: row.data_type === 'enum' ? parseAllowedValues(row.allowed_values) : null,
+    is_filterable: !!row.is_filterable
+});
+
+// Attributes of a category in display order
+async function getCategoryAttributes(db, categoryId) {
+    const rows = await db.query(`
+        SELECT attribute_id, category_id, attribute_key, attribute_name, data_type, unit, allowed_values, is_filterable, sort_order
+        FROM spec_attributes
+        WHERE category_id = ?
+        ORDER BY sort_order, attribute_id
+    `, [categoryId]);
+
+    return rows.map(toAttribute);
+}
+
+/**
+ * Check a raw value against an attribute and return the columns to store
+ * Throws a 400 APIError naming the attribute when the value doesn't fit its type
+ */
+function normalizeSpecValue(attribute, raw) {
+    const columns = { value_number: null, value_text: null, value_boolean: null };
+
+    if (attribute.data_type === 'number') {
+        const number = Number(raw);
+        if (raw === '' || raw === true || raw === false || !Number.isFinite(number)) {
+            throw new APIError(`${attribute.attribute_name} must be a number`, 400);
+        }
+        columns.value_number = number;
+    } else if (attribute.data_type === 'boolean') {
+        const flag = parseBoolean(raw);
+        if (flag === null) {
+            throw new APIError(`${attribute.attribute_name} must be yes or no`, 400);
+        }
+        columns.value_boolean = flag ? 1 : 0;
+    } else {
+        // Stored with the attribute's own spelling of the choice
+        const text = String(raw).trim().toLowerCase();
+        const choice = attribute.allowed_values.find(allowed => allowed.toLowerCase() === text);
+        if (!choice) {
+            throw new APIError(`${attribute.attribute_name} must be one of: ${attribute.allowed_values.join(', ')}`, 400);
+        }
+        columns.value_text = choice;
+    }
+
+    return columns;
+}
+
+/**
+ * Specifications of several products, keyed by product id
+ * Only attributes of each product's current category are returned, in display order
+ */
+async function getProductSpecs(db, productIds) {
+    const specsByProduct = new Map(productIds.map(id => [parseInt(id), []]));
+    if (productIds.length === 0) return specsByProduct;
+
+    const rows = await db.query(`
+        SELECT sv.product_id, a.attribute_id, a.attribute_key, a.attribute_name, a.data_type, a.unit,
+               sv.value_number, sv.value_text, sv.value_boolean
+        FROM product_spec_values sv
+        JOIN spec_attributes a ON sv.attribute_id = a.attribute_id
+        JOIN products p ON sv.product_id = p.product_id AND a.category_id = p.category_id
+        WHERE sv.product_id IN (?)
+        ORDER BY a.sort_order, a.attribute_id
+    `, [productIds]);
+
+    for (const row of rows) {
+        const value = typedValue(row.data_type, row);
+        specsByProduct.get(row.product_id).push({
+            attribute_id: row.attribute_id,
+            key: row.attribute_key,
+            name: row.attribute_name,
+            data_type: row.data_type,
+            unit: row.unit,
+            value,
+            display_value: formatSpecValue(row, value)
+        });
+    }
+
+    return specsByProduct;
+}
+
+/**
+ * Set a product's values from { attribute_key: value } - null or '' removes a value
+ * Every key must be an attribute of the product's category; nothing is written if one is invalid
+ */
+async function setProductSpecs(db, product, values) {
+    const attributes = await getCategoryAttributes(db, product.category_id);
+    const attributesByKey = new Map(attributes.map(attribute => [attribute.attribute_key, attribute]));
+
+    const changes = Object.entries(values).map(([key, raw]) => {
+        const attribute = attributesByKey.get(key);
+        if (!attribute) {
+            throw new APIError(`Unknown specification for this category: ${key}`, 400);
+        }
+        const remove = raw === null || raw === undefined || raw === '';
+        return { attribute, columns: remove ? null : normalizeSpecValue(attribute, raw) };
+    });
+
+    for (const { attribute, columns } of changes) {
+        if (!columns) {
+            await db.run(
+                'DELETE FROM product_spec_values WHERE product_id = ? AND attribute_id = ?',
+                [product.product_id, attribute.attribute_id]
+            );
+            continue;
+        }
+
+        await db.run(`
+            INSERT INTO product_spec_values (product_id, attribute_id, value_number, value_text, value_boolean)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE value_number = VALUES(value_number), value_text = VALUES(value_text), value_boolean = VALUES(value_boolean)
+        `, [product.product_id, attribute.attribute_id, columns.value_number, columns.value_text, columns.value_boolean]);
+    }
+}
+
+// "50-65", "50-", "-65" or a single number
+const parseNumberRange = (raw) => {
+    const match = /^\s*(\d+(?:\.\d+)?)?\s*(-)?\s*(\d+(?:\.\d+)?)?\s*$/.exec(String(raw));
+    if (!match || (!match[1] && !match[3])) return null;
+    if (!match[2]) {
+        if (match[3]) return null;
+        return { min: parseFloat(match[1]), max: parseFloat(match[1]) };
+    }
+    return { min: match[1] ? parseFloat(match[1]) : null, max: match[3] ? parseFloat(match[3]) : null };
+};
+
+const specExistsSql = (condition) => `EXISTS (
+    SELECT 1 FROM product_spec_values sv
+    JOIN spec_attributes sa ON sv.attribute_id = sa.attribute_id
+    WHERE sv.product_id = p.product_id AND sa.attribute_key = ? AND ${condition}
+)`;
+
+/**
+ * Listing filter clauses for ?spec[key]=value, in the shape productController's filters use
+ * number: a range like 50-65 (either end optional), enum: comma-separated choices, boolean: true/false
+ * Returns { clauses } or { error } for an unknown key or a value that doesn't fit the type
+ */
+async function buildSpecFilters(db, specQuery) {
+    if (!specQuery || typeof specQuery !== 'object' || Array.isArray(specQuery)) {
+        return { clauses: [] };
+    }
+
+    const keys = Object.keys(specQuery).filter(key => specQuery[key] !== '');
+    if (keys.length === 0) return { clauses: [] };
+
+    const rows = await db.query(
+        'SELECT DISTINCT attribute_key, data_type FROM spec_attributes WHERE attribute_key IN (?) AND is_filterable = 1',
+        [keys]
+    );
+    const typesByKey = new Map(rows.map(row => [row.attribute_key, row.data_type]));
+
+    const clauses = [];
+    for (const key of keys) {
+        const dataType = typesByKey.get(key);
+        const raw = specQuery[key];
+        if (!dataType || typeof raw !== 'string') {
+            return { error: `Invalid specification filter: ${key}` };
+        }
+
+        const facet = `spec:${key}`;
+        if (dataType === 'number') {
+            const range = parseNumberRange(raw);
+            if (!range) return { error: `Invalid range for ${key}` };
+
+            const conditions = [];
+            const params = [key];
+            if (range.min !== null) {
+                conditions.push('sv.value_number >= ?');
+                params.push(range.min);
+            }
+            if (range.max !== null) {
+                conditions.push('sv.value_number <= ?');
+                params.push(range.max);
+            }
+            clauses.push({ facet, sql: specExistsSql(conditions.join(' AND ')), params });
+        } else if (dataType === 'boolean') {
+            const flag = parseBoolean(raw);
+            if (flag === null) return { error: `Invalid value for ${key}` };
+            clauses.push({ facet, sql: specExistsSql('sv.value_boolean = ?'), params: [key, flag ? 1 : 0] });
+        } else {
+            const choices = raw.split(',').map(choice => choice.trim()).filter(Boolean);
+            if (choices.length === 0) return { error: `Invalid value for ${key}` };
+            clauses.push({ facet, sql: specExistsSql('sv.value_text IN (?)'), params: [key, choices] });
+        }
+    }
+
+    return { clauses };
+}
+
+module.exports = {
+    SPEC_TYPES,
+    ATTRIBUTE_KEY_PATTERN,
+    getCategoryAttributes,
+    normalizeSpecValue,
+    getProductSpecs,
+    setProductSpecs,
+    buildSpecFilters
+};
@@ -0,0 +1,137 @@
+/**
+ * Variant Service
+ * Product options (Colour, Storage...) and the variants/SKUs built from them
+ * Shared by the catalog, cart and checkout so stock is always checked per variant
+ * Every function takes the database or a transaction as its first argument
+ */
+const { APIError } = require('../middleware/errorHandler');
+
+// "Colour: Black / Storage: 256GB" for the variant in variantColumn
+const variantLabelSql = (variantColumn) => `
+    (SELECT GROUP_CONCAT(CONCAT(o.option_name, ': ', ov.value_label) ORDER BY o.sort_order, o.option_id SEPARATOR ' / ')
+     FROM product_variant_values pvv
+     JOIN product_option_values ov ON pvv.value_id = ov.value_id
+     JOIN product_options o ON ov.option_id = o.option_id
+     WHERE pvv.variant_id = ${variantColumn})
+`;
+
+/**
+ * Options with their values and every variant of a product
+ * activeOnly: leave out deactivated variants (shop front)
+ */
+async function getProductVariants(db, productId, { activeOnly = true } = {}) {
+    const options = await db.query(
+        'SELECT option_id, option_name FROM product_options WHERE product_id = ? ORDER BY sort_order, option_id',
+        [productId]
+    );
+
+    const values = options.length > 0
+        ? await db.query(
+            'SELECT value_id, option_id, value_label FROM product_option_values WHERE option_id IN (?) ORDER BY sort_order, value_id',
+            [options.map(option => option.option_id)]
+        )
+        : [];
+
+    const variants = await db.query(`
+        SELECT v.variant_id, v.sku, v.price, v.stock_quantity, v.image_url, v.is_active,
+               ${variantLabelSql('v.variant_id')} AS variant_label
+        FROM product_variants v
+        WHERE v.product_id = ? ${activeOnly ? 'AND v.is_active = 1' : ''}
+        ORDER BY v.variant_id
+    `, [productId]);
+
+    const variantValues = variants.length > 0
+        ? await db.query(
+            'SELECT variant_id, value_id FROM product_variant_values WHERE variant_id IN (?)',
+            [variants.map(variant => variant.variant_id)]
+        )
+        : [];
+
+    return {
+        options: options.map(option => ({
+            ...option,
+            values: values.filter(value => value.option_id === option.option_id)
+                .map(({ value_id, value_label }) => ({ value_id, value_label }))
+        })),
+        variants: variants.map(variant => ({
+            ...variant,
+            price: variant.price === null ? null : parseFloat(variant.price),
+            stock_quantity: parseInt(variant.stock_quantity),
+            value_ids: variantValues.filter(row => row.variant_id === variant.variant_id).map(row => row.value_id)
+        }))
+    };
+}
+
+// Product ids (from the given list) that are sold through variants
+async function getProductsWithVariants(db, productIds) {
+    if (productIds.length === 0) return new Set();
+
+    const rows = await db.query(
+        'SELECT DISTINCT product_id FROM product_variants WHERE product_id IN (?) AND is_active = 1',
+        [productIds]
+    );
+    return new Set(rows.map(row => row.product_id));
+}
+
+// Keep products.stock_quantity at the total of its active variants - listings and filters read it
+async function syncProductStock(db, productId) {
+    await db.run(`
+        UPDATE products p
+        SET p.stock_quantity = (
+            SELECT COALESCE(SUM(v.stock_quantity), 0) FROM product_variants v
+            WHERE v.product_id = p.product_id AND v.is_active = 1
+        )
+        WHERE p.product_id = ?
+    `, [productId]);
+}
+
+/**
+ * Check a set of option values describes exactly one value per option of the product
+ * Throws a 400 APIError otherwise
+ */
+async function validateVariantValues(db, productId, valueIds) {
+    const options = await db.query('SELECT option_id FROM product_options WHERE product_id = ?', [productId]);
+    if (options.length === 0) {
+        throw new APIError('Add options to the product before creating variants', 400);
+    }
+
+    const ids = [...new Set((valueIds || []).map(id => parseInt(id)))];
+    const values = ids.length > 0
+        ? await db.query(`
+            SELECT ov.value_id, ov.option_id
+            FROM product_option_values ov
+            JOIN product_options o ON ov.option_id = o.option_id
+            WHERE ov.value_id IN (?) AND o.product_id = ?
+        `, [ids, productId])
+        : [];
+
+    const coveredOptions = new Set(values.map(value => value.option_id));
+    if (values.length !== ids.length || ids.length !== options.length || coveredOptions.size !== options.length) {
+        throw new APIError('Pick exactly one value for each option of this product', 400);
+    }
+
+    return ids;
+}
+
+// Another variant of the product already using exactly these values
+async function findVariantByValues(db, productId, valueIds, excludeVariantId = null) {
+    const row = await db.get(`
+        SELECT v.variant_id
+        FROM product_variants v
+        JOIN product_variant_values pvv ON pvv.variant_id = v.variant_id
+        WHERE v.product_id = ? AND v.variant_id <> ?
+        GROUP BY v.variant_id
+        HAVING COUNT(*) = ? AND SUM(pvv.value_id IN (?)) = ?
+    `, [productId, excludeVariantId || 0, valueIds.length, valueIds, valueIds.length]);
+
+    return row || null;
+}
+
+module.exports = {
+    variantLabelSql,
+    getProductVariants,
+    getProductsWithVariants,
+    syncProductStock,
+    validateVariantValues,
+    findVariantByValues
+};
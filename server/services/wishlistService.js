@@ -0,0 +1,113 @@
+/**
+ * Wishlist Service
+ * Price-drop and back-in-stock alerts for saved products
+ * Each item keeps the effective price last seen (alert_price) and whether the product was seen
+ * out of stock (awaiting_restock); a periodic check compares products against that and notifies
+ */
+const database = require('../config/database');
+const { EFFECTIVE_PRICE_SQL } = require('./dealService');
+const { NOTIFICATION_TYPES, createNotification } = require('./notificationService');
+
+const ALERT_INTERVAL_MS = 5 * 60 * 1000;
+
+const formatPrice = (price) => `$${price.toFixed(2)}`;
+
+// Alert state for an item saved or opted in right now - only later changes trigger alerts
+async function getAlertBaseline(db, productId) {
+    const product = await db.get(
+        `SELECT stock_quantity, ${EFFECTIVE_PRICE_SQL} AS current_price FROM products p WHERE p.product_id = ?`,
+        [productId]
+    );
+    return {
+        alertPrice: parseFloat(product.current_price),
+        awaitingRestock: parseInt(product.stock_quantity) <= 0 ? 1 : 0
+    };
+}
+
+/**
+ * Compare every opted-in wishlist item with its product and send the alerts that are due
+ * Each state change is a conditional update, so overlapping checks never alert twice
+ */
+async function checkWishlistAlerts() {
+    const items = await database.query(`
+        SELECT w.wishlist_item_id, w.user_id, w.product_id, w.notify_price_drop, w.notify_back_in_stock,
+               w.alert_price, w.awaiting_restock, p.product_name, p.stock_quantity,
+               ${EFFECTIVE_PRICE_SQL} AS current_price
+        FROM wishlist_items w
+        JOIN products p ON w.product_id = p.product_id
+        WHERE p.is_active = 1 AND (w.notify_price_drop = 1 OR w.notify_back_in_stock = 1)
+    `);
+
+    let priceDrops = 0;
+    let restocks = 0;
+
+    for (const item of items) {
+        const currentPrice = parseFloat(item.current_price);
+        const lastPrice = item.alert_price === null ? null : parseFloat(item.alert_price);
+        const inStock = parseInt(item.stock_quantity) > 0;
+        // Follow the price both ways, so a rise and a later fall alerts again
+        const priceChanged = item.notify_price_drop && currentPrice !== lastPrice;
+        // Remember a sell-out; the restock alert goes out once stock comes back
+        const stockChanged = item.notify_back_in_stock && inStock === !!item.awaiting_restock;
+        if (!priceChanged && !stockChanged) continue;
+
+        const linkUrl = `product-details.html?id=${item.product_id}`;
+
+        await database.transaction(async (tx) => {
+            if (priceChanged) {
+                const result = await tx.run(
+                    'UPDATE wishlist_items SET alert_price = ? WHERE wishlist_item_id = ? AND alert_price <=> ?',
+                    [currentPrice, item.wishlist_item_id, item.alert_price]
+                );
+                if (result.changes === 1 && lastPrice !== null && currentPrice < lastPrice) {
+                    await createNotification(tx, {
+                        userId: item.user_id,
+                        type: NOTIFICATION_TYPES.PRICE_DROP,
+                        title: `Price drop: ${item.product_name}`,
+                        message: `Now ${formatPrice(currentPrice)}, down from ${formatPrice(lastPrice)}`,
+                        linkUrl
+                    });
+                    priceDrops++;
+                }
+            }
+
+            if (stockChanged) {
+                const result = await tx.run(
+                    'UPDATE wishlist_items SET awaiting_restock = ? WHERE wishlist_item_id = ? AND awaiting_restock = ?',
+                    [inStock ? 0 : 1, item.wishlist_item_id, inStock ? 1 : 0]
+                );
+                if (result.changes === 1 && inStock) {
+                    await createNotification(tx, {
+                        userId: item.user_id,
+                        type: NOTIFICATION_TYPES.BACK_IN_STOCK,
+                        title: `Back in stock: ${item.product_name}`,
+                        message: `${item.product_name} is available again`,
+                        linkUrl
+                    });
+                    restocks++;
+                }
+            }
+        });
+    }
+
+    return { priceDrops, restocks };
+}
+
+function startWishlistAlertScheduler(intervalMs = ALERT_INTERVAL_MS) {
+    const tick = () => checkWishlistAlerts()
+        .then(({ priceDrops, restocks }) => {
+            if (priceDrops || restocks) console.log(`Wishlist alerts sent: ${priceDrops} price drops, ${restocks} back in stock`);
+        })
+        .catch(err => console.error('Wishlist alert error:', err.message));
+
+    tick();
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    getAlertBaseline,
+    checkWishlistAlerts,
+    startWishlistAlertScheduler
+};